@@ -0,0 +1,45 @@
+import React, { useState } from 'react';
+import { pct, useFormat } from './format.js';
+import { HEALTH_LEVELS } from './accountHealth.js';
+
+const LEVEL_STYLES = { high: 'bg-red-500/20 text-red-400', medium: 'bg-yellow-500/20 text-yellow-400', low: 'bg-green-500/20 text-green-400' };
+
+// Existing customers ranked by revenue at risk, with the signals behind each
+// score. Relationship and vertical narrow the list; a row opens the account's deals.
+const AccountHealth = ({ accounts, priorYear, onDrill }) => {
+  const { fmt } = useFormat();
+  const [relationship, setRelationship] = useState('');
+  const [vertical, setVertical] = useState('');
+  const [showAll, setShowAll] = useState(false);
+  const relationships = [...new Set(accounts.map(a => a.customerRelationship).filter(Boolean))].sort();
+  const verticals = [...new Set(accounts.map(a => a.vertical).filter(Boolean))].sort();
+  const shown = accounts.filter(a => (showAll || a.level !== 'low') && (!relationship || a.customerRelationship === relationship) && (!vertical || a.vertical === vertical));
+  const counts = Object.fromEntries(HEALTH_LEVELS.map(l => [l.key, accounts.filter(a => a.level === l.key).length]));
+
+  const select = (value, onChange, options, all) => <select value={value} onChange={e => onChange(e.target.value)} className="px-2 py-1 rounded-lg bg-neutral-700 text-xs text-white border-none"><option value="">{all}</option>{options.map(o => <option key={o} value={o}>{o}</option>)}</select>;
+  const th = 'py-2 px-2 text-[10px] font-semibold text-neutral-400 uppercase';
+  return (
+    <div className="mt-5 pt-4 border-t border-neutral-700">
+      <div className="flex items-center gap-2 mb-3">
+        <h3 className="text-xs text-neutral-500 uppercase">At-risk renewals</h3>
+        <span className="text-[10px] text-neutral-500">{accounts.length} customers with {priorYear} revenue • {HEALTH_LEVELS.map(l => `${counts[l.key]} ${l.label.toLowerCase()}`).join(' • ')}</span>
+        <div className="ml-auto flex items-center gap-2">{select(relationship, setRelationship, relationships, 'All relationships')}{select(vertical, setVertical, verticals, 'All verticals')}<label className="flex items-center gap-1 text-[10px] text-neutral-400"><input type="checkbox" checked={showAll} onChange={e => setShowAll(e.target.checked)} />Show healthy</label></div>
+      </div>
+      {shown.length === 0 ? <p className="text-xs text-neutral-500 text-center py-4">No at-risk customers{relationship || vertical ? ' for this filter' : ''}</p> : (<div className="overflow-auto max-h-80"><table className="w-full">
+        <thead className="bg-neutral-700/50 sticky top-0"><tr><th className={`${th} text-left`}>Account</th><th className={`${th} text-center`}>Health</th><th className={`${th} text-right`}>{priorYear}</th><th className={`${th} text-right`}>YoY</th><th className={`${th} text-right`}>Renewal pipe</th><th className={`${th} text-right`}>Last win</th><th className={`${th} text-right`}>At risk</th><th className={`${th} text-left`}>Why</th></tr></thead>
+        <tbody className="divide-y divide-neutral-700">{shown.map(a => (<tr key={a.account} onClick={() => onDrill(a)} className="hover:bg-neutral-700/50 cursor-pointer transition-all">
+          <td className="py-1.5 px-2 text-xs text-white truncate max-w-48">{a.account}<span className="block text-[10px] text-neutral-500">{[a.customerRelationship, a.vertical].filter(Boolean).join(' • ')}</span></td>
+          <td className="py-1.5 px-2 text-center"><span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${LEVEL_STYLES[a.level]}`}>{a.score}</span></td>
+          <td className="py-1.5 px-2 text-xs text-right text-neutral-300">{fmt(a.priorRevenue)}</td>
+          <td className={`py-1.5 px-2 text-xs text-right ${a.trend == null ? 'text-neutral-600' : a.trend < 0 ? 'text-red-400' : 'text-green-400'}`}>{a.trend == null ? '—' : `${a.trend > 0 ? '+' : ''}${pct(a.trend)}`}</td>
+          <td className="py-1.5 px-2 text-xs text-right text-neutral-300">{a.renewalPipeline > 0 ? fmt(a.renewalPipeline) : <span className="text-neutral-600">—</span>}</td>
+          <td className="py-1.5 px-2 text-xs text-right text-neutral-300">{a.daysSinceWin}d</td>
+          <td className="py-1.5 px-2 text-xs text-right text-white font-medium">{fmt(a.revenueAtRisk)}</td>
+          <td className="py-1.5 px-2 text-[10px] text-neutral-400">{a.reasons.slice(0, 2).map(r => r.key === 'concentration' && a.repGone ? `${a.topRep} has left` : r.key === 'losses' ? `${a.losses.length} lost in 12mo` : r.label).join(' • ') || '—'}</td>
+        </tr>))}</tbody>
+      </table></div>)}
+    </div>
+  );
+};
+
+export default AccountHealth;
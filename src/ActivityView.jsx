@@ -0,0 +1,48 @@
+import React, { useRef } from 'react';
+import { Upload, Trash2 } from 'lucide-react';
+import { pct, useFormat } from './format.js';
+import { UPLOAD_ACCEPT } from './fileImport.js';
+import { ACTIVITY_HEAT } from './activity.js';
+
+const HEAT_STYLES = { hot: 'bg-green-500/20 text-green-400', warm: 'bg-yellow-500/20 text-yellow-400', cold: 'bg-red-500/20 text-red-400' };
+
+// Activity import status, open pipeline by heat and the rep leaderboard.
+// Without an import it explains what to upload.
+const ActivityView = ({ imported, pipeline, leaderboard, onUpload, onRemove, onDrill }) => {
+  const { fmt } = useFormat();
+  const fileRef = useRef(null);
+  const pick = e => { const file = e.target.files?.[0]; if (file) onUpload(file); fileRef.current.value = ''; };
+  const matched = pipeline.filter(o => o.activityMatch).length;
+  const th = 'py-2 px-2 text-[10px] font-semibold text-neutral-400 uppercase';
+  return (
+    <div>
+      <div className="flex items-center gap-3 mb-4">
+        <input ref={fileRef} type="file" accept={UPLOAD_ACCEPT} onChange={pick} className="hidden" />
+        {imported ? <p className="text-xs text-neutral-400">{imported.report.imported.toLocaleString()} activities from {imported.fileName} • imported {new Date(imported.importedAt).toLocaleDateString()} • {matched} of {pipeline.length} open deals matched{imported.report.totalRows > imported.report.imported ? ` • ${(imported.report.totalRows - imported.report.imported).toLocaleString()} rows skipped` : ''}</p> : <p className="text-xs text-neutral-500">Upload a Salesforce activity or task export to see when each open deal was last touched. Rows join to deals by Opportunity ID, or by account.</p>}
+        <div className="ml-auto flex items-center gap-2">
+          <button onClick={() => fileRef.current.click()} className="flex items-center gap-1.5 px-3 py-1 rounded-lg bg-neutral-700 text-xs text-neutral-300 hover:text-white transition-all"><Upload size={12} />{imported ? 'Replace' : 'Import activities'}</button>
+          {imported && <button onClick={onRemove} className="p-1.5 rounded-lg text-neutral-500 hover:text-red-400 transition-all" title="Remove activity import"><Trash2 size={12} /></button>}
+        </div>
+      </div>
+      {imported && (<>
+        <div className="grid grid-cols-3 gap-3 mb-5">{ACTIVITY_HEAT.map(h => { const deals = pipeline.filter(o => o.activityHeat === h.key); return (<div key={h.key} onClick={() => deals.length && onDrill(`${h.label} deals`, deals)} className="p-3 rounded-xl bg-neutral-700/30 hover:bg-neutral-700/60 cursor-pointer transition-all"><div className="flex items-center justify-between"><span className={`px-2 py-0.5 rounded-full text-[10px] font-semibold ${HEAT_STYLES[h.key]}`}>{h.label}</span><span className="text-[10px] text-neutral-500">{h.maxDays === Infinity ? `${ACTIVITY_HEAT[1].maxDays}+ days or never` : `≤ ${h.maxDays} days`}</span></div><p className="text-lg font-semibold text-white mt-1">{deals.length} deals</p><p className="text-xs text-neutral-500">{fmt(deals.reduce((s, o) => s + o.amount, 0))}</p></div>); })}</div>
+        <h3 className="text-xs text-neutral-500 uppercase mb-2">Rep activity (last 30 days)</h3>
+        {leaderboard.length === 0 ? <p className="text-xs text-neutral-500 text-center py-4">No open deals for this filter</p> : (<div className="overflow-auto max-h-80"><table className="w-full">
+          <thead className="bg-neutral-700/50 sticky top-0"><tr><th className={`${th} text-left`}>Rep</th><th className={`${th} text-right`}>Activities</th><th className={`${th} text-right`}>Open deals</th><th className={`${th} text-right`}>Touched</th><th className={`${th} text-right`}>Cold</th><th className={`${th} text-right`}>Cold value</th><th className={`${th} text-right`}>Overdue steps</th><th className={`${th} text-right`}>Last activity</th></tr></thead>
+          <tbody className="divide-y divide-neutral-700">{leaderboard.map(r => (<tr key={r.rep} onClick={() => onDrill(`${r.rep} - open deals`, r.openDeals)} className="hover:bg-neutral-700/50 cursor-pointer transition-all">
+            <td className="py-1.5 px-2 text-xs text-white">{r.rep}</td>
+            <td className="py-1.5 px-2 text-xs text-right text-white font-medium">{r.activities30}</td>
+            <td className="py-1.5 px-2 text-xs text-right text-neutral-300">{r.openDeals.length}</td>
+            <td className={`py-1.5 px-2 text-xs text-right ${r.touchedShare >= 0.75 ? 'text-green-400' : r.touchedShare >= 0.5 ? 'text-yellow-400' : 'text-red-400'}`}>{pct(r.touchedShare)}</td>
+            <td className="py-1.5 px-2 text-xs text-right text-neutral-300">{r.coldDeals.length || <span className="text-neutral-600">—</span>}</td>
+            <td className="py-1.5 px-2 text-xs text-right text-neutral-300">{r.coldValue > 0 ? fmt(r.coldValue) : <span className="text-neutral-600">—</span>}</td>
+            <td className={`py-1.5 px-2 text-xs text-right ${r.overdue > 0 ? 'text-yellow-400' : 'text-neutral-600'}`}>{r.overdue || '—'}</td>
+            <td className="py-1.5 px-2 text-xs text-right text-neutral-400">{r.lastActivityDate || '—'}</td>
+          </tr>))}</tbody>
+        </table></div>)}
+      </>)}
+    </div>
+  );
+};
+
+export default ActivityView;
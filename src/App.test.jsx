@@ -0,0 +1,26 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import React, { act } from 'react';
+import { createRoot } from 'react-dom/client';
+import App from './App.jsx';
+
+// Smoke test: the dashboard renders on the embedded data. jsdom has no
+// IndexedDB, so the session restore falls back to defaults and the page
+// leaves its loading state. Charts measure 0×0 here and warn about it.
+describe('App', () => {
+  let container, root;
+  beforeAll(() => {
+    globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+    globalThis.ResizeObserver ??= class { observe() {} unobserve() {} disconnect() {} };
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+  afterAll(() => { act(() => root?.unmount()); container?.remove(); vi.restoreAllMocks(); });
+
+  it('renders the dashboard once the session is restored', async () => {
+    container = document.body.appendChild(document.createElement('div'));
+    root = createRoot(container);
+    await act(async () => { root.render(<App />); });
+    expect(container.querySelector('.animate-pulse')).toBeNull();
+    expect(container.textContent).toContain('Win/Loss Analysis');
+  });
+});
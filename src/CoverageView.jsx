@@ -0,0 +1,59 @@
+import React, { useState, useEffect } from 'react';
+import { useFormat } from './format.js';
+import { validateCoverageSettings } from './coverage.js';
+
+const STATUS_STYLES = {
+  healthy: { text: 'text-green-400', bar: 'bg-green-500' },
+  warning: { text: 'text-yellow-400', bar: 'bg-yellow-500' },
+  gap: { text: 'text-red-400', bar: 'bg-red-500' },
+  met: { text: 'text-green-400', bar: 'bg-green-500' },
+  noQuota: { text: 'text-neutral-500', bar: 'bg-neutral-600' },
+};
+
+const ratioLabel = r => r.status === 'noQuota' ? 'No quota' : r.status === 'met' ? 'Quota met' : `${r.ratio.toFixed(1)}x`;
+
+// Open pipeline over remaining quota for the coming quarters, each rep and each
+// territory. Target and warning levels are edited inline and applied once valid.
+const CoverageView = ({ byQuarter, byRep, byTerritory, settings, onChangeSettings, onDrill }) => {
+  const { fmt } = useFormat();
+  const [draft, setDraft] = useState({ target: String(settings.target), warningAt: String(settings.warningAt) });
+  const parsed = { target: parseFloat(draft.target), warningAt: parseFloat(draft.warningAt) };
+  // Settings changed elsewhere (session restore) - a half-typed value that already matches stays as typed
+  useEffect(() => { if (parsed.target !== settings.target || parsed.warningAt !== settings.warningAt) setDraft({ target: String(settings.target), warningAt: String(settings.warningAt) }); }, [settings]);
+  const problems = validateCoverageSettings(parsed);
+  const edit = (key, value) => {
+    setDraft(prev => ({ ...prev, [key]: value }));
+    const next = { ...parsed, [key]: parseFloat(value) };
+    if (validateCoverageSettings(next).length === 0) onChangeSettings(next);
+  };
+
+  const input = 'w-14 px-2 py-0.5 bg-neutral-700 border border-neutral-600 rounded-lg text-xs text-white';
+  const bar = r => <div className="h-1.5 bg-neutral-700 rounded-full overflow-hidden"><div className={`h-full rounded-full ${STATUS_STYLES[r.status].bar}`} style={{ width: `${r.status === 'met' ? 100 : Math.min(100, ((r.ratio || 0) / settings.target) * 100)}%` }} /></div>;
+  const table = (title, group, rows) => (
+    <div className="flex-1 min-w-0">
+      <h3 className="text-xs text-neutral-500 uppercase mb-2">{title}</h3>
+      {rows.length === 0 ? <p className="text-xs text-neutral-500">Nothing to cover in the selected period</p> : (<div className="space-y-0.5 max-h-72 overflow-auto">{rows.map(r => (<button key={r.name} disabled={r.count === 0} onClick={() => onDrill(`${r.name} • open pipeline`, r.deals)} className="w-full grid grid-cols-[1fr_auto_auto_3.5rem] items-center gap-3 text-xs p-1.5 rounded-lg hover:bg-neutral-700 disabled:hover:bg-transparent transition-all" title={`${group} quota ${fmt(r.quota)} • closed ${fmt(r.closed)}${r.shortfall > 0 ? ` • ${fmt(r.shortfall)} more pipeline needed for ${settings.target}x` : ''}`}><span className="text-neutral-300 truncate text-left">{r.name}</span><span className="text-neutral-500">{fmt(r.pipeline)} / {fmt(r.remaining)}</span><span className="w-16">{bar(r)}</span><span className={`text-right font-medium ${STATUS_STYLES[r.status].text}`}>{ratioLabel(r)}</span></button>))}</div>)}
+    </div>
+  );
+  return (
+    <div>
+      <div className="flex items-center gap-4 mb-4 text-xs text-neutral-400">
+        <span className="flex items-center gap-2">Target<input type="number" min="0" step="0.5" value={draft.target} onChange={e => edit('target', e.target.value)} className={input} />x</span>
+        <span className="flex items-center gap-2">Red below<input type="number" min="0" step="0.5" value={draft.warningAt} onChange={e => edit('warningAt', e.target.value)} className={input} />x</span>
+        {problems.length > 0 && <span className="text-yellow-400">{problems[0]}</span>}
+        <span className="ml-auto text-[10px] text-neutral-500">Open pipeline ÷ quota still to close</span>
+      </div>
+      <div className="grid grid-cols-4 gap-3 mb-5">
+        {byQuarter.map(q => (<button key={q.key} disabled={q.count === 0} onClick={() => onDrill(`Open pipeline closing ${q.label}`, q.deals)} className="p-3 bg-neutral-700/30 rounded-xl text-left hover:bg-neutral-700/60 disabled:hover:bg-neutral-700/30 transition-all">
+          <div className="flex items-center justify-between mb-1"><p className="text-[10px] text-neutral-500 uppercase">{q.label}{q.started ? ' • in progress' : ''}</p><p className={`text-sm font-semibold ${STATUS_STYLES[q.status].text}`}>{ratioLabel(q)}</p></div>
+          {bar(q)}
+          <p className="text-[10px] text-neutral-500 mt-1.5">{fmt(q.pipeline)} open • {q.quota == null ? 'no goal' : `${fmt(q.remaining)} to close`}</p>
+          {q.shortfall > 0 && <p className="text-[10px] text-neutral-400">{fmt(q.shortfall)} short of {settings.target}x</p>}
+        </button>))}
+      </div>
+      <div className="flex gap-6">{table('By rep', 'Rep', byRep)}<div className="w-px bg-neutral-700" />{table('By territory', 'Territory', byTerritory)}</div>
+    </div>
+  );
+};
+
+export default CoverageView;
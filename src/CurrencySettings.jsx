@@ -0,0 +1,72 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { X, Plus, Trash2, RotateCcw, CheckCircle, AlertCircle } from 'lucide-react';
+import { CORPORATE_CURRENCY, CURRENCIES, DEFAULT_FX_RATES, knownCurrencies } from './currency.js';
+import { RULE_FIELDS, DEFAULT_TERRITORY_RULES } from './territoryRules.js';
+
+const PERIOD_PATTERN = /^\d{4}(-Q[1-4])?$/;
+
+// Edits FX rate tables (per year, optionally overridden per quarter) and the
+// ordered territory rules. Changes are drafted locally and applied on Save.
+const CurrencySettings = ({ isOpen, onClose, fxRates, territoryRules, onSave }) => {
+  const [rates, setRates] = useState(fxRates);
+  const [rules, setRules] = useState(territoryRules);
+  const [newPeriod, setNewPeriod] = useState('');
+  const [newCurrency, setNewCurrency] = useState('');
+  const ref = useRef(null);
+  useEffect(() => { if (isOpen) { setRates(fxRates); setRules(territoryRules); setNewPeriod(''); setNewCurrency(''); } }, [isOpen, fxRates, territoryRules]);
+  useEffect(() => { const h = e => { if (e.key === 'Escape') onClose(); }; if (isOpen) { document.addEventListener('keydown', h); document.body.style.overflow = 'hidden'; } return () => { document.removeEventListener('keydown', h); document.body.style.overflow = 'unset'; }; }, [isOpen, onClose]);
+  if (!isOpen) return null;
+
+  const currencies = knownCurrencies(rates).filter(c => c !== CORPORATE_CURRENCY);
+  const periods = Object.keys(rates).sort();
+  const setRate = (period, currency, value) => setRates(prev => {
+    const row = { ...prev[period] };
+    const v = parseFloat(value);
+    if (isNaN(v) || v <= 0) delete row[currency]; else row[currency] = v;
+    return { ...prev, [period]: row };
+  });
+  const removePeriod = period => setRates(prev => { const next = { ...prev }; delete next[period]; return next; });
+  const periodValid = PERIOD_PATTERN.test(newPeriod.trim()) && !rates[newPeriod.trim()];
+  // A new period starts from the rates of the one before it
+  const addPeriod = () => { const p = newPeriod.trim(); const prior = periods.filter(k => k < p).pop(); setRates(prev => ({ ...prev, [p]: { ...(prior ? prev[prior] : {}) } })); setNewPeriod(''); };
+  const addCurrency = () => { const c = newCurrency.trim().toUpperCase(); if (/^[A-Z]{3}$/.test(c) && periods.length) setRates(prev => ({ ...prev, [periods[0]]: { ...prev[periods[0]], [c]: prev[periods[0]][c] || 1 } })); setNewCurrency(''); };
+
+  const setRule = (i, patch) => setRules(prev => ({ ...prev, rules: prev.rules.map((r, j) => j === i ? { ...r, ...patch } : r) }));
+  const moveRule = (i, d) => setRules(prev => { const next = [...prev.rules]; [next[i], next[i + d]] = [next[i + d], next[i]]; return { ...prev, rules: next }; });
+  const removeRule = i => setRules(prev => ({ ...prev, rules: prev.rules.filter((_, j) => j !== i) }));
+  const addRule = () => setRules(prev => ({ ...prev, rules: [...prev.rules, { field: 'currency', value: '', territory: '' }] }));
+  const incomplete = rules.rules.some(r => !r.value.trim() || !r.territory.trim()) || !rules.defaultTerritory.trim();
+  const save = () => { onSave({ fxRates: rates, territoryRules: { defaultTerritory: rules.defaultTerritory.trim(), rules: rules.rules.map(r => ({ ...r, value: r.value.trim(), territory: r.territory.trim() })) } }); onClose(); };
+  const reset = () => { setRates(DEFAULT_FX_RATES); setRules(DEFAULT_TERRITORY_RULES); };
+
+  const th = 'text-left py-2 px-3 text-[10px] font-semibold text-neutral-400 uppercase';
+  const input = 'px-2 py-1 bg-neutral-700 border border-neutral-600 rounded-lg text-xs text-white';
+  return (
+    <div className="fixed inset-0 bg-black/90 backdrop-blur-sm z-50 flex items-center justify-center p-4" onClick={e => { if (ref.current && !ref.current.contains(e.target)) onClose(); }}>
+      <div ref={ref} className="bg-neutral-800 border border-neutral-700 rounded-2xl w-full max-w-3xl max-h-[85vh] overflow-hidden flex flex-col">
+        <div className="px-5 py-4 border-b border-neutral-700 flex justify-between items-center"><div><h3 className="text-base font-semibold text-white">Currency & Territories</h3><p className="text-xs text-neutral-400 mt-0.5">Rates are {CORPORATE_CURRENCY} per unit of each currency • goals and quotas are planned in {CORPORATE_CURRENCY}</p></div><button onClick={onClose} className="p-2 rounded-xl hover:bg-neutral-700 transition-all"><X size={18} className="text-neutral-400" /></button></div>
+        <div className="overflow-auto flex-1 p-5 space-y-6">
+          <section>
+            <h4 className="text-xs text-neutral-500 uppercase mb-2">FX rates</h4>
+            <p className="text-[10px] text-neutral-500 mb-2">A quarter row (e.g. 2025-Q3) overrides its year; periods without a rate use the closest earlier one.</p>
+            <table className="w-full"><thead className="bg-neutral-700/50"><tr><th className={th}>Period</th>{currencies.map(c => <th key={c} className={th}>{c}{CURRENCIES[c] ? ` (${CURRENCIES[c].symbol})` : ''}</th>)}<th className={th} /></tr></thead>
+            <tbody className="divide-y divide-neutral-700">{periods.map(p => (<tr key={p}><td className="py-1.5 px-3 text-sm text-white">{p}</td>{currencies.map(c => <td key={c} className="py-1.5 px-3"><input type="number" step="0.001" min="0" value={rates[p][c] ?? ''} placeholder="—" onChange={e => setRate(p, c, e.target.value)} className={`${input} w-20`} /></td>)}<td className="py-1.5 px-3 text-right"><button onClick={() => removePeriod(p)} className="p-1 rounded text-neutral-500 hover:text-red-400" title="Remove period"><Trash2 size={12} /></button></td></tr>))}</tbody></table>
+            <div className="flex items-center gap-2 mt-2"><input value={newPeriod} onChange={e => setNewPeriod(e.target.value)} placeholder="2027 or 2027-Q1" className={`${input} w-32`} /><button disabled={!periodValid} onClick={addPeriod} className="flex items-center gap-1 px-2 py-1 rounded-lg bg-neutral-700 text-xs text-neutral-300 hover:text-white disabled:opacity-40 transition-all"><Plus size={12} />Period</button><input value={newCurrency} onChange={e => setNewCurrency(e.target.value)} placeholder="ISO code" maxLength={3} className={`${input} w-20 ml-4`} /><button disabled={!/^[A-Za-z]{3}$/.test(newCurrency.trim())} onClick={addCurrency} className="flex items-center gap-1 px-2 py-1 rounded-lg bg-neutral-700 text-xs text-neutral-300 hover:text-white disabled:opacity-40 transition-all"><Plus size={12} />Currency</button></div>
+          </section>
+          <section>
+            <h4 className="text-xs text-neutral-500 uppercase mb-2">Territory rules</h4>
+            <p className="text-[10px] text-neutral-500 mb-2">Used when an upload has no Territory column. The first matching rule wins.</p>
+            <div className="space-y-1.5">{rules.rules.map((r, i) => (<div key={i} className="flex items-center gap-2 text-xs text-neutral-400"><span className="w-4 text-right">{i + 1}</span><span>If</span><select value={r.field} onChange={e => setRule(i, { field: e.target.value })} className={input}>{RULE_FIELDS.map(f => <option key={f.key} value={f.key}>{f.label}</option>)}</select><span>is</span><input value={r.value} onChange={e => setRule(i, { value: e.target.value })} className={`${input} w-36`} /><span>→</span><input value={r.territory} onChange={e => setRule(i, { territory: e.target.value })} placeholder="Territory" className={`${input} w-28`} /><button disabled={i === 0} onClick={() => moveRule(i, -1)} className="px-1 text-neutral-500 hover:text-white disabled:opacity-30" title="Move up">↑</button><button disabled={i === rules.rules.length - 1} onClick={() => moveRule(i, 1)} className="px-1 text-neutral-500 hover:text-white disabled:opacity-30" title="Move down">↓</button><button onClick={() => removeRule(i)} className="p-1 rounded text-neutral-500 hover:text-red-400" title="Remove rule"><Trash2 size={12} /></button></div>))}</div>
+            <div className="flex items-center gap-2 mt-2 text-xs text-neutral-400"><button onClick={addRule} className="flex items-center gap-1 px-2 py-1 rounded-lg bg-neutral-700 text-neutral-300 hover:text-white transition-all"><Plus size={12} />Rule</button><span className="ml-4">Otherwise</span><input value={rules.defaultTerritory} onChange={e => setRules(prev => ({ ...prev, defaultTerritory: e.target.value }))} className={`${input} w-28`} /></div>
+          </section>
+        </div>
+        <div className="px-5 py-3 border-t border-neutral-700 bg-neutral-700/30 flex justify-between items-center">
+          <div className="flex items-center gap-3"><button onClick={reset} className="flex items-center gap-1.5 text-xs text-neutral-400 hover:text-white transition-all"><RotateCcw size={12} />Defaults</button>{incomplete ? <span className="flex items-center gap-1.5 text-xs text-yellow-400"><AlertCircle size={12} />Every rule needs a value and a territory</span> : <span className="flex items-center gap-1.5 text-xs text-neutral-500"><CheckCircle size={12} className="text-green-500" />{periods.length} rate periods • {rules.rules.length} rules</span>}</div>
+          <div className="flex gap-2"><button onClick={onClose} className="px-4 py-1.5 text-neutral-400 text-xs font-medium hover:text-white transition-all">Cancel</button><button disabled={incomplete} onClick={save} className="px-4 py-1.5 bg-green-500 text-black rounded-xl text-xs font-medium hover:bg-green-400 disabled:opacity-40 disabled:cursor-not-allowed transition-all">Save</button></div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CurrencySettings;
@@ -0,0 +1,35 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { Database, ChevronDown, CheckCircle, Trash2, Edit3, RotateCcw, FileText, Calendar } from 'lucide-react';
+import { snapshotDate } from './pipelineMovement.js';
+
+// Header switcher between the embedded data and saved upload snapshots
+const DatasetMenu = ({ datasets, activeId, onSelect, onRename, onSetDate, onDelete, onReset, onShowReport, hasReport }) => {
+  const [open, setOpen] = useState(false);
+  const ref = useRef(null);
+  useEffect(() => { const h = e => { if (ref.current && !ref.current.contains(e.target)) setOpen(false); }; document.addEventListener('mousedown', h); return () => document.removeEventListener('mousedown', h); }, []);
+  const active = datasets.find(d => d.id === activeId);
+  const pick = id => { onSelect(id); setOpen(false); };
+  const rename = (e, d) => { e.stopPropagation(); const name = prompt('Dataset name', d.name); if (name && name.trim()) onRename(d.id, name.trim()); };
+  const setDate = (e, d) => { e.stopPropagation(); const date = prompt('Snapshot date - when the export was pulled (YYYY-MM-DD)', snapshotDate(d)); if (date && /^\d{4}-\d{2}-\d{2}$/.test(date.trim())) onSetDate(d.id, date.trim()); };
+  const remove = (e, d) => { e.stopPropagation(); if (confirm(`Delete "${d.name}"? This cannot be undone.`)) onDelete(d.id); };
+  const reset = () => { if (confirm('Reset goals, quotas and notes to defaults and switch back to the embedded data? Saved datasets are kept.')) { onReset(); setOpen(false); } };
+
+  return (
+    <div ref={ref} className="relative">
+      <button onClick={() => setOpen(!open)} className="flex items-center gap-1.5 px-2 py-1 rounded-lg bg-neutral-800 text-[10px] text-neutral-400 hover:text-white transition-all" title="Datasets"><Database size={10} /><span className="max-w-40 truncate">{active ? active.name : 'Embedded data'}</span><ChevronDown size={10} className={`transition-transform ${open ? 'rotate-180' : ''}`} /></button>
+      {open && (<div className="absolute top-full right-0 mt-1 w-72 bg-neutral-800 border border-neutral-700 rounded-xl shadow-xl z-50 overflow-hidden">
+        <div className="p-1 max-h-72 overflow-auto">
+          <button onClick={() => pick(null)} className={`w-full text-left px-3 py-2 rounded-lg text-xs flex items-center justify-between transition-all ${!activeId ? 'bg-neutral-700 text-white' : 'text-neutral-300 hover:bg-neutral-700/50'}`}><span>Embedded data</span>{!activeId && <CheckCircle size={12} className="text-green-500" />}</button>
+          {datasets.length > 0 && <p className="text-[10px] text-neutral-500 uppercase px-3 pt-2 pb-1">Saved snapshots</p>}
+          {datasets.map(d => (<div key={d.id} onClick={() => pick(d.id)} className={`group w-full px-3 py-2 rounded-lg text-xs flex items-center justify-between cursor-pointer transition-all ${d.id === activeId ? 'bg-neutral-700 text-white' : 'text-neutral-300 hover:bg-neutral-700/50'}`}><div className="min-w-0"><p className="truncate">{d.name}</p><p className="text-[10px] text-neutral-500">As of {snapshotDate(d)} • {d.rowCount.toLocaleString()} opps</p></div><div className="flex items-center gap-1 flex-shrink-0">{d.id === activeId && <CheckCircle size={12} className="text-green-500" />}<button onClick={e => setDate(e, d)} className="p-1 rounded opacity-0 group-hover:opacity-100 text-neutral-500 hover:text-white" title="Snapshot date"><Calendar size={10} /></button><button onClick={e => rename(e, d)} className="p-1 rounded opacity-0 group-hover:opacity-100 text-neutral-500 hover:text-white" title="Rename"><Edit3 size={10} /></button><button onClick={e => remove(e, d)} className="p-1 rounded opacity-0 group-hover:opacity-100 text-neutral-500 hover:text-red-400" title="Delete"><Trash2 size={10} /></button></div></div>))}
+        </div>
+        <div className="border-t border-neutral-700 p-1">
+          {hasReport && <button onClick={() => { onShowReport(); setOpen(false); }} className="w-full text-left px-3 py-2 rounded-lg text-xs text-neutral-300 hover:bg-neutral-700/50 flex items-center gap-2 transition-all"><FileText size={12} />Import report</button>}
+          <button onClick={reset} className="w-full text-left px-3 py-2 rounded-lg text-xs text-red-400 hover:bg-neutral-700/50 flex items-center gap-2 transition-all"><RotateCcw size={12} />Reset to defaults</button>
+        </div>
+      </div>)}
+    </div>
+  );
+};
+
+export default DatasetMenu;
@@ -0,0 +1,30 @@
+import React from 'react';
+import { BarChart, Bar, Cell, XAxis, YAxis, Tooltip, ReferenceLine, ResponsiveContainer } from 'recharts';
+import { pct, colors, useFormat } from './format.js';
+
+const RangeTooltip = ({ active, payload }) => { const { fmt } = useFormat(); if (!active || !payload?.length) return null; const b = payload[0].payload; return (<div className="bg-neutral-800 border border-neutral-700 rounded-xl p-3 shadow-xl"><p className="text-xs text-neutral-300">{fmt(b.from)} – {fmt(b.to)}</p><p className="text-xs text-white font-medium">{pct(b.share)} of outcomes</p></div>); };
+
+// P10/P50/P90 and the chance of reaching goal for each horizon, with the
+// distribution of simulated outcomes; bars at or above goal are green
+const ForecastRange = ({ horizons }) => {
+  const { fmt } = useFormat();
+  return (
+    <div className="grid grid-cols-2 gap-4">
+      {horizons.map(h => {
+        const hitColor = h.hitProbability == null ? '#737373' : h.hitProbability >= 0.7 ? colors.success : h.hitProbability >= 0.4 ? colors.warning : colors.danger;
+        return (
+          <div key={h.key} className="p-4 bg-neutral-700/30 rounded-xl">
+            <div className="flex items-start justify-between mb-3">
+              <div><p className="text-xs text-neutral-500 uppercase tracking-wider">{h.label}</p><p className="text-[10px] text-neutral-500 mt-0.5">{fmt(h.closedRevenue)} closed • {h.openCount} open deals • goal {h.goal > 0 ? fmt(h.goal) : '—'}</p></div>
+              <div className="text-right"><p className="text-2xl font-bold" style={{ color: hitColor }}>{h.hitProbability == null ? '—' : pct(h.hitProbability)}</p><p className="text-[10px] text-neutral-500">chance to hit goal</p></div>
+            </div>
+            <div className="grid grid-cols-3 gap-2 mb-3">{[['P10', h.p10], ['P50', h.p50], ['P90', h.p90]].map(([label, v]) => (<div key={label} className="p-2 bg-neutral-800 rounded-lg"><p className="text-[10px] text-neutral-500">{label}</p><p className="text-sm font-semibold text-white">{fmt(v)}</p>{h.goal > 0 && <p className={`text-[10px] ${v >= h.goal ? 'text-green-400' : 'text-neutral-500'}`}>{pct(v / h.goal)} of goal</p>}</div>))}</div>
+            {h.openCount === 0 ? <p className="text-xs text-neutral-500 py-6 text-center">No open deals - revenue is what has closed</p> : (<div className="h-32"><ResponsiveContainer><BarChart data={h.histogram} barCategoryGap={1}><XAxis dataKey="mid" type="number" domain={['dataMin', 'dataMax']} tickFormatter={fmt} stroke="#525252" tick={{ fontSize: 10 }} /><YAxis hide /><Tooltip content={<RangeTooltip />} cursor={{ fill: '#404040' }} /><Bar dataKey="share">{h.histogram.map((b, i) => <Cell key={i} fill={b.aboveGoal ? colors.success : '#525252'} />)}</Bar>{h.goal > 0 && <ReferenceLine x={h.goal} stroke="#ffffff" strokeDasharray="3 3" ifOverflow="extendDomain" label={{ value: 'Goal', fill: '#a3a3a3', fontSize: 10, position: 'top' }} />}</BarChart></ResponsiveContainer></div>)}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default ForecastRange;
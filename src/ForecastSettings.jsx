@@ -0,0 +1,60 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { X, Plus, Trash2, RotateCcw, CheckCircle, AlertCircle } from 'lucide-react';
+import { DEFAULT_FORECAST_SETTINGS, validateForecastSettings } from './forecast.js';
+import { useFormat } from './format.js';
+
+const toPercent = p => (typeof p === 'number' && !isNaN(p) ? +(p * 100).toFixed(1) : '');
+const fromPercent = value => { const v = parseFloat(value); return isNaN(v) ? NaN : v / 100; };
+
+// Edits the win probability per numbered stage and the probability thresholds
+// that place deals without an imported forecast category. Drafted locally, applied on Save.
+const ForecastSettings = ({ isOpen, onClose, settings, onSave, stageNames = [] }) => {
+  const { fmt } = useFormat();
+  const [draft, setDraft] = useState(settings);
+  const [newStage, setNewStage] = useState('');
+  const ref = useRef(null);
+  useEffect(() => { if (isOpen) { setDraft(settings); setNewStage(''); } }, [isOpen, settings]);
+  useEffect(() => { const h = e => { if (e.key === 'Escape') onClose(); }; if (isOpen) { document.addEventListener('keydown', h); document.body.style.overflow = 'hidden'; } return () => { document.removeEventListener('keydown', h); document.body.style.overflow = 'unset'; }; }, [isOpen, onClose]);
+  if (!isOpen) return null;
+
+  // Stages in the table plus any numbered stage in the data, so every open deal's stage can be set
+  const seen = Object.fromEntries(stageNames.map(s => [s.number, s]));
+  const stages = [...new Set([...Object.keys(draft.stageProbabilities).map(Number), ...stageNames.map(s => s.number)])].sort((a, b) => a - b);
+  const setStage = (stage, value) => setDraft(prev => ({ ...prev, stageProbabilities: { ...prev.stageProbabilities, [stage]: fromPercent(value) } }));
+  const removeStage = stage => setDraft(prev => { const next = { ...prev.stageProbabilities }; delete next[stage]; return { ...prev, stageProbabilities: next }; });
+  const stageValid = /^\d+$/.test(newStage.trim()) && !stages.includes(parseInt(newStage));
+  const addStage = () => { setDraft(prev => ({ ...prev, stageProbabilities: { ...prev.stageProbabilities, [parseInt(newStage)]: prev.defaultProbability } })); setNewStage(''); };
+  const problems = validateForecastSettings(draft);
+  const save = () => { onSave(draft); onClose(); };
+
+  const th = 'text-left py-2 px-3 text-[10px] font-semibold text-neutral-400 uppercase';
+  const input = 'px-2 py-1 bg-neutral-700 border border-neutral-600 rounded-lg text-xs text-white';
+  const percentInput = (value, onChange) => <span className="inline-flex items-center gap-1"><input type="number" min="0" max="100" step="1" value={toPercent(value)} onChange={e => onChange(e.target.value)} className={`${input} w-16`} /><span className="text-neutral-500">%</span></span>;
+  return (
+    <div className="fixed inset-0 bg-black/90 backdrop-blur-sm z-50 flex items-center justify-center p-4" onClick={e => { if (ref.current && !ref.current.contains(e.target)) onClose(); }}>
+      <div ref={ref} className="bg-neutral-800 border border-neutral-700 rounded-2xl w-full max-w-2xl max-h-[85vh] overflow-hidden flex flex-col">
+        <div className="px-5 py-4 border-b border-neutral-700 flex justify-between items-center"><div><h3 className="text-base font-semibold text-white">Forecast Model</h3><p className="text-xs text-neutral-400 mt-0.5">Win probability per stage drives the weighted forecast</p></div><button onClick={onClose} className="p-2 rounded-xl hover:bg-neutral-700 transition-all"><X size={18} className="text-neutral-400" /></button></div>
+        <div className="overflow-auto flex-1 p-5 space-y-6">
+          <section>
+            <h4 className="text-xs text-neutral-500 uppercase mb-2">Stage probabilities</h4>
+            <p className="text-[10px] text-neutral-500 mb-2">Stages are matched by number ("3. Proposal" is stage 3).</p>
+            <table className="w-full"><thead className="bg-neutral-700/50"><tr><th className={th}>Stage</th><th className={th}>In pipeline</th><th className={th}>Probability</th><th className={th} /></tr></thead>
+            <tbody className="divide-y divide-neutral-700">{stages.map(stage => (<tr key={stage}><td className="py-1.5 px-3 text-sm text-white">{seen[stage] ? seen[stage].names.join(', ') : `Stage ${stage}`}</td><td className="py-1.5 px-3 text-xs text-neutral-400">{seen[stage] ? `${seen[stage].count} deals • ${fmt(seen[stage].amount)}` : '—'}</td><td className="py-1.5 px-3 text-xs">{draft.stageProbabilities[stage] !== undefined ? percentInput(draft.stageProbabilities[stage], v => setStage(stage, v)) : <button onClick={() => setStage(stage, toPercent(draft.defaultProbability))} className="text-neutral-500 hover:text-white">Default ({toPercent(draft.defaultProbability)}%) — set</button>}</td><td className="py-1.5 px-3 text-right">{draft.stageProbabilities[stage] !== undefined && <button onClick={() => removeStage(stage)} className="p-1 rounded text-neutral-500 hover:text-red-400" title="Use the default probability"><Trash2 size={12} /></button>}</td></tr>))}</tbody></table>
+            <div className="flex items-center gap-2 mt-2 text-xs text-neutral-400"><input value={newStage} onChange={e => setNewStage(e.target.value)} placeholder="Stage #" className={`${input} w-20`} /><button disabled={!stageValid} onClick={addStage} className="flex items-center gap-1 px-2 py-1 rounded-lg bg-neutral-700 text-neutral-300 hover:text-white disabled:opacity-40 transition-all"><Plus size={12} />Stage</button><span className="ml-4">Any other stage</span>{percentInput(draft.defaultProbability, v => setDraft(prev => ({ ...prev, defaultProbability: fromPercent(v) })))}</div>
+          </section>
+          <section>
+            <h4 className="text-xs text-neutral-500 uppercase mb-2">Forecast categories</h4>
+            <p className="text-[10px] text-neutral-500 mb-2">A Forecast Category column from Salesforce wins; otherwise deals are placed by probability.</p>
+            <div className="flex items-center gap-6 text-xs text-neutral-400"><span className="flex items-center gap-2">Commit at{percentInput(draft.commitAt, v => setDraft(prev => ({ ...prev, commitAt: fromPercent(v) })))}or above</span><span className="flex items-center gap-2">Best Case at{percentInput(draft.bestCaseAt, v => setDraft(prev => ({ ...prev, bestCaseAt: fromPercent(v) })))}or above</span></div>
+          </section>
+        </div>
+        <div className="px-5 py-3 border-t border-neutral-700 bg-neutral-700/30 flex justify-between items-center">
+          <div className="flex items-center gap-3"><button onClick={() => setDraft(DEFAULT_FORECAST_SETTINGS)} className="flex items-center gap-1.5 text-xs text-neutral-400 hover:text-white transition-all"><RotateCcw size={12} />Defaults</button>{problems.length > 0 ? <span className="flex items-center gap-1.5 text-xs text-yellow-400"><AlertCircle size={12} />{problems[0]}</span> : <span className="flex items-center gap-1.5 text-xs text-neutral-500"><CheckCircle size={12} className="text-green-500" />{Object.keys(draft.stageProbabilities).length} stages set</span>}</div>
+          <div className="flex gap-2"><button onClick={onClose} className="px-4 py-1.5 text-neutral-400 text-xs font-medium hover:text-white transition-all">Cancel</button><button disabled={problems.length > 0} onClick={save} className="px-4 py-1.5 bg-green-500 text-black rounded-xl text-xs font-medium hover:bg-green-400 disabled:opacity-40 disabled:cursor-not-allowed transition-all">Save</button></div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForecastSettings;
@@ -0,0 +1,24 @@
+import React from 'react';
+import { pct, useFormat } from './format.js';
+
+// One row per numbered stage: open pipeline, how many deals got this far,
+// conversion to the next stage, lost deals that dropped out here and median days
+const FunnelView = ({ funnel, onDrill }) => {
+  const { fmt } = useFormat();
+  if (!funnel.stages.length) return <p className="text-sm text-neutral-500 text-center py-6">No numbered stages in this data. Upload an export whose Stage column keeps the Salesforce stage ("3. Proposal").</p>;
+  const maxReached = Math.max(...funnel.stages.map(s => s.reached), 1);
+  const th = 'py-2 px-3 text-[10px] font-semibold text-neutral-400 uppercase';
+  const cell = (count, value, deals, title, color = 'text-white') => count > 0 ? <button onClick={() => onDrill(title, deals)} className={`hover:underline ${color}`}>{count} <span className="text-neutral-500">• {fmt(value)}</span></button> : <span className="text-neutral-600">—</span>;
+  return (
+    <table className="w-full">
+      <thead className="bg-neutral-700/50"><tr><th className={`${th} text-left`}>Stage</th><th className={`${th} text-left w-1/4`}>Reached</th><th className={`${th} text-right`}>Open now</th><th className={`${th} text-right`}>→ Next</th><th className={`${th} text-right`}>Lost here</th><th className={`${th} text-right`}>Median days</th></tr></thead>
+      <tbody className="divide-y divide-neutral-700">
+        {funnel.stages.map(s => (<tr key={s.number}><td className="py-2 px-3 text-sm text-white">{s.name}</td><td className="py-2 px-3"><div className="flex items-center gap-2"><div className="flex-1 h-2 bg-neutral-700 rounded-full overflow-hidden"><div className="h-full bg-white/70 rounded-full" style={{ width: `${(s.reached / maxReached) * 100}%` }} /></div><span className="text-xs text-neutral-400 w-10 text-right">{s.reached}</span></div></td><td className="py-2 px-3 text-xs text-right">{cell(s.open.count, s.open.value, s.open.deals, `Open at ${s.name}`)}</td><td className={`py-2 px-3 text-xs text-right font-medium ${s.conversion == null ? 'text-neutral-600' : s.conversion >= 0.5 ? 'text-green-400' : s.conversion >= 0.25 ? 'text-yellow-400' : 'text-red-400'}`}>{s.conversion == null ? '—' : pct(s.conversion)}</td><td className="py-2 px-3 text-xs text-right">{cell(s.lost.count, s.lost.value, s.lost.deals, `Lost at ${s.name}`, 'text-red-400')}</td><td className="py-2 px-3 text-xs text-right text-neutral-300">{s.medianDays == null ? '—' : `${Math.round(s.medianDays)}d`}</td></tr>))}
+        <tr><td className="py-2 px-3 text-sm text-green-400">Closed Won</td><td className="py-2 px-3" /><td className="py-2 px-3 text-xs text-right">{cell(funnel.won.count, funnel.won.value, funnel.won.deals, 'Won deals', 'text-green-400')}</td><td colSpan={3} /></tr>
+      </tbody>
+      {funnel.lostUnknown.count > 0 && <tfoot><tr><td colSpan={6} className="pt-3 px-3 text-[10px] text-neutral-500">{cell(funnel.lostUnknown.count, funnel.lostUnknown.value, funnel.lostUnknown.deals, 'Lost - stage unknown', 'text-neutral-400')} lost deals were never seen open in a snapshot, so their drop-out stage is unknown.</td></tr></tfoot>}
+    </table>
+  );
+};
+
+export default FunnelView;
@@ -0,0 +1,45 @@
+import React, { useEffect, useRef } from 'react';
+import { X, Download, AlertTriangle, CheckCircle, UserPlus } from 'lucide-react';
+import { skippedCount, rejectedRowsCSV } from './opportunityImport.js';
+import { pct, useFormat } from './format.js';
+
+const ReportStat = ({ label, value, tone }) => (<div className="p-3 bg-neutral-700/30 rounded-xl"><p className="text-[10px] text-neutral-500 uppercase">{label}</p><p className={`text-lg font-semibold ${tone === 'bad' ? 'text-red-400' : tone === 'warn' ? 'text-yellow-400' : 'text-white'}`}>{value.toLocaleString()}</p></div>);
+// Owner names with no roster match: pick a suggested rep to record an alias, or add them as a new rep
+const OwnerMatches = ({ owners, onAddAlias, onAddRep }) => { const { fmt } = useFormat(); return owners.length === 0 ? null : (<div><h4 className="text-xs text-neutral-500 uppercase mb-2">Owners not on the rep roster ({owners.length})</h4><div className="max-h-56 overflow-auto space-y-1">{owners.map(o => (<div key={o.name} className="flex items-center justify-between gap-3 text-xs px-2 py-1.5 rounded-lg bg-neutral-700/30"><div className="min-w-0"><p className="text-white truncate">{o.name}</p><p className="text-[10px] text-neutral-500">{o.count.toLocaleString()} deals • {fmt(o.amount)}</p></div><div className="flex items-center gap-1.5 flex-shrink-0">{o.suggestions.map(s => <button key={s.rep.id} onClick={() => onAddAlias(o.name, s.rep.id)} className="px-2 py-0.5 rounded-lg bg-green-500/10 text-green-400 hover:bg-green-500/20 transition-all" title={`Treat "${o.name}" as ${s.rep.name}`}>= {s.rep.name} <span className="text-green-600">{pct(s.score)}</span></button>)}<button onClick={() => onAddRep(o.name)} className="flex items-center gap-1 px-2 py-0.5 rounded-lg bg-neutral-700 text-neutral-300 hover:text-white transition-all" title="Add to the rep roster"><UserPlus size={10} />New rep</button></div></div>))}</div></div>); };
+const IssueList = ({ title, items }) => items.length === 0 ? null : (<div><h4 className="text-xs text-neutral-500 uppercase mb-2">{title} ({items.length})</h4><div className="max-h-32 overflow-auto space-y-1">{items.slice(0, 200).map(it => (<div key={it.row} className="flex justify-between text-xs px-2 py-1 rounded-lg bg-neutral-700/30"><span className="text-neutral-400">Row {it.row} • {it.account || 'Unknown'}</span><span className="text-yellow-400">{it.value ? `"${it.value}"` : '(blank)'}</span></div>))}</div></div>);
+
+// Post-upload validation report: skipped rows by reason, heuristic rewrites of
+// vertical/source/type, amounts/close dates that failed to parse, and owner
+// names that do not match the rep roster.
+const ImportReport = ({ result, onClose, unknownOwners = [], onAddAlias, onAddRep }) => {
+  const ref = useRef(null);
+  useEffect(() => { const h = e => { if (e.key === 'Escape') onClose(); }; if (result) { document.addEventListener('keydown', h); document.body.style.overflow = 'hidden'; } return () => { document.removeEventListener('keydown', h); document.body.style.overflow = 'unset'; }; }, [result, onClose]);
+  if (!result) return null;
+
+  const { fileName, headers, report } = result;
+  const skipped = skippedCount(report);
+  const coercions = Object.values(report.coercions).sort((a, b) => a.field.localeCompare(b.field) || b.count - a.count);
+  const downloadRejected = () => { const b = new Blob([rejectedRowsCSV(headers, report)], { type: 'text/csv' }); const u = URL.createObjectURL(b); const a = document.createElement('a'); a.href = u; a.download = `${fileName.replace(/\.[^.]+$/, '')}-rejected.csv`; a.click(); URL.revokeObjectURL(u); };
+
+  return (
+    <div className="fixed inset-0 bg-black/90 backdrop-blur-sm z-50 flex items-center justify-center p-4" onClick={e => { if (ref.current && !ref.current.contains(e.target)) onClose(); }}>
+      <div ref={ref} className="bg-neutral-800 border border-neutral-700 rounded-2xl w-full max-w-3xl max-h-[85vh] overflow-hidden flex flex-col">
+        <div className="px-5 py-4 border-b border-neutral-700 flex justify-between items-center"><div><h3 className="text-base font-semibold text-white">Import Report</h3><p className="text-xs text-neutral-400 mt-0.5">{fileName}</p></div><button onClick={onClose} className="p-2 rounded-xl hover:bg-neutral-700 transition-all"><X size={18} className="text-neutral-400" /></button></div>
+        <div className="overflow-auto flex-1 p-5 space-y-5">
+          <div className="grid grid-cols-4 gap-3"><ReportStat label="Rows read" value={report.totalRows} /><ReportStat label="Imported" value={report.imported} /><ReportStat label="Skipped" value={skipped} tone={skipped > 0 ? 'bad' : null} /><ReportStat label="Amount issues" value={report.amountIssues.length} tone={report.amountIssues.length > 0 ? 'warn' : null} /></div>
+          {skipped > 0 ? (<div><h4 className="text-xs text-neutral-500 uppercase mb-2">Skipped rows</h4><div className="space-y-1">{Object.entries(report.skipped).sort((a, b) => b[1] - a[1]).map(([reason, n]) => (<div key={reason} className="flex items-center justify-between text-sm p-2 rounded-lg bg-neutral-700/30"><span className="flex items-center gap-2 text-neutral-300"><AlertTriangle size={12} className="text-red-400" />{reason}</span><span className="text-red-400 font-medium">{n.toLocaleString()}</span></div>))}</div></div>) : <p className="flex items-center gap-2 text-sm text-neutral-400"><CheckCircle size={14} className="text-green-500" />No rows were skipped</p>}
+          <OwnerMatches owners={unknownOwners} onAddAlias={onAddAlias} onAddRep={onAddRep} />
+          <IssueList title="Amounts that failed to parse (imported as $0)" items={report.amountIssues} />
+          <IssueList title="Close dates that failed to parse (defaulted to current year)" items={report.dateIssues} />
+          {coercions.length > 0 && (<div><h4 className="text-xs text-neutral-500 uppercase mb-2">Values rewritten by mapping rules ({coercions.length})</h4><div className="max-h-56 overflow-auto"><table className="w-full"><thead className="sticky top-0 bg-neutral-800"><tr className="text-[10px] text-neutral-500 uppercase"><th className="text-left py-1.5 px-2">Field</th><th className="text-left py-1.5 px-2">Original</th><th className="text-left py-1.5 px-2">Imported as</th><th className="text-right py-1.5 px-2">Rows</th></tr></thead><tbody className="divide-y divide-neutral-700">{coercions.map(c => (<tr key={`${c.field}|${c.from}`}><td className="py-1.5 px-2 text-xs text-neutral-400">{c.field}</td><td className="py-1.5 px-2 text-xs text-white">{c.from}</td><td className="py-1.5 px-2 text-xs text-yellow-400">{c.to}</td><td className="py-1.5 px-2 text-xs text-right text-neutral-300">{c.count.toLocaleString()}</td></tr>))}</tbody></table></div></div>)}
+        </div>
+        <div className="px-5 py-3 border-t border-neutral-700 bg-neutral-700/30 flex justify-between items-center">
+          <span className="text-xs text-neutral-500">{report.totalRows > 0 ? `${((report.imported / report.totalRows) * 100).toFixed(1)}% of rows imported` : 'No rows'}</span>
+          <div className="flex gap-2">{report.rejectedRows.length > 0 && <button onClick={downloadRejected} className="flex items-center gap-1.5 px-4 py-1.5 bg-neutral-600 text-white rounded-xl text-xs font-medium hover:bg-neutral-500 transition-all"><Download size={12} />Rejected rows CSV</button>}<button onClick={onClose} className="px-4 py-1.5 bg-green-500 text-black rounded-xl text-xs font-medium hover:bg-green-400 transition-all">Done</button></div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportReport;
@@ -0,0 +1,45 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { X, Upload, AlertCircle, CheckCircle } from 'lucide-react';
+import { OPPORTUNITY_FIELDS, guessMapping, loadSavedMapping, missingRequiredFields } from './opportunityImport.js';
+
+// Column-mapping step of an upload: lists every detected header with sample
+// values and lets the user pick the opportunity field it feeds. Workbooks with
+// several sheets get a sheet picker; switching sheets re-detects the mapping.
+// Other imports (activities) pass their own fields, saved-mapping key and required check.
+const ImportWizard = ({ upload, onClose, onImport, onSheetChange, fields = OPPORTUNITY_FIELDS, mappingKey, missingFields = missingRequiredFields }) => {
+  const [mapping, setMapping] = useState({});
+  const ref = useRef(null);
+  useEffect(() => { if (upload) setMapping(guessMapping(upload.headers, loadSavedMapping(mappingKey), fields)); }, [upload, mappingKey, fields]);
+  useEffect(() => { const h = e => { if (e.key === 'Escape') onClose(); }; if (upload) { document.addEventListener('keydown', h); document.body.style.overflow = 'hidden'; } return () => { document.removeEventListener('keydown', h); document.body.style.overflow = 'unset'; }; }, [upload, onClose]);
+  if (!upload) return null;
+
+  const { fileName, headers, rows, sheets, sheet } = upload;
+  const samples = idx => [...new Set(rows.slice(0, 50).map(r => (r[idx] || '').trim()).filter(Boolean))].slice(0, 3);
+  const setField = (header, key) => setMapping(prev => {
+    const next = { ...prev };
+    // A field can only come from one column - unmap it elsewhere
+    if (key) Object.keys(next).forEach(h => { if (next[h] === key) next[h] = ''; });
+    next[header] = key;
+    return next;
+  });
+  const missing = missingFields(mapping);
+  const mappedCount = Object.values(mapping).filter(Boolean).length;
+
+  return (
+    <div className="fixed inset-0 bg-black/90 backdrop-blur-sm z-50 flex items-center justify-center p-4" onClick={e => { if (ref.current && !ref.current.contains(e.target)) onClose(); }}>
+      <div ref={ref} className="bg-neutral-800 border border-neutral-700 rounded-2xl w-full max-w-3xl max-h-[85vh] overflow-hidden flex flex-col">
+        <div className="px-5 py-4 border-b border-neutral-700 flex justify-between items-center"><div><h3 className="text-base font-semibold text-white">Map Columns</h3><p className="text-xs text-neutral-400 mt-0.5">{fileName} • {headers.length} columns • {rows.length.toLocaleString()} rows</p></div>{sheets?.length > 1 && <label className="ml-auto mr-3 flex items-center gap-2 text-xs text-neutral-400">Sheet<select value={sheet} onChange={e => onSheetChange(e.target.value)} className="px-2 py-1 bg-neutral-700 border border-neutral-600 rounded-lg text-xs text-white">{sheets.map(n => <option key={n} value={n}>{n}</option>)}</select></label>}<button onClick={onClose} className="p-2 rounded-xl hover:bg-neutral-700 transition-all"><X size={18} className="text-neutral-400" /></button></div>
+        <div className="overflow-auto flex-1">
+          <table className="w-full"><thead className="bg-neutral-700/50 sticky top-0"><tr><th className="text-left py-2.5 px-4 text-[10px] font-semibold text-neutral-400 uppercase">Column</th><th className="text-left py-2.5 px-4 text-[10px] font-semibold text-neutral-400 uppercase">Sample values</th><th className="text-left py-2.5 px-4 text-[10px] font-semibold text-neutral-400 uppercase">Maps to</th></tr></thead>
+          <tbody className="divide-y divide-neutral-700">{headers.map((h, i) => (<tr key={`${h}-${i}`} className="hover:bg-neutral-700/50 transition-all"><td className="py-2 px-4 text-sm text-white">{h || <span className="text-neutral-500">(blank)</span>}</td><td className="py-2 px-4 text-[10px] text-neutral-500 truncate max-w-56">{samples(i).join(' • ') || '—'}</td><td className="py-2 px-4"><select value={mapping[h] || ''} onChange={e => setField(h, e.target.value)} className={`w-48 px-2 py-1 bg-neutral-700 border rounded-lg text-xs ${mapping[h] ? 'border-green-500/40 text-white' : 'border-neutral-600 text-neutral-400'}`}><option value="">— Ignore —</option>{fields.map(f => <option key={f.key} value={f.key}>{f.label}{f.required ? ' *' : ''}</option>)}</select></td></tr>))}</tbody></table>
+        </div>
+        <div className="px-5 py-3 border-t border-neutral-700 bg-neutral-700/30 flex justify-between items-center">
+          {missing.length > 0 ? <span className="flex items-center gap-1.5 text-xs text-yellow-400"><AlertCircle size={12} />Map required: {missing.map(f => f.label).join(', ')}</span> : <span className="flex items-center gap-1.5 text-xs text-neutral-500"><CheckCircle size={12} className="text-green-500" />{mappedCount} of {fields.length} fields mapped • mapping is remembered for the next upload</span>}
+          <div className="flex gap-2"><button onClick={onClose} className="px-4 py-1.5 text-neutral-400 text-xs font-medium hover:text-white transition-all">Cancel</button><button disabled={missing.length > 0} onClick={() => onImport(mapping)} className="flex items-center gap-1.5 px-4 py-1.5 bg-green-500 text-black rounded-xl text-xs font-medium hover:bg-green-400 disabled:opacity-40 disabled:cursor-not-allowed transition-all"><Upload size={12} />Import</button></div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportWizard;
@@ -0,0 +1,39 @@
+import React, { useState } from 'react';
+import { ComposedChart, Bar, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { pct, colors, useFormat } from './format.js';
+import { GENERATION_SPLITS } from './pipelineGeneration.js';
+
+const attainmentClass = a => a == null ? 'text-neutral-500' : a >= 1 ? 'text-green-400' : a >= 0.8 ? 'text-yellow-400' : 'text-red-400';
+
+const GenerationTooltip = ({ active, payload }) => { const { fmt } = useFormat(); if (!active || !payload?.length) return null; const r = payload[0].payload; return (<div className="bg-neutral-800 border border-neutral-700 rounded-xl p-3 shadow-xl"><p className="text-xs font-medium text-neutral-300 mb-1">{r.label}</p><p className="text-xs text-white">{fmt(r.value)} created • {r.count} deals</p>{r.goal != null && <p className="text-xs text-neutral-400">Goal {fmt(r.goal)} • {pct(r.attainment)}</p>}</div>); };
+
+// Pipeline created per quarter against goal, pacing for the quarter in
+// progress and the split by source, rep or territory
+const PipelineGeneration = ({ rows, current, pacing, onDrill }) => {
+  const { fmt } = useFormat();
+  const [split, setSplit] = useState('source');
+  const groups = [...new Set(rows.flatMap(r => r.splits[split].map(g => g.name)))];
+  const total = name => rows.reduce((s, r) => s + (r.splits[split].find(g => g.name === name)?.value || 0), 0);
+  groups.sort((a, b) => total(b) - total(a));
+  return (
+    <div>
+      {current && pacing && (<div className="grid grid-cols-4 gap-3 mb-4">
+        <div className="p-3 bg-neutral-700/30 rounded-xl"><p className="text-[10px] text-neutral-500 uppercase">{current.label} created so far</p><p className="text-lg font-semibold text-white">{fmt(current.value)}</p><p className="text-[10px] text-neutral-500">{current.count} deals • {pct(current.elapsed)} of quarter gone</p></div>
+        <div className="p-3 bg-neutral-700/30 rounded-xl"><p className="text-[10px] text-neutral-500 uppercase">Pace vs goal</p><p className={`text-lg font-semibold ${attainmentClass(pacing.pace)}`}>{pacing.pace == null ? '—' : pct(pacing.pace)}</p><p className="text-[10px] text-neutral-500">{pacing.expected == null ? 'No pipeline goal this quarter' : `${fmt(pacing.expected)} expected by today`}</p></div>
+        <div className="p-3 bg-neutral-700/30 rounded-xl"><p className="text-[10px] text-neutral-500 uppercase">Projected at quarter end</p><p className={`text-lg font-semibold ${attainmentClass(current.goal > 0 ? pacing.projected / current.goal : null)}`}>{fmt(pacing.projected)}</p><p className="text-[10px] text-neutral-500">{current.goal != null ? `Goal ${fmt(current.goal)}` : 'At the current run rate'}</p></div>
+        <div className="p-3 bg-neutral-700/30 rounded-xl"><p className="text-[10px] text-neutral-500 uppercase">Needed per day</p><p className="text-lg font-semibold text-white">{pacing.neededPerDay == null ? '—' : fmt(pacing.neededPerDay)}</p><p className="text-[10px] text-neutral-500">{pacing.daysLeft} days left</p></div>
+      </div>)}
+      <div className="h-48 mb-4"><ResponsiveContainer><ComposedChart data={rows}><CartesianGrid strokeDasharray="3 3" stroke="#404040" vertical={false} /><XAxis dataKey="label" stroke="#525252" tick={{ fontSize: 10 }} interval={0} /><YAxis tickFormatter={fmt} stroke="#525252" tick={{ fontSize: 10 }} width={50} /><Tooltip content={<GenerationTooltip />} cursor={{ fill: '#404040' }} /><Bar dataKey="value" fill="#a3a3a3" radius={[4, 4, 0, 0]} onClick={e => onDrill(`Created ${e.payload.label}`, e.payload.deals)} className="cursor-pointer" /><Line type="stepAfter" dataKey="goal" stroke={colors.success} strokeDasharray="4 3" strokeWidth={2} dot={false} connectNulls={false} /></ComposedChart></ResponsiveContainer></div>
+      <div className="flex items-center gap-2 mb-2"><span className="text-xs text-neutral-500 uppercase">Created by</span>{GENERATION_SPLITS.map(s => <button key={s.key} onClick={() => setSplit(s.key)} className={`px-2 py-0.5 rounded-lg text-[10px] transition-all ${split === s.key ? 'bg-neutral-600 text-white' : 'text-neutral-500 hover:text-white'}`}>{s.label}</button>)}</div>
+      <div className="overflow-auto max-h-72"><table className="w-full">
+        <thead className="bg-neutral-700/50 sticky top-0"><tr><th className="text-left py-2 px-3 text-[10px] font-semibold text-neutral-400 uppercase">{GENERATION_SPLITS.find(s => s.key === split).label}</th>{rows.map(r => <th key={r.key} className="text-right py-2 px-3 text-[10px] font-semibold text-neutral-400 uppercase">{r.label}</th>)}</tr></thead>
+        <tbody className="divide-y divide-neutral-700">
+          {groups.map(name => (<tr key={name}><td className="py-1.5 px-3 text-xs text-white truncate max-w-40">{name}</td>{rows.map(r => { const g = r.splits[split].find(x => x.name === name); return <td key={r.key} className="py-1.5 px-3 text-xs text-right">{g ? <button onClick={() => onDrill(`${name} • created ${r.label}`, g.deals)} className="text-neutral-300 hover:text-white hover:underline">{fmt(g.value)}</button> : <span className="text-neutral-600">—</span>}</td>; })}</tr>))}
+          <tr className="bg-neutral-700/30"><td className="py-1.5 px-3 text-xs font-semibold text-white">Total vs goal</td>{rows.map(r => <td key={r.key} className="py-1.5 px-3 text-xs text-right"><p className="text-white font-medium">{fmt(r.value)}</p>{r.goal != null && <p className={`text-[10px] ${attainmentClass(r.attainment)}`}>{pct(r.attainment)} of {fmt(r.goal)}</p>}</td>)}</tr>
+        </tbody>
+      </table></div>
+    </div>
+  );
+};
+
+export default PipelineGeneration;
@@ -0,0 +1,28 @@
+import React from 'react';
+import { BarChart, Bar, Cell, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { colors, useFormat } from './format.js';
+import { snapshotDate, waterfallBars } from './pipelineMovement.js';
+
+const barColor = b => b.total ? '#ffffff' : b.key === 'won' ? '#3b82f6' : b.sign > 0 ? colors.success : colors.danger;
+
+const WaterfallTooltip = ({ active, payload }) => { const { fmt } = useFormat(); if (!active || !payload?.length) return null; const b = payload[0].payload; return (<div className="bg-neutral-800 border border-neutral-700 rounded-xl p-3 shadow-xl"><p className="text-xs font-medium text-neutral-300">{b.label}</p><p className="text-xs text-white">{b.sign < 0 ? '−' : b.sign > 0 ? '+' : ''}{fmt(b.value)} • {b.deals.length} deals</p></div>); };
+
+// Start-to-end pipeline bridge between two snapshots; clicking a bar opens its deals
+const PipelineWaterfall = ({ datasets, fromId, toId, onChangeFrom, onChangeTo, movement, onDrill }) => {
+  const { fmt } = useFormat();
+  const ordered = [...datasets].sort((a, b) => snapshotDate(a).localeCompare(snapshotDate(b)));
+  const select = (value, onChange) => <select value={value || ''} onChange={e => onChange(e.target.value || null)} className="px-2 py-1 rounded-lg bg-neutral-700 text-xs text-white border-none">{ordered.map(d => <option key={d.id} value={d.id}>{snapshotDate(d)} — {d.name}</option>)}</select>;
+  if (datasets.length < 2) return <p className="text-sm text-neutral-500 text-center py-6">Upload at least two exports to compare pipeline between them. Each upload is kept as a dated snapshot.</p>;
+  const bars = movement ? waterfallBars(movement) : [];
+  return (
+    <div>
+      <div className="flex items-center gap-2 mb-4 text-xs text-neutral-400"><span>From</span>{select(fromId, onChangeFrom)}<span>to</span>{select(toId, onChangeTo)}{movement && movement.matchBy === 'name' && <span className="ml-auto text-yellow-400">No Opportunity ID in one of these snapshots - deals matched by account, name and created date{movement.ambiguous > 0 && ` • ${movement.ambiguous} shared by several deals, counted as removed and new`}</span>}</div>
+      {!movement ? <p className="text-sm text-neutral-500 text-center py-6">Loading snapshots…</p> : (<>
+        <div className="h-56"><ResponsiveContainer><BarChart data={bars}><CartesianGrid strokeDasharray="3 3" stroke="#404040" vertical={false} /><XAxis dataKey="label" stroke="#525252" tick={{ fontSize: 10 }} interval={0} /><YAxis tickFormatter={fmt} stroke="#525252" tick={{ fontSize: 10 }} width={50} /><Tooltip content={<WaterfallTooltip />} cursor={{ fill: '#404040' }} /><Bar dataKey="base" stackId="w" fill="transparent" /><Bar dataKey="value" stackId="w" onClick={e => onDrill(e.payload)} className="cursor-pointer">{bars.map(b => <Cell key={b.key} fill={barColor(b)} />)}</Bar></BarChart></ResponsiveContainer></div>
+        <div className="grid grid-cols-11 gap-1 mt-2">{bars.map(b => (<button key={b.key} onClick={() => onDrill(b)} className="p-1.5 rounded-lg hover:bg-neutral-700 text-center transition-all"><p className="text-[10px] text-neutral-500">{b.label}</p><p className="text-xs font-semibold" style={{ color: b.total ? '#ffffff' : barColor(b) }}>{b.sign < 0 ? '−' : b.sign > 0 ? '+' : ''}{fmt(b.value)}</p><p className="text-[10px] text-neutral-500">{b.deals.length}</p></button>))}</div>
+      </>)}
+    </div>
+  );
+};
+
+export default PipelineWaterfall;
@@ -0,0 +1,127 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { X, Plus, Trash2, RotateCcw, CheckCircle, AlertCircle, Upload, Download } from 'lucide-react';
+import { QUARTERS, TERRITORIES, VERTICALS, YEARS } from './constants.js';
+import { CORPORATE_CURRENCY } from './currency.js';
+import { FISCAL_PATTERNS, MONTH_NAMES, fiscalPeriodOf, fiscalQuarterRange, toISODate } from './fiscalCalendar.js';
+import { DEFAULT_PLANNING, fiscalCalendarOf, rampScheduleOf, isQuarterSplit, quotaTotal, validatePlanning, planningToCSV, planningToJSON, planningFromCSV, planningFromJSON, addRosterRep, findRep } from './planning.js';
+
+const TABS = [{ key: 'goals', label: 'Goals' }, { key: 'territories', label: 'Territory quotas' }, { key: 'reps', label: 'Reps' }, { key: 'verticals', label: 'Verticals' }, { key: 'calendar', label: 'Fiscal calendar' }];
+const input = 'px-2 py-1 bg-neutral-700 border border-neutral-600 rounded-lg text-xs text-white';
+const th = 'text-left py-2 px-3 text-[10px] font-semibold text-neutral-400 uppercase';
+
+const toNumber = v => v === '' ? null : Math.max(0, parseFloat(v) || 0);
+
+// Annual amount, or four quarterly amounts once split; blank removes it
+const QuotaInput = ({ value, onChange }) => {
+  const split = isQuarterSplit(value);
+  const toggle = () => onChange(split ? quotaTotal(value) : Object.fromEntries(QUARTERS.map(q => [q, Math.round(quotaTotal(value) / 4)])));
+  return (<div className="flex items-center gap-1.5">{split ? QUARTERS.map(q => <input key={q} type="number" min="0" value={value[q] ?? ''} placeholder={q} title={q} onChange={e => onChange({ ...value, [q]: toNumber(e.target.value) || 0 })} className={`${input} w-24`} />) : <input type="number" min="0" value={value ?? ''} placeholder="—" onChange={e => onChange(toNumber(e.target.value))} className={`${input} w-32`} />}<button onClick={toggle} className="px-1.5 py-0.5 rounded text-[10px] text-neutral-500 hover:text-white" title={split ? 'Use one annual amount' : 'Split by quarter'}>{split ? 'annual' : 'by qtr'}</button>{split && <span className="text-[10px] text-neutral-500">= {quotaTotal(value).toLocaleString()}</span>}</div>);
+};
+
+const download = (fileName, text, type) => { const u = URL.createObjectURL(new Blob([text], { type })); const a = document.createElement('a'); a.href = u; a.download = fileName; a.click(); URL.revokeObjectURL(u); };
+
+// Goals, quotas, rep roster and excluded verticals, edited per year. Changes are
+// drafted locally and applied on Save; import replaces the sections a file contains.
+const PlanningSettings = ({ isOpen, onClose, planning, onSave, verticalOptions = [], territoryOptions = [], repOptions = [] }) => {
+  const [draft, setDraft] = useState(planning);
+  const [tab, setTab] = useState('goals');
+  const [year, setYear] = useState(() => fiscalPeriodOf(new Date(), fiscalCalendarOf(planning)).year);
+  const [newName, setNewName] = useState('');
+  const [importError, setImportError] = useState(null);
+  const ref = useRef(null);
+  const fileRef = useRef(null);
+  useEffect(() => { if (isOpen) { setDraft(planning); setImportError(null); setNewName(''); } }, [isOpen, planning]);
+  useEffect(() => { const h = e => { if (e.key === 'Escape') onClose(); }; if (isOpen) { document.addEventListener('keydown', h); document.body.style.overflow = 'hidden'; } return () => { document.removeEventListener('keydown', h); document.body.style.overflow = 'unset'; }; }, [isOpen, onClose]);
+  if (!isOpen) return null;
+
+  const years = [...new Set([...YEARS, ...Object.keys(draft.annualGoals), ...Object.keys(draft.territoryQuotas), ...draft.reps.flatMap(r => Object.keys(r.quotas)), year])].sort();
+  const territories = [...new Set([...TERRITORIES, ...territoryOptions, ...Object.values(draft.territoryQuotas).flatMap(Object.keys)])].sort();
+  const verticals = [...new Set([...VERTICALS, ...verticalOptions, ...draft.excludedVerticals])].sort();
+  const unlistedReps = repOptions.filter(n => !findRep(draft, n));
+  const problems = validatePlanning(draft);
+  const fiscal = fiscalCalendarOf(draft);
+  const setFiscal = patch => setDraft(prev => ({ ...prev, fiscalCalendar: { ...fiscalCalendarOf(prev), ...patch } }));
+  const ramp = rampScheduleOf(draft);
+  const setRamp = (i, value) => setDraft(prev => ({ ...prev, rampSchedule: QUARTERS.map((q, j) => j === i ? value : rampScheduleOf(prev)[j] ?? 1) }));
+
+  // Set or (with null) remove draft[section][year][key]
+  const setYearValue = (section, value, key) => setDraft(prev => {
+    const yearEntry = key ? { ...prev[section][year], [key]: value } : value;
+    if (key && value == null) delete yearEntry[key];
+    const next = { ...prev[section], [year]: yearEntry };
+    if (value == null && !key) delete next[year];
+    return { ...prev, [section]: next };
+  });
+  const setRep = (i, patch) => setDraft(prev => ({ ...prev, reps: prev.reps.map((r, j) => j === i ? { ...r, ...patch } : r) }));
+  const setRepQuota = (i, value) => setDraft(prev => ({ ...prev, reps: prev.reps.map((r, j) => { if (j !== i) return r; const quotas = { ...r.quotas, [year]: value }; if (value == null) delete quotas[year]; return { ...r, quotas }; }) }));
+  const addName = () => {
+    const name = newName.trim();
+    if (!name) return;
+    if (tab === 'reps') setDraft(prev => addRosterRep(prev, name));
+    if (tab === 'territories') setYearValue('territoryQuotas', 0, name);
+    if (tab === 'verticals' && !draft.excludedVerticals.includes(name)) setDraft(prev => ({ ...prev, excludedVerticals: [...prev.excludedVerticals, name] }));
+    setNewName('');
+  };
+  const toggleVertical = v => setDraft(prev => ({ ...prev, excludedVerticals: prev.excludedVerticals.includes(v) ? prev.excludedVerticals.filter(x => x !== v) : [...prev.excludedVerticals, v] }));
+
+  const importFile = async e => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      const text = await file.text();
+      setDraft(prev => /\.csv$/i.test(file.name) ? planningFromCSV(text, prev) : planningFromJSON(text, prev));
+      setImportError(null);
+    } catch (err) {
+      setImportError(`${file.name}: ${err.message}`);
+    } finally {
+      fileRef.current.value = '';
+    }
+  };
+  const stamp = new Date().toISOString().split('T')[0];
+  const save = () => { onSave(draft); onClose(); };
+
+  return (
+    <div className="fixed inset-0 bg-black/90 backdrop-blur-sm z-50 flex items-center justify-center p-4" onClick={e => { if (ref.current && !ref.current.contains(e.target)) onClose(); }}>
+      <div ref={ref} className="bg-neutral-800 border border-neutral-700 rounded-2xl w-full max-w-4xl max-h-[85vh] overflow-hidden flex flex-col">
+        <div className="px-5 py-4 border-b border-neutral-700 flex justify-between items-center"><div><h3 className="text-base font-semibold text-white">Planning</h3><p className="text-xs text-neutral-400 mt-0.5">Goals and quotas in {CORPORATE_CURRENCY} • quarterly splits and rep dates prorate quotas on the dashboard</p></div><button onClick={onClose} className="p-2 rounded-xl hover:bg-neutral-700 transition-all"><X size={18} className="text-neutral-400" /></button></div>
+        <div className="px-5 pt-3 flex items-center justify-between border-b border-neutral-700">
+          <div className="flex gap-1">{TABS.map(t => <button key={t.key} onClick={() => { setTab(t.key); setNewName(''); }} className={`px-3 py-2 text-xs font-medium border-b-2 transition-all ${tab === t.key ? 'border-white text-white' : 'border-transparent text-neutral-500 hover:text-neutral-300'}`}>{t.label}</button>)}</div>
+          {tab !== 'verticals' && <label className="flex items-center gap-2 text-xs text-neutral-400 pb-2">Year<select value={year} onChange={e => setYear(e.target.value)} className={input}>{years.map(y => <option key={y} value={y}>{y}</option>)}</select><button onClick={() => setYear(String(Math.max(...years.map(Number)) + 1))} className="p-1 rounded text-neutral-500 hover:text-white" title="Add next year"><Plus size={12} /></button></label>}
+        </div>
+        <div className="overflow-auto flex-1 p-5">
+          {tab === 'goals' && (<div className="space-y-4 text-xs text-neutral-400">
+            <div className="flex items-center gap-4"><span className="w-36">Revenue goal {year}</span><QuotaInput value={draft.annualGoals[year]} onChange={v => setYearValue('annualGoals', v)} /></div>
+            <div className="flex items-center gap-4"><span className="w-36">Pipeline goal {year}</span><QuotaInput value={draft.pipelineGoals[year]} onChange={v => setYearValue('pipelineGoals', v)} /></div>
+            <div className="flex items-center gap-4"><span className="w-36">Goal deal size (all years)</span><input type="number" min="0" value={draft.goalDealSize ?? ''} onChange={e => setDraft(prev => ({ ...prev, goalDealSize: toNumber(e.target.value) }))} className={`${input} w-32`} /></div>
+          </div>)}
+          {tab === 'territories' && (<table className="w-full"><thead className="bg-neutral-700/50"><tr><th className={th}>Territory</th><th className={th}>Quota {year}</th></tr></thead>
+            <tbody className="divide-y divide-neutral-700">{territories.map(t => (<tr key={t}><td className="py-1.5 px-3 text-sm text-white">{t}</td><td className="py-1.5 px-3"><QuotaInput value={draft.territoryQuotas[year]?.[t]} onChange={v => setYearValue('territoryQuotas', v, t)} /></td></tr>))}</tbody></table>)}
+          {tab === 'reps' && (<><div className="flex items-center gap-2 mb-3 text-xs text-neutral-400"><span>New-hire ramp</span>{QUARTERS.map((q, i) => <label key={q} className="flex items-center gap-1 text-[10px] text-neutral-500">{`Qtr ${i + 1}`}<input type="number" min="0" max="100" value={ramp[i] == null ? '' : Math.round(ramp[i] * 100)} onChange={e => setRamp(i, e.target.value === '' ? 1 : Number(e.target.value) / 100)} className={`${input} w-14`} />%</label>)}<span className="text-[10px] text-neutral-500">of quota, counting fiscal quarters from the start date; full quota after</span></div><table className="w-full"><thead className="bg-neutral-700/50"><tr><th className={th}>Rep</th><th className={th}>Aliases</th><th className={th}>Start</th><th className={th}>End</th><th className={th}>Quota {year}</th><th className={th} /></tr></thead>
+            <tbody className="divide-y divide-neutral-700">{draft.reps.map((r, i) => (<tr key={r.id}><td className="py-1.5 px-3"><input value={r.name} onChange={e => setRep(i, { name: e.target.value })} className={`${input} w-40`} /></td><td className="py-1.5 px-3"><input key={`${r.id}-${r.aliases.join('|')}`} defaultValue={r.aliases.join(', ')} onBlur={e => setRep(i, { aliases: e.target.value.split(',').map(a => a.trim()).filter(Boolean) })} placeholder="Other spellings, comma-separated" className={`${input} w-44`} /></td><td className="py-1.5 px-3"><input type="date" value={r.startDate} onChange={e => setRep(i, { startDate: e.target.value })} className={input} /></td><td className="py-1.5 px-3"><input type="date" value={r.endDate} onChange={e => setRep(i, { endDate: e.target.value })} className={input} /></td><td className="py-1.5 px-3"><QuotaInput value={r.quotas[year]} onChange={v => setRepQuota(i, v)} /></td><td className="py-1.5 px-3 text-right"><button onClick={() => setDraft(prev => ({ ...prev, reps: prev.reps.filter((_, j) => j !== i) }))} className="p-1 rounded text-neutral-500 hover:text-red-400" title="Remove rep"><Trash2 size={12} /></button></td></tr>))}</tbody></table></>)}
+          {tab === 'verticals' && (<><p className="text-[10px] text-neutral-500 mb-3">Checked verticals are left out of vertical analysis and the vertical filter.</p><div className="grid grid-cols-3 gap-2">{verticals.map(v => <label key={v} className="flex items-center gap-2 text-xs text-neutral-300 cursor-pointer"><input type="checkbox" checked={draft.excludedVerticals.includes(v)} onChange={() => toggleVertical(v)} className="accent-red-500" />{v}</label>)}</div></>)}
+          {tab === 'calendar' && (<div className="space-y-4 text-xs text-neutral-400">
+            <div className="flex items-center gap-4"><span className="w-36">Fiscal year starts</span><select value={fiscal.startMonth} onChange={e => setFiscal({ startMonth: parseInt(e.target.value) })} className={input}>{MONTH_NAMES.map((m, i) => <option key={m} value={i + 1}>{m}</option>)}</select></div>
+            <div className="flex items-center gap-4"><span className="w-36">Months</span><select value={fiscal.pattern} onChange={e => setFiscal({ pattern: e.target.value })} className={input}>{FISCAL_PATTERNS.map(p => <option key={p.key} value={p.key}>{p.label}</option>)}</select>{fiscal.pattern === '4-4-5' && <span className="text-[10px] text-neutral-500">Years start on the Sunday on or before the 1st; a 53rd week falls in the last month</span>}</div>
+            <p className="text-[10px] text-neutral-500">Fiscal years are named for the year they end in. Close dates, the time filters, trends and goals all follow this calendar.</p>
+            <table className="w-72"><thead className="bg-neutral-700/50"><tr><th className={th}>FY{year}</th><th className={th}>From</th><th className={th}>To</th></tr></thead>
+              <tbody className="divide-y divide-neutral-700">{QUARTERS.map(q => { const { start, end } = fiscalQuarterRange(year, q, fiscal); return (<tr key={q}><td className="py-1.5 px-3 text-white">{q}</td><td className="py-1.5 px-3">{toISODate(start)}</td><td className="py-1.5 px-3">{toISODate(new Date(end.getFullYear(), end.getMonth(), end.getDate() - 1))}</td></tr>); })}</tbody></table>
+          </div>)}
+          {!['goals', 'calendar'].includes(tab) && (<div className="flex items-center gap-2 mt-3"><input value={newName} onChange={e => setNewName(e.target.value)} onKeyDown={e => { if (e.key === 'Enter') addName(); }} list={tab === 'reps' ? 'planning-unlisted-reps' : undefined} placeholder={tab === 'reps' ? 'Rep name' : tab === 'territories' ? 'Territory' : 'Vertical'} className={`${input} w-48`} /><button disabled={!newName.trim()} onClick={addName} className="flex items-center gap-1 px-2 py-1 rounded-lg bg-neutral-700 text-xs text-neutral-300 hover:text-white disabled:opacity-40 transition-all"><Plus size={12} />Add</button>{tab === 'reps' && unlistedReps.length > 0 && <span className="text-[10px] text-neutral-500">{unlistedReps.length} reps in the data are not on the roster</span>}<datalist id="planning-unlisted-reps">{unlistedReps.map(n => <option key={n} value={n} />)}</datalist></div>)}
+        </div>
+        <div className="px-5 py-3 border-t border-neutral-700 bg-neutral-700/30 flex justify-between items-center gap-3">
+          <div className="flex items-center gap-3 min-w-0">
+            <input ref={fileRef} type="file" accept=".json,.csv" onChange={importFile} className="hidden" />
+            <button onClick={() => fileRef.current.click()} className="flex items-center gap-1.5 text-xs text-neutral-400 hover:text-white transition-all" title="Import JSON or CSV"><Upload size={12} />Import</button>
+            <button onClick={() => download(`planning-${stamp}.json`, planningToJSON(draft), 'application/json')} className="flex items-center gap-1.5 text-xs text-neutral-400 hover:text-white transition-all"><Download size={12} />JSON</button>
+            <button onClick={() => download(`planning-${stamp}.csv`, planningToCSV(draft), 'text/csv')} className="flex items-center gap-1.5 text-xs text-neutral-400 hover:text-white transition-all"><Download size={12} />CSV</button>
+            <button onClick={() => setDraft(DEFAULT_PLANNING)} className="flex items-center gap-1.5 text-xs text-neutral-400 hover:text-white transition-all"><RotateCcw size={12} />Defaults</button>
+            {importError ? <span className="flex items-center gap-1.5 text-xs text-red-400 truncate"><AlertCircle size={12} />{importError}</span> : problems.length > 0 ? <span className="flex items-center gap-1.5 text-xs text-yellow-400 truncate" title={problems.join('\n')}><AlertCircle size={12} />{problems[0]}{problems.length > 1 ? ` (+${problems.length - 1} more)` : ''}</span> : <span className="flex items-center gap-1.5 text-xs text-neutral-500"><CheckCircle size={12} className="text-green-500" />{draft.reps.length} reps</span>}
+          </div>
+          <div className="flex gap-2 flex-shrink-0"><button onClick={onClose} className="px-4 py-1.5 text-neutral-400 text-xs font-medium hover:text-white transition-all">Cancel</button><button disabled={problems.length > 0} onClick={save} className="px-4 py-1.5 bg-green-500 text-black rounded-xl text-xs font-medium hover:bg-green-400 disabled:opacity-40 disabled:cursor-not-allowed transition-all">Save</button></div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PlanningSettings;
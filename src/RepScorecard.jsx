@@ -0,0 +1,69 @@
+import React, { useEffect } from 'react';
+import { BarChart, Bar, Cell, XAxis, YAxis, CartesianGrid, Tooltip, ReferenceLine, ResponsiveContainer } from 'recharts';
+import { X } from 'lucide-react';
+import { pct, colors, useFormat } from './format.js';
+import { PACE_STATUSES } from './pacing.js';
+
+const formatValue = (value, format, fmt) => value == null ? '—' : format === 'currency' ? fmt(value) : format === 'percent' ? pct(value) : `${Math.round(value)}d`;
+
+const attainmentColor = a => a >= 1 ? colors.success : a >= 0.7 ? colors.warning : colors.danger;
+
+// Top half of territory peers green, bottom quarter red
+const rankClass = p => p == null ? 'text-neutral-500' : p >= 0.5 ? 'text-green-400' : p >= 0.25 ? 'text-yellow-400' : 'text-red-400';
+
+const TrendTooltip = ({ active, payload }) => { const { fmt } = useFormat(); if (!active || !payload?.length) return null; const q = payload[0].payload; return (<div className="bg-neutral-800 border border-neutral-700 rounded-xl p-3 shadow-xl"><p className="text-xs font-medium text-neutral-300 mb-1">{q.label}{q.elapsed < 1 ? ' (to date)' : ''}</p><p className="text-xs text-white">{fmt(q.revenue)}{q.quota > 0 ? ` of ${fmt(q.quota)}` : ''}</p><p className="text-xs text-neutral-400">{q.attainment == null ? 'No quota' : `${pct(q.attainment)} attainment`}</p></div>); };
+
+// Rep share against team share, one row per bucket
+const MixBars = ({ rows, onDrill, title }) => rows.length === 0 ? <p className="text-xs text-neutral-500 py-3 text-center">No won deals this period</p> : (
+  <div className="space-y-1.5">{rows.map(r => (<div key={r.name} onClick={() => r.deals.length && onDrill(`${title} - ${r.name}`, r.deals)} className={`${r.deals.length ? 'cursor-pointer hover:bg-neutral-700/40' : ''} rounded-lg px-1 py-0.5 transition-all`}>
+    <div className="flex justify-between text-[10px] mb-0.5"><span className="text-neutral-300 truncate">{r.name}</span><span className="text-neutral-500">{pct(r.share)} <span className="text-neutral-600">vs {pct(r.teamShare)}</span></span></div>
+    <div className="relative h-1.5 bg-neutral-700 rounded-full"><div className="absolute inset-y-0 left-0 bg-white rounded-full" style={{ width: `${r.share * 100}%` }} /><div className="absolute -inset-y-0.5 w-0.5 bg-yellow-500" style={{ left: `${r.teamShare * 100}%` }} /></div>
+  </div>))}</div>
+);
+
+// Full-page view of one rep: attainment trend over every year, the period's
+// metrics against the team median and territory peers, and what sits behind
+// them. `covered` is set while a drill-down sits on top, so Escape closes that first.
+const RepScorecard = ({ card, onClose, onDrill, covered }) => {
+  const { fmt, fmtFull, fmtPeriod } = useFormat();
+  useEffect(() => { const h = e => { if (e.key === 'Escape' && !covered) onClose(); }; if (card) { document.addEventListener('keydown', h); document.body.style.overflow = 'hidden'; } return () => { document.removeEventListener('keydown', h); document.body.style.overflow = 'unset'; }; }, [card, covered, onClose]);
+  if (!card) return null;
+  const quarters = card.quarters.map(q => ({ ...q, label: fmtPeriod(q.key) }));
+  const drill = (title, deals) => onDrill(`${card.name} - ${title}`, deals);
+  const lostTotal = card.lostDeals.length;
+  const h3 = 'text-xs text-neutral-500 uppercase mb-2';
+  return (
+    <div className="fixed inset-0 bg-black/90 backdrop-blur-sm z-50 flex items-center justify-center p-4" onClick={e => { if (e.target === e.currentTarget) onClose(); }}>
+      <div className="bg-neutral-800 border border-neutral-700 rounded-2xl w-full max-w-6xl max-h-[90vh] flex flex-col overflow-hidden">
+        <div className="px-5 py-4 border-b border-neutral-700 flex justify-between items-center"><div><h3 className="text-base font-semibold text-white">{card.name}</h3><p className="text-xs text-neutral-400 mt-0.5">{card.territory || 'No territory'}{card.row ? ` • ${card.row.won}W/${card.row.lost}L this period` : ''}{card.row?.paceStatus ? ` • ${PACE_STATUSES.find(p => p.key === card.row.paceStatus).label}: ${pct(card.row.attainment)} of quota vs ${pct(card.row.expectedAttainment)} expected` : ''}{card.rep?.endDate ? ` • left ${card.rep.endDate}` : ''}</p></div><button onClick={onClose} className="p-2 rounded-xl hover:bg-neutral-700 transition-all"><X size={18} className="text-neutral-400" /></button></div>
+        <div className="overflow-auto p-5 space-y-6">
+          <div className="grid grid-cols-3 lg:grid-cols-6 gap-3">{card.ranks.map(m => (<div key={m.key} className="p-3 rounded-xl bg-neutral-700/30">
+            <p className="text-[10px] text-neutral-500 uppercase">{m.label}</p>
+            <p className="text-lg font-semibold text-white">{formatValue(m.value, m.format, fmt)}</p>
+            {card.team[m.key] !== undefined && <p className="text-[10px] text-neutral-500">Team median {formatValue(card.team[m.key], m.format, fmt)}</p>}
+            <p className={`text-[10px] ${rankClass(m.percentile)}`}>{m.percentile == null ? 'No territory peers' : `P${Math.round(m.percentile * 100)} of ${m.peers} in ${card.territory}`}</p>
+          </div>))}</div>
+
+          <div>
+            <div className="flex items-center mb-2"><h3 className="text-xs text-neutral-500 uppercase">Quarterly attainment</h3><span className="ml-auto text-[10px] text-neutral-500">Click a quarter for its wins</span></div>
+            {quarters.length === 0 ? <p className="text-sm text-neutral-500 text-center py-6">No quota or closed revenue in any quarter</p> : (<div className="h-48"><ResponsiveContainer><BarChart data={quarters} onClick={e => { const q = e?.activePayload?.[0]?.payload; if (q?.deals.length) drill(`${q.label} wins`, q.deals); }}><CartesianGrid strokeDasharray="3 3" stroke="#404040" vertical={false} /><XAxis dataKey="label" stroke="#525252" tick={{ fontSize: 10 }} interval="preserveStartEnd" /><YAxis tickFormatter={pct} stroke="#525252" tick={{ fontSize: 10 }} width={45} /><Tooltip content={<TrendTooltip />} cursor={{ fill: '#404040' }} /><ReferenceLine y={1} stroke="#ffffff" strokeDasharray="4 3" /><Bar dataKey="attainment" radius={[3, 3, 0, 0]}>{quarters.map(q => <Cell key={q.key} fill={attainmentColor(q.attainment)} fillOpacity={q.elapsed < 1 ? 0.5 : 1} />)}</Bar></BarChart></ResponsiveContainer></div>)}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+            <div><h3 className={h3}>Deal size <span className="normal-case text-neutral-600">(wins, vs team)</span></h3><MixBars rows={card.dealSizes.map(b => ({ ...b, name: b.band }))} onDrill={drill} title="Deal size" /></div>
+            <div><h3 className={h3}>Vertical mix</h3><MixBars rows={card.verticalMix.slice(0, 8)} onDrill={drill} title="Vertical" /></div>
+            <div><h3 className={h3}>Source mix</h3><MixBars rows={card.sourceMix.slice(0, 8)} onDrill={drill} title="Source" /></div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div><h3 className={h3}>Loss reasons <span className="normal-case text-neutral-600">({lostTotal} lost)</span></h3>{card.lossReasons.length === 0 ? <p className="text-xs text-neutral-500 py-3 text-center">No losses with a reason this period</p> : (<div className="space-y-1">{card.lossReasons.slice(0, 8).map(r => (<div key={r.name} onClick={() => drill(`Lost - ${r.name}`, card.lostDeals.filter(o => o.lossReason === r.name))} className="flex items-center gap-2 px-1 py-0.5 rounded-lg hover:bg-neutral-700/40 cursor-pointer transition-all"><span className="text-xs text-neutral-300 flex-1 truncate">{r.name}</span><span className="text-[10px] text-neutral-500">{r.count} • {pct(r.pctOfLoss)}</span><span className="text-xs text-red-400 w-14 text-right">{fmt(r.value)}</span></div>))}</div>)}</div>
+            <div><h3 className={h3}>Open pipeline by close quarter</h3>{card.pipelineByQuarter.length === 0 ? <p className="text-xs text-neutral-500 py-3 text-center">No open deals</p> : (<div className="space-y-1">{card.pipelineByQuarter.map(q => { const max = Math.max(...card.pipelineByQuarter.map(p => p.value)); return (<div key={q.key} onClick={() => drill(`Pipeline ${fmtPeriod(q.key)}`, q.deals)} className="flex items-center gap-2 px-1 py-0.5 rounded-lg hover:bg-neutral-700/40 cursor-pointer transition-all"><span className={`text-xs w-16 ${q.pastDue ? 'text-red-400' : 'text-neutral-300'}`}>{fmtPeriod(q.key)}</span><div className="flex-1 h-1.5 bg-neutral-700 rounded-full overflow-hidden"><div className={`h-full rounded-full ${q.pastDue ? 'bg-red-500' : 'bg-white'}`} style={{ width: `${max ? q.value / max * 100 : 0}%` }} /></div><span className="text-[10px] text-neutral-500 w-10 text-right">{q.count}</span><span className="text-xs text-white w-14 text-right">{fmt(q.value)}</span></div>); })}{card.pipelineByQuarter.some(q => q.pastDue) && <p className="text-[10px] text-red-400/80 pt-1">Red quarters have passed - those deals need new close dates</p>}</div>)}</div>
+          </div>
+        </div>
+        <div className="px-5 py-3 border-t border-neutral-700 bg-neutral-700/30 flex justify-between items-center"><span className="text-xs text-neutral-500">{card.deals.length} deals this period • {fmtFull(card.deals.reduce((s, d) => s + d.amount, 0))}</span><div className="flex gap-2"><button onClick={() => drill('all deals', card.deals)} className="px-4 py-1.5 text-neutral-300 text-xs font-medium hover:text-white transition-all">View deals</button><button onClick={onClose} className="px-4 py-1.5 bg-neutral-600 text-white rounded-xl text-xs font-medium hover:bg-neutral-500 transition-all">Close</button></div></div>
+      </div>
+    </div>
+  );
+};
+
+export default RepScorecard;
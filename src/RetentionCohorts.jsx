@@ -0,0 +1,37 @@
+import React, { useState } from 'react';
+import { BarChart, Bar, Cell, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { pct, colors, useFormat } from './format.js';
+import { waterfallBars } from './pipelineMovement.js';
+
+const barColor = b => b.total ? '#ffffff' : b.sign > 0 ? colors.success : colors.danger;
+
+const BridgeTooltip = ({ active, payload }) => { const { fmt } = useFormat(); if (!active || !payload?.length) return null; const b = payload[0].payload; return (<div className="bg-neutral-800 border border-neutral-700 rounded-xl p-3 shadow-xl"><p className="text-xs font-medium text-neutral-300">{b.label}</p><p className="text-xs text-white">{b.sign < 0 ? '−' : b.sign > 0 ? '+' : ''}{fmt(b.value)} • {b.accounts} accounts</p></div>); };
+
+// Retained share shaded from red (nothing left) to green (fully retained or more)
+const cellStyle = share => share == null ? {} : { backgroundColor: share >= 1 ? 'rgba(34,197,94,0.35)' : `rgba(${Math.round(239 - 205 * share)},${Math.round(68 + 129 * share)},${Math.round(68 + 26 * share)},${0.15 + 0.2 * share})` };
+
+// Revenue bridge between the two compared years, then the acquisition-year
+// cohort grid in dollars or logos. Bars and cells open the deals behind them.
+const RetentionCohorts = ({ bridge, cohorts, onDrill }) => {
+  const { fmt } = useFormat();
+  const [mode, setMode] = useState('dollar');
+  const bars = waterfallBars(bridge).map(b => ({ ...b, accounts: b.total ? bridge[b.key].accounts : bridge.steps.find(s => s.key === b.key).accounts.length }));
+  const drillBar = b => onDrill(`${b.label}: ${bridge.fromYear} → ${bridge.toYear}`, `${b.accounts} accounts • ${fmt(b.value)}`, b.deals);
+  const years = [...new Set(cohorts.flatMap(c => c.cells.map(cell => cell.year)))].sort();
+  const th = 'py-2 px-2 text-[10px] font-semibold text-neutral-400 uppercase';
+  return (
+    <div className="mt-5 pt-4 border-t border-neutral-700">
+      <h3 className="text-xs text-neutral-500 uppercase mb-2">Revenue bridge {bridge.fromYear} → {bridge.toYear}</h3>
+      <div className="h-48"><ResponsiveContainer><BarChart data={bars}><CartesianGrid strokeDasharray="3 3" stroke="#404040" vertical={false} /><XAxis dataKey="label" stroke="#525252" tick={{ fontSize: 10 }} interval={0} /><YAxis tickFormatter={fmt} stroke="#525252" tick={{ fontSize: 10 }} width={50} /><Tooltip content={<BridgeTooltip />} cursor={{ fill: '#404040' }} /><Bar dataKey="base" stackId="w" fill="transparent" /><Bar dataKey="value" stackId="w" onClick={e => drillBar(e.payload)} className="cursor-pointer">{bars.map(b => <Cell key={b.key} fill={barColor(b)} />)}</Bar></BarChart></ResponsiveContainer></div>
+      <div className="grid grid-cols-6 gap-1 mt-2 mb-6">{bars.map(b => (<button key={b.key} onClick={() => drillBar(b)} className="p-1.5 rounded-lg hover:bg-neutral-700 text-center transition-all"><p className="text-[10px] text-neutral-500">{b.total ? `${b.label} ${b.key === 'start' ? bridge.fromYear : bridge.toYear}` : b.label}</p><p className="text-xs font-semibold" style={{ color: barColor(b) }}>{b.sign < 0 ? '−' : b.sign > 0 ? '+' : ''}{fmt(b.value)}</p><p className="text-[10px] text-neutral-500">{b.accounts} accounts</p></button>))}</div>
+
+      <div className="flex items-center gap-2 mb-2"><h3 className="text-xs text-neutral-500 uppercase">Cohorts by first won year</h3><div className="ml-auto flex gap-1">{[['dollar', 'Dollars'], ['logo', 'Logos']].map(([key, label]) => <button key={key} onClick={() => setMode(key)} className={`px-2 py-0.5 rounded-lg text-[10px] transition-all ${mode === key ? 'bg-neutral-600 text-white' : 'text-neutral-500 hover:text-white'}`}>{label}</button>)}</div></div>
+      {cohorts.length === 0 ? <p className="text-xs text-neutral-500">No won revenue in this data</p> : (<div className="overflow-auto"><table className="w-full">
+        <thead className="bg-neutral-700/50"><tr><th className={`${th} text-left`}>Cohort</th><th className={`${th} text-right`}>Accounts</th><th className={`${th} text-right`}>First year</th>{years.map(y => <th key={y} className={`${th} text-center`}>{y}</th>)}</tr></thead>
+        <tbody className="divide-y divide-neutral-700">{cohorts.map(c => (<tr key={c.year}><td className="py-1.5 px-2 text-xs text-white">{c.year}{c.censored && <span className="text-neutral-500" title="First year of data - includes customers acquired earlier"> *</span>}</td><td className="py-1.5 px-2 text-xs text-right text-neutral-300">{c.logos}</td><td className="py-1.5 px-2 text-xs text-right text-neutral-300">{fmt(c.revenue)}</td>{years.map(y => { const cell = c.cells.find(x => x.year === y); if (!cell) return <td key={y} />; const share = mode === 'dollar' ? cell.dollarRetention : cell.logoRetention; return <td key={y} className="p-0.5"><button disabled={cell.logos === 0} onClick={() => onDrill(`${c.year} cohort in ${y}`, `${cell.logos} of ${c.logos} accounts • ${fmt(cell.revenue)}`, cell.deals)} className="w-full py-1 rounded text-center text-xs text-white hover:ring-1 hover:ring-neutral-400 disabled:hover:ring-0 transition-all" style={cellStyle(share)}>{share == null ? '—' : pct(share)}<span className="block text-[10px] text-neutral-400">{mode === 'dollar' ? fmt(cell.revenue) : `${cell.logos} logos`}</span></button></td>; })}</tr>))}</tbody>
+      </table>{cohorts.some(c => c.censored) && <p className="text-[10px] text-neutral-500 mt-2">* First year of data - includes customers acquired earlier.</p>}</div>)}
+    </div>
+  );
+};
+
+export default RetentionCohorts;
@@ -0,0 +1,43 @@
+import React, { useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ReferenceLine, ResponsiveContainer } from 'recharts';
+import { pct, colors, useFormat } from './format.js';
+import { TTM_GRANULARITIES } from './retention.js';
+
+const SERIES = [
+  { key: 'ndrAmount', label: 'NDR', stroke: '#ffffff' },
+  { key: 'gdrAmount', label: 'GDR', stroke: '#a3a3a3' },
+  { key: 'gdrLogo', label: 'Logo retention', stroke: '#737373' },
+];
+
+const TrendTooltip = ({ active, payload }) => { if (!active || !payload?.length) return null; const p = payload[0].payload; return (<div className="bg-neutral-800 border border-neutral-700 rounded-xl p-3 shadow-xl"><p className="text-xs font-medium text-neutral-300 mb-1">TTM to {p.label}{p.partial ? ' (to date)' : ''}</p>{SERIES.map(s => <p key={s.key} className="text-xs text-white">{s.label}: {p[s.key] == null ? '—' : pct(p[s.key])}</p>)}</div>); };
+
+// Trailing-twelve-month NDR, GDR and logo retention against goal; clicking a
+// point shows its expansion / contraction / churn breakdown
+const RetentionTrend = ({ points, granularity, onGranularity, goalNDR, goalGDR }) => {
+  const { fmt } = useFormat();
+  const [selectedKey, setSelectedKey] = useState(null);
+  const selected = points.find(p => p.key === selectedKey) || points[points.length - 1];
+  const ratioClass = (v, goal, floor) => v >= goal ? 'text-green-400' : v >= floor ? 'text-yellow-400' : 'text-red-400';
+  return (
+    <div>
+      <div className="flex items-center gap-2 mb-3"><h3 className="text-xs text-neutral-500 uppercase">Trailing twelve months</h3><div className="flex gap-1">{TTM_GRANULARITIES.map(g => <button key={g.key} onClick={() => onGranularity(g.key)} className={`px-2 py-0.5 rounded-lg text-[10px] transition-all ${granularity === g.key ? 'bg-neutral-600 text-white' : 'text-neutral-500 hover:text-white'}`}>{g.label}</button>)}</div><div className="ml-auto flex items-center gap-3 text-[10px] text-neutral-500">{SERIES.map(s => <span key={s.key} className="flex items-center gap-1"><span className="w-3 h-0.5" style={{ backgroundColor: s.stroke }} />{s.label}</span>)}</div></div>
+      {points.length === 0 ? <p className="text-sm text-neutral-500 text-center py-6">Trailing-twelve-month retention needs two years of won deals</p> : (<>
+        <div className="h-48"><ResponsiveContainer><LineChart data={points} onClick={e => e?.activePayload?.[0] && setSelectedKey(e.activePayload[0].payload.key)}><CartesianGrid strokeDasharray="3 3" stroke="#404040" vertical={false} /><XAxis dataKey="label" stroke="#525252" tick={{ fontSize: 10 }} interval="preserveStartEnd" /><YAxis tickFormatter={pct} stroke="#525252" tick={{ fontSize: 10 }} width={45} domain={[0, 'auto']} /><Tooltip content={<TrendTooltip />} /><ReferenceLine y={goalNDR} stroke={colors.success} strokeDasharray="4 3" label={{ value: 'NDR goal', fill: '#737373', fontSize: 10, position: 'insideTopRight' }} /><ReferenceLine y={goalGDR} stroke={colors.warning} strokeDasharray="4 3" label={{ value: 'GDR goal', fill: '#737373', fontSize: 10, position: 'insideBottomRight' }} />{selected && <ReferenceLine x={selected.label} stroke="#525252" />}{SERIES.map(s => <Line key={s.key} type="monotone" dataKey={s.key} stroke={s.stroke} strokeWidth={2} dot={{ r: 2 }} connectNulls />)}</LineChart></ResponsiveContainer></div>
+        {selected && selected.hasData && (<div className="mt-3 p-3 bg-neutral-700/30 rounded-xl">
+          <p className="text-xs text-neutral-400 mb-2">Twelve months to {selected.label}{selected.partial ? ' (to date)' : ''} vs the twelve before: {selected.baseLogos} logos, {fmt(selected.baseRevenue)} base</p>
+          <div className="grid grid-cols-7 gap-3 text-center">
+            <div><p className="text-[10px] text-neutral-500 uppercase">NDR</p><p className={`text-sm font-semibold ${ratioClass(selected.ndrAmount, goalNDR, 1)}`}>{pct(selected.ndrAmount)}</p></div>
+            <div><p className="text-[10px] text-neutral-500 uppercase">GDR</p><p className={`text-sm font-semibold ${ratioClass(selected.gdrAmount, goalGDR, 0.85)}`}>{pct(selected.gdrAmount)}</p></div>
+            <div><p className="text-[10px] text-neutral-500 uppercase">Logos kept</p><p className={`text-sm font-semibold ${ratioClass(selected.gdrLogo, 0.9, 0.8)}`}>{pct(selected.gdrLogo)}</p></div>
+            <div><p className="text-[10px] text-neutral-500 uppercase">Expansion</p><p className="text-sm font-semibold text-green-400">+{fmt(selected.expansionRevenue)}</p></div>
+            <div><p className="text-[10px] text-neutral-500 uppercase">Contraction</p><p className="text-sm font-semibold text-yellow-400">−{fmt(selected.contractionRevenue)}</p></div>
+            <div><p className="text-[10px] text-neutral-500 uppercase">Churn</p><p className="text-sm font-semibold text-red-400">−{fmt(selected.churnedRevenue)}</p><p className="text-[10px] text-neutral-500">{selected.churnedLogos} logos</p></div>
+            <div><p className="text-[10px] text-neutral-500 uppercase">New</p><p className="text-sm font-semibold text-white">+{fmt(selected.newRevenue)}</p><p className="text-[10px] text-neutral-500">{selected.newLogos} logos</p></div>
+          </div>
+        </div>)}
+      </>)}
+    </div>
+  );
+};
+
+export default RetentionTrend;
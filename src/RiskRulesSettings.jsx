@@ -0,0 +1,73 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { X, Plus, Trash2, RotateCcw, CheckCircle, AlertCircle } from 'lucide-react';
+import { CORPORATE_CURRENCY } from './currency.js';
+import { DEFAULT_RISK_RULES, RISK_FIELDS, RISK_SEVERITIES, RISK_SUBJECTS, operatorsFor, riskField, validateRiskRules } from './riskRules.js';
+
+const input = 'px-2 py-1 bg-neutral-700 border border-neutral-600 rounded-lg text-xs text-white';
+
+const newCondition = subject => ({ field: RISK_FIELDS[subject][0].key, op: '>', value: 0 });
+
+// Condition value in the unit the field is edited in: percent fields as 0-100
+const ValueInput = ({ field, value, onChange }) => {
+  if (field.type === 'text') return <input value={value ?? ''} onChange={e => onChange(e.target.value)} className={`${input} w-32`} />;
+  const shown = typeof value === 'number' && !isNaN(value) ? (field.type === 'percent' ? +(value * 100).toFixed(1) : value) : '';
+  const parse = v => { const n = parseFloat(v); return isNaN(n) ? NaN : field.type === 'percent' ? n / 100 : n; };
+  return <span className="inline-flex items-center gap-1"><input type="number" value={shown} onChange={e => onChange(parse(e.target.value))} className={`${input} w-28`} />{field.type === 'percent' && <span className="text-neutral-500">%</span>}{field.type === 'money' && <span className="text-neutral-500">{CORPORATE_CURRENCY}</span>}</span>;
+};
+
+// Risk Alerts rules: label, severity, what they look at and the conditions
+// that must all hold. Drafted locally, applied on Save.
+const RiskRulesSettings = ({ isOpen, onClose, rules, onSave }) => {
+  const [draft, setDraft] = useState(rules);
+  const ref = useRef(null);
+  useEffect(() => { if (isOpen) setDraft(rules); }, [isOpen, rules]);
+  useEffect(() => { const h = e => { if (e.key === 'Escape') onClose(); }; if (isOpen) { document.addEventListener('keydown', h); document.body.style.overflow = 'hidden'; } return () => { document.removeEventListener('keydown', h); document.body.style.overflow = 'unset'; }; }, [isOpen, onClose]);
+  if (!isOpen) return null;
+
+  const setRule = (i, patch) => setDraft(prev => prev.map((r, j) => j === i ? { ...r, ...patch } : r));
+  const setCondition = (i, k, patch) => setDraft(prev => prev.map((r, j) => j === i ? { ...r, conditions: r.conditions.map((c, l) => l === k ? { ...c, ...patch } : c) } : r));
+  // A new field keeps the operator when it still applies and starts text fields blank
+  const setField = (i, k, key) => {
+    const field = riskField(draft[i].subject, key), c = draft[i].conditions[k];
+    const op = operatorsFor(field).some(o => o.key === c.op) ? c.op : '=';
+    setCondition(i, k, { field: key, op, value: field.type === 'text' ? '' : riskField(draft[i].subject, c.field)?.type === 'text' ? 0 : c.value });
+  };
+  const addRule = () => setDraft(prev => [...prev, { id: `rule-${Date.now()}`, label: '', subject: 'deal', severity: 'yellow', enabled: true, conditions: [newCondition('deal')] }]);
+  const problems = validateRiskRules(draft);
+  const save = () => { onSave(draft); onClose(); };
+
+  return (
+    <div className="fixed inset-0 bg-black/90 backdrop-blur-sm z-50 flex items-center justify-center p-4" onClick={e => { if (ref.current && !ref.current.contains(e.target)) onClose(); }}>
+      <div ref={ref} className="bg-neutral-800 border border-neutral-700 rounded-2xl w-full max-w-3xl max-h-[85vh] overflow-hidden flex flex-col">
+        <div className="px-5 py-4 border-b border-neutral-700 flex justify-between items-center"><div><h3 className="text-base font-semibold text-white">Risk Rules</h3><p className="text-xs text-neutral-400 mt-0.5">A deal or rep is flagged when every condition of a rule holds • amounts in {CORPORATE_CURRENCY}</p></div><button onClick={onClose} className="p-2 rounded-xl hover:bg-neutral-700 transition-all"><X size={18} className="text-neutral-400" /></button></div>
+        <div className="overflow-auto flex-1 p-5 space-y-3">
+          {draft.map((rule, i) => (<div key={rule.id} className={`p-3 rounded-xl border border-neutral-700 ${rule.enabled ? 'bg-neutral-700/30' : 'opacity-50'}`}>
+            <div className="flex items-center gap-2 mb-2">
+              <input type="checkbox" checked={rule.enabled} onChange={e => setRule(i, { enabled: e.target.checked })} title="Enabled" />
+              <input value={rule.label} onChange={e => setRule(i, { label: e.target.value })} placeholder="Label" className={`${input} w-48`} />
+              <select value={rule.subject} onChange={e => setRule(i, { subject: e.target.value, icon: undefined, conditions: [newCondition(e.target.value)] })} className={input}>{RISK_SUBJECTS.map(s => <option key={s.key} value={s.key}>{s.label}</option>)}</select>
+              <select value={rule.severity} onChange={e => setRule(i, { severity: e.target.value })} className={input}>{RISK_SEVERITIES.map(s => <option key={s.key} value={s.key}>{s.label}</option>)}</select>
+              <button onClick={() => setDraft(prev => prev.filter((_, j) => j !== i))} className="ml-auto p-1 rounded text-neutral-500 hover:text-red-400" title="Remove rule"><Trash2 size={12} /></button>
+            </div>
+            <div className="space-y-1.5 pl-6">{rule.conditions.map((c, k) => { const field = riskField(rule.subject, c.field) || RISK_FIELDS[rule.subject][0]; return (<div key={k} className="flex items-center gap-2 text-xs text-neutral-500">
+              <span className="w-8">{k === 0 ? 'when' : 'and'}</span>
+              <select value={field.key} onChange={e => setField(i, k, e.target.value)} className={input}>{RISK_FIELDS[rule.subject].map(f => <option key={f.key} value={f.key}>{f.label}</option>)}</select>
+              <select value={c.op} onChange={e => setCondition(i, k, { op: e.target.value })} className={input}>{operatorsFor(field).map(o => <option key={o.key} value={o.key}>{o.key}</option>)}</select>
+              <ValueInput field={field} value={c.value} onChange={value => setCondition(i, k, { value })} />
+              {rule.conditions.length > 1 && <button onClick={() => setRule(i, { conditions: rule.conditions.filter((_, l) => l !== k) })} className="p-1 rounded text-neutral-500 hover:text-red-400" title="Remove condition"><X size={12} /></button>}
+            </div>); })}
+              <button onClick={() => setRule(i, { conditions: [...rule.conditions, newCondition(rule.subject)] })} className="flex items-center gap-1 text-[10px] text-neutral-500 hover:text-white transition-all"><Plus size={10} />Condition</button>
+            </div>
+          </div>))}
+          <button onClick={addRule} className="flex items-center gap-1 px-2 py-1 rounded-lg bg-neutral-700 text-xs text-neutral-300 hover:text-white transition-all"><Plus size={12} />Rule</button>
+        </div>
+        <div className="px-5 py-3 border-t border-neutral-700 bg-neutral-700/30 flex justify-between items-center">
+          <div className="flex items-center gap-3 min-w-0"><button onClick={() => setDraft(DEFAULT_RISK_RULES)} className="flex items-center gap-1.5 text-xs text-neutral-400 hover:text-white transition-all"><RotateCcw size={12} />Defaults</button>{problems.length > 0 ? <span className="flex items-center gap-1.5 text-xs text-yellow-400 truncate" title={problems.join('\n')}><AlertCircle size={12} />{problems[0]}{problems.length > 1 ? ` (+${problems.length - 1} more)` : ''}</span> : <span className="flex items-center gap-1.5 text-xs text-neutral-500"><CheckCircle size={12} className="text-green-500" />{draft.filter(r => r.enabled).length} of {draft.length} rules on</span>}</div>
+          <div className="flex gap-2 flex-shrink-0"><button onClick={onClose} className="px-4 py-1.5 text-neutral-400 text-xs font-medium hover:text-white transition-all">Cancel</button><button disabled={problems.length > 0} onClick={save} className="px-4 py-1.5 bg-green-500 text-black rounded-xl text-xs font-medium hover:bg-green-400 disabled:opacity-40 disabled:cursor-not-allowed transition-all">Save</button></div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RiskRulesSettings;
@@ -0,0 +1,23 @@
+import React from 'react';
+import { pct } from './format.js';
+
+const rateColor = rate => rate >= 0.4 ? 'text-red-400' : rate >= 0.2 ? 'text-yellow-400' : 'text-green-400';
+
+// How often open deals slipped a quarter between snapshots, by rep and by the
+// stage they were in - a coaching view of forecasting accuracy
+const SlippageReport = ({ byRep, byStage, onDrill }) => {
+  const table = (title, group, rows) => (
+    <div className="flex-1 min-w-0">
+      <h3 className="text-xs text-neutral-500 uppercase mb-2">{title}</h3>
+      {rows.length === 0 ? <p className="text-xs text-neutral-500">No open deals seen in two snapshots yet</p> : (<div className="space-y-0.5 max-h-56 overflow-auto">{rows.map(r => (<button key={r.name} disabled={r.slipped === 0} onClick={() => onDrill(group, r)} className="w-full flex items-center justify-between text-xs p-1.5 rounded-lg hover:bg-neutral-700 disabled:hover:bg-transparent transition-all"><span className="text-neutral-300 truncate">{r.name}</span><span className="flex items-center gap-3 flex-shrink-0"><span className="text-neutral-500">{r.slipped}/{r.moves}</span><span className={`w-10 text-right font-medium ${rateColor(r.rate)}`}>{pct(r.rate)}</span></span></button>))}</div>)}
+    </div>
+  );
+  return (
+    <div className="mt-5 pt-4 border-t border-neutral-700">
+      <p className="text-[10px] text-neutral-500 mb-3">Slip rate: share of snapshot-to-snapshot moves where an open deal's close date went into a later quarter</p>
+      <div className="flex gap-6">{table('Slip rate by rep', 'rep', byRep)}<div className="w-px bg-neutral-700" />{table('Slip rate by stage', 'stage', byStage)}</div>
+    </div>
+  );
+};
+
+export default SlippageReport;
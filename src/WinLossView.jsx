@@ -0,0 +1,89 @@
+import React, { useMemo, useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { ChevronRight, ChevronDown, Plus, X } from 'lucide-react';
+import { pct, useFormat } from './format.js';
+import { WINLOSS_OUTCOMES, WINLOSS_DIMENSIONS, reasonTree, reasonCrossTab, reasonTrend } from './winLoss.js';
+
+const TREND_COLORS = ['#ffffff', '#22c55e', '#eab308', '#ef4444', '#3b82f6'];
+
+const TrendTooltip = ({ active, payload }) => { const { fmtPeriod } = useFormat(); if (!active || !payload?.length) return null; const p = payload[0].payload; return (<div className="bg-neutral-800 border border-neutral-700 rounded-xl p-3 shadow-xl"><p className="text-xs font-medium text-neutral-300 mb-1">{fmtPeriod(p.key)} • {p.total} deals</p>{payload.map(s => <p key={s.dataKey} className="text-xs" style={{ color: s.stroke }}>{s.dataKey}: {pct(s.value)}</p>)}</div>); };
+
+const Toggle = ({ options, value, onChange }) => (<div className="flex bg-neutral-700 rounded-lg p-0.5">{options.map(o => <button key={o.key} onClick={() => onChange(o.key)} className={`px-2 py-1 rounded-md text-[10px] font-medium transition-all ${value === o.key ? 'bg-neutral-600 text-white' : 'text-neutral-400 hover:text-white'}`}>{o.label}</button>)}</div>);
+
+// Win/loss workbench: the main → sub reason tree, reasons cross-tabbed against
+// a dimension, and how the top reasons trend. `closed` is the period's won and
+// lost deals and `history` every year's, both without archived deals.
+const WinLossView = ({ closed, history, archived, excluded, onExcludedChange, onDrill }) => {
+  const { fmt, fmtPeriod } = useFormat();
+  const [outcome, setOutcome] = useState('lost');
+  const [dimension, setDimension] = useState('vertical');
+  const [level, setLevel] = useState('main');
+  const [granularity, setGranularity] = useState('quarter');
+  const [expanded, setExpanded] = useState([]);
+  const [newReason, setNewReason] = useState('');
+  const stage = WINLOSS_OUTCOMES.find(o => o.key === outcome).stage;
+  const deals = useMemo(() => closed.filter(o => o.stage === stage), [closed, stage]);
+  const tree = useMemo(() => reasonTree(deals), [deals]);
+  const crossTab = useMemo(() => reasonCrossTab(closed, { dimension, outcome, level }), [closed, dimension, outcome, level]);
+  const trend = useMemo(() => reasonTrend(history, { outcome, granularity }), [history, outcome, granularity]);
+  const cited = tree.length ? new Set(tree.flatMap(n => n.deals)).size : 0;
+  const word = outcome === 'lost' ? 'Lost' : 'Won';
+  const cellColor = share => outcome === 'lost' ? `rgba(239, 68, 68, ${share * 0.6})` : `rgba(34, 197, 94, ${share * 0.6})`;
+  const toggle = name => setExpanded(e => e.includes(name) ? e.filter(n => n !== name) : [...e, name]);
+  const addReason = () => { const r = newReason.trim(); if (r && !excluded.includes(r)) onExcludedChange([...excluded, r]); setNewReason(''); };
+  const th = 'py-2 px-2 text-[10px] font-semibold text-neutral-400 uppercase';
+  return (
+    <div>
+      <div className="flex items-center gap-3 mb-4">
+        <Toggle options={WINLOSS_OUTCOMES} value={outcome} onChange={setOutcome} />
+        <p className="text-xs text-neutral-400">{cited} of {deals.length} {outcome === 'lost' ? 'losses' : 'wins'} give a reason{deals.length > cited ? ` • ${deals.length - cited} without one` : ''} • a deal counts under every reason it cites</p>
+      </div>
+      {tree.length === 0 ? <p className="text-sm text-neutral-500 text-center py-6">No {outcome === 'lost' ? 'loss' : 'win'} reasons recorded for this filter</p> : (<>
+        <div className="grid grid-cols-1 lg:grid-cols-5 gap-6 mb-6">
+          <div className="lg:col-span-2">
+            <h3 className="text-xs text-neutral-500 uppercase mb-2">Reasons</h3>
+            <div className="space-y-0.5 max-h-96 overflow-auto">{tree.map(n => (<div key={n.name}>
+              <div className="flex items-center gap-2 px-1 py-1 rounded-lg hover:bg-neutral-700/40 transition-all">
+                <button onClick={() => toggle(n.name)} disabled={n.subs.length === 0} className="text-neutral-500 hover:text-white disabled:opacity-0">{expanded.includes(n.name) ? <ChevronDown size={12} /> : <ChevronRight size={12} />}</button>
+                <span onClick={() => onDrill(`${word}: ${n.name}`, n.deals)} className="text-xs text-white flex-1 truncate cursor-pointer">{n.name}</span>
+                <div className="w-20 h-1.5 bg-neutral-700 rounded-full overflow-hidden"><div className={`h-full rounded-full ${outcome === 'lost' ? 'bg-red-500' : 'bg-green-500'}`} style={{ width: `${n.share * 100}%` }} /></div>
+                <span className="text-[10px] text-neutral-400 w-16 text-right">{n.count} • {pct(n.share)}</span>
+                <span className="text-xs text-neutral-300 w-14 text-right">{fmt(n.value)}</span>
+              </div>
+              {expanded.includes(n.name) && n.subs.map(s => (<div key={s.name} onClick={() => onDrill(`${word}: ${n.name} → ${s.name}`, s.deals)} className="flex items-center gap-2 pl-7 pr-1 py-0.5 rounded-lg hover:bg-neutral-700/40 cursor-pointer transition-all">
+                <span className="text-[11px] text-neutral-400 flex-1 truncate">{s.name}</span>
+                <span className="text-[10px] text-neutral-500 w-16 text-right">{s.count} • {pct(s.share)}</span>
+                <span className="text-[11px] text-neutral-400 w-14 text-right">{fmt(s.value)}</span>
+              </div>))}
+            </div>))}</div>
+          </div>
+          <div className="lg:col-span-3">
+            <div className="flex items-center gap-2 mb-2"><h3 className="text-xs text-neutral-500 uppercase">By</h3><Toggle options={WINLOSS_DIMENSIONS} value={dimension} onChange={setDimension} /><div className="ml-auto"><Toggle options={[{ key: 'main', label: 'Main' }, { key: 'sub', label: 'Sub' }]} value={level} onChange={setLevel} /></div></div>
+            {!crossTab.hasValues ? <p className="text-xs text-neutral-500 text-center py-6">No {WINLOSS_DIMENSIONS.find(d => d.key === dimension).label.toLowerCase()} recorded - map a {WINLOSS_DIMENSIONS.find(d => d.key === dimension).label} column when importing</p> : (<div className="overflow-auto max-h-96"><table className="w-full">
+              <thead className="bg-neutral-700/50 sticky top-0"><tr><th className={`${th} text-left`}>{WINLOSS_DIMENSIONS.find(d => d.key === dimension).label}</th><th className={`${th} text-right`}>Win rate</th><th className={`${th} text-right`}>{word}</th>{crossTab.reasons.map(r => <th key={r} className={`${th} text-right max-w-[7rem] truncate`} title={r}>{r}</th>)}</tr></thead>
+              <tbody className="divide-y divide-neutral-700">{crossTab.rows.map(row => (<tr key={row.name}>
+                <td onClick={() => onDrill(`${word} - ${row.name}`, row.deals)} className="py-1.5 px-2 text-xs text-white truncate max-w-[10rem] cursor-pointer hover:underline">{row.name}</td>
+                <td className="py-1.5 px-2 text-xs text-right text-neutral-300">{pct(row.winRate)}</td>
+                <td className="py-1.5 px-2 text-xs text-right text-neutral-400">{row.cited}</td>
+                {crossTab.reasons.map(r => { const c = row.cells[r]; return <td key={r} onClick={() => c.count && onDrill(`${word} - ${row.name}: ${r}`, c.deals)} className={`py-1.5 px-2 text-xs text-right ${c.count ? 'text-white cursor-pointer' : 'text-neutral-600'}`} style={{ backgroundColor: c.count ? cellColor(c.share) : undefined }}>{c.count ? pct(c.share) : '—'}</td>; })}
+              </tr>))}</tbody>
+            </table>{crossTab.hiddenRows > 0 && <p className="text-[10px] text-neutral-500 mt-1">{crossTab.hiddenRows} smaller rows not shown</p>}</div>)}
+          </div>
+        </div>
+        <div className="mb-5">
+          <div className="flex items-center gap-2 mb-2"><h3 className="text-xs text-neutral-500 uppercase">Top reasons over time</h3><Toggle options={[{ key: 'quarter', label: 'Quarter' }, { key: 'year', label: 'Year' }]} value={granularity} onChange={setGranularity} /><div className="ml-auto flex items-center gap-3 text-[10px] text-neutral-500">{trend.reasons.map((r, i) => <span key={r} className="flex items-center gap-1"><span className="w-3 h-0.5" style={{ backgroundColor: TREND_COLORS[i] }} />{r}</span>)}</div></div>
+          <div className="h-48"><ResponsiveContainer><LineChart data={trend.points} onClick={e => { const p = e?.activePayload?.[0]?.payload; if (p) onDrill(`${word} - ${fmtPeriod(p.key)}`, p.deals); }}><CartesianGrid strokeDasharray="3 3" stroke="#404040" vertical={false} /><XAxis dataKey="key" tickFormatter={fmtPeriod} stroke="#525252" tick={{ fontSize: 10 }} interval="preserveStartEnd" /><YAxis tickFormatter={pct} stroke="#525252" tick={{ fontSize: 10 }} width={45} domain={[0, 'auto']} /><Tooltip content={<TrendTooltip />} />{trend.reasons.map((r, i) => <Line key={r} type="monotone" dataKey={r} stroke={TREND_COLORS[i]} strokeWidth={2} dot={{ r: 2 }} />)}</LineChart></ResponsiveContainer></div>
+        </div>
+      </>)}
+      <div className="flex items-center gap-2 flex-wrap pt-3 border-t border-neutral-700">
+        <span className="text-[10px] text-neutral-500 uppercase">Archived reasons</span>
+        {excluded.map(r => <span key={r} className="flex items-center gap-1 px-2 py-0.5 rounded-full bg-neutral-700 text-[10px] text-neutral-300">{r}<button onClick={() => onExcludedChange(excluded.filter(x => x !== r))} className="text-neutral-500 hover:text-red-400" title="Stop excluding"><X size={10} /></button></span>)}
+        <input value={newReason} onChange={e => setNewReason(e.target.value)} onKeyDown={e => { if (e.key === 'Enter') addReason(); }} placeholder="Reason text" className="px-2 py-0.5 bg-neutral-700 border border-neutral-600 rounded-lg text-[10px] text-white w-28" />
+        <button disabled={!newReason.trim()} onClick={addReason} className="p-1 rounded text-neutral-500 hover:text-white disabled:opacity-40" title="Exclude reasons containing this text"><Plus size={12} /></button>
+        <span className="text-[10px] text-neutral-500">Deals whose reason contains any of these are bulk archives, not wins or losses{archived.length > 0 && <> • <button onClick={() => onDrill('Archived deals', archived)} className="underline hover:text-white">{archived.length} excluded</button></>}</span>
+      </div>
+    </div>
+  );
+};
+
+export default WinLossView;
@@ -0,0 +1,90 @@
+// Health score for existing customers: every account with won revenue in the
+// year before `year`, scored 0-100 from signals already in the opportunity
+// data. Each signal is a risk between 0 (fine) and 1 (worst); the score is 100
+// minus their weighted sum, so the weights add up to 1.
+
+import { fiscalMonthRange, fiscalPeriodOf, parseDate } from './fiscalCalendar.js';
+
+export const HEALTH_SIGNALS = [
+  { key: 'trend', label: 'Spend down YoY', weight: 0.3 },
+  { key: 'pipeline', label: 'No renewal pipeline', weight: 0.2 },
+  { key: 'recency', label: 'No recent win', weight: 0.2 },
+  { key: 'losses', label: 'Recent losses', weight: 0.15 },
+  { key: 'concentration', label: 'Single-rep account', weight: 0.15 },
+];
+
+export const HEALTH_LEVELS = [
+  { key: 'high', label: 'High risk', below: 50 },
+  { key: 'medium', label: 'Watch', below: 70 },
+  { key: 'low', label: 'Healthy', below: Infinity },
+];
+
+// Deal types that renew or grow an existing customer
+export const RENEWAL_TYPES = ['Renewal', 'Expansion', 'Upsell'];
+
+const DAY = 86400000;
+const clamp = v => Math.min(1, Math.max(0, v));
+
+// Close date, or the middle of the close month when only year/month are known
+const closeDateOf = o => (o.closeDate && parseDate(o.closeDate)) || new Date(parseInt(o.calendarYear ?? o.year), (o.calendarMonth ?? o.month ?? 1) - 1, 15);
+
+export const healthLevel = score => HEALTH_LEVELS.find(l => score < l.below);
+
+// opps: every year of the active dataset (dimension filters only). `goneReps`
+// lists reps who have left - a single-rep account whose rep has gone is at full risk.
+export const scoreAccountHealth = (opps, year, { goneReps = [], now = new Date(), calendar } = {}) => {
+  const prior = String(parseInt(year) - 1);
+  // Scored as of today, or the end of fiscal `year` when looking back at a closed year
+  const asOf = new Date(Math.min(now, fiscalMonthRange(year, 12, calendar).end));
+  const today = fiscalPeriodOf(now, calendar);
+  const sameMonths = year === today.year ? today.month : 12;
+  const byAccount = new Map();
+  opps.forEach(o => { if (o.account) (byAccount.get(o.account) || byAccount.set(o.account, []).get(o.account)).push(o); });
+
+  const rows = [];
+  byAccount.forEach((deals, account) => {
+    const won = deals.filter(o => o.stage === 'Closed Won' && closeDateOf(o) <= asOf);
+    const priorWon = won.filter(o => o.year === prior);
+    const priorRevenue = priorWon.reduce((s, o) => s + o.amount, 0);
+    if (priorRevenue <= 0) return;
+    const currentRevenue = won.filter(o => o.year === year).reduce((s, o) => s + o.amount, 0);
+    // Year in progress: compare the same months of both years
+    const comparable = won.filter(o => o.year === prior && (o.month || 12) <= sameMonths).reduce((s, o) => s + o.amount, 0);
+    const trend = comparable > 0 ? currentRevenue / comparable - 1 : null;
+    const renewals = deals.filter(o => o.stage === 'Pipeline' && RENEWAL_TYPES.includes(o.type));
+    const renewalPipeline = renewals.reduce((s, o) => s + o.amount, 0);
+    const losses = deals.filter(o => o.stage === 'Closed Lost' && closeDateOf(o) <= asOf && asOf - closeDateOf(o) <= 365 * DAY);
+    const lastWon = won.reduce((latest, o) => !latest || closeDateOf(o) > latest ? closeDateOf(o) : latest, null);
+    const daysSinceWin = Math.round((asOf - lastWon) / DAY);
+    const repRevenue = {};
+    won.filter(o => o.year === prior || o.year === year).forEach(o => { repRevenue[o.rep] = (repRevenue[o.rep] || 0) + o.amount; });
+    const [topRep, topRevenue] = Object.entries(repRevenue).sort((a, b) => b[1] - a[1])[0];
+    const repShare = topRevenue / Object.values(repRevenue).reduce((s, v) => s + v, 0);
+    const repGone = goneReps.includes(topRep);
+
+    const risks = {
+      // Prior-year spend all fell after today's month: nothing to compare yet
+      trend: trend == null ? (currentRevenue > 0 ? 0 : 0.5) : clamp(-trend),
+      pipeline: clamp(1 - renewalPipeline / priorRevenue),
+      recency: clamp((daysSinceWin - 180) / 365),
+      losses: clamp(losses.length / 2),
+      concentration: repGone ? 1 : clamp((repShare - 0.5) * 2) * 0.5,
+    };
+    const score = Math.round(100 * (1 - HEALTH_SIGNALS.reduce((s, sig) => s + sig.weight * risks[sig.key], 0)));
+    // Biggest contributors first, for the "why" column
+    const reasons = HEALTH_SIGNALS.map(sig => ({ ...sig, risk: risks[sig.key], impact: sig.weight * risks[sig.key] })).filter(r => r.impact >= 0.05).sort((a, b) => b.impact - a.impact);
+    const sample = priorWon[0];
+    rows.push({
+      account, score, level: healthLevel(score).key, risks, reasons,
+      priorRevenue, currentRevenue, trend, renewalPipeline, renewals, losses, daysSinceWin,
+      topRep, repShare, repGone,
+      revenueAtRisk: priorRevenue * (1 - score / 100),
+      customerRelationship: sample.customerRelationship, vertical: sample.vertical,
+      deals: deals.filter(o => o.year === prior || o.year === year || o.stage === 'Pipeline'),
+    });
+  });
+  return rows.sort((a, b) => b.revenueAtRisk - a.revenueAtRisk);
+};
+
+// Accounts to act on before they churn: anything below healthy, most revenue at risk first
+export const atRiskRenewals = health => health.filter(a => a.level !== 'low');
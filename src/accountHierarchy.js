@@ -0,0 +1,58 @@
+// Parent/child account tree built from each opportunity's Parent Account.
+// Salesforce only gives the immediate parent; chains are followed to the
+// ultimate parent so a subsidiary of a subsidiary rolls up to the group.
+
+export const ACCOUNT_LEVELS = [{ key: 'child', label: 'Accounts' }, { key: 'parent', label: 'Parents' }];
+
+// { parentOf: { account: immediate parent }, ultimate: { account: ultimate parent }, children: { ultimate: [accounts] } }
+export const buildAccountHierarchy = opps => {
+  const votes = {};
+  opps.forEach(o => {
+    const parent = (o.parentAccount || '').trim();
+    if (!parent || !o.account || parent === o.account) return;
+    votes[o.account] = votes[o.account] || {};
+    votes[o.account][parent] = (votes[o.account][parent] || 0) + 1;
+  });
+  // An account whose opps disagree on the parent takes the most common one
+  const parentOf = Object.fromEntries(Object.entries(votes).map(([account, v]) => [account, Object.entries(v).sort((a, b) => b[1] - a[1])[0][0]]));
+  const ultimate = {};
+  // A parent cycle (bad data) resolves to its alphabetically first member, so the group stays together
+  const resolve = account => {
+    if (ultimate[account]) return ultimate[account];
+    const chain = [account];
+    while (parentOf[chain[chain.length - 1]] && !chain.includes(parentOf[chain[chain.length - 1]])) chain.push(parentOf[chain[chain.length - 1]]);
+    const last = chain[chain.length - 1];
+    const loopStart = parentOf[last] ? chain.indexOf(parentOf[last]) : -1;
+    return (ultimate[account] = loopStart >= 0 ? chain.slice(loopStart).sort()[0] : last);
+  };
+  const children = {};
+  Object.keys(parentOf).forEach(account => { const top = resolve(account); if (top !== account) (children[top] = children[top] || []).push(account); });
+  Object.values(children).forEach(list => list.sort());
+  return { parentOf, ultimate, children };
+};
+
+export const hasHierarchy = hierarchy => Object.keys(hierarchy.parentOf).length > 0;
+
+export const ultimateParentOf = (hierarchy, account) => hierarchy.ultimate[account] || account;
+
+// Parent-level view: `account` becomes the ultimate parent and the original
+// account is kept as `subsidiary`, so every per-account rollup merges the group
+export const rollUpToParents = (opps, hierarchy) => opps.map(o => {
+  const parent = ultimateParentOf(hierarchy, o.account);
+  return { ...o, account: parent, subsidiary: o.account };
+});
+
+// Deals grouped parent -> subsidiary for the drill-down tree, biggest first
+export const groupBySubsidiary = deals => {
+  const parents = {};
+  deals.forEach(d => {
+    const p = parents[d.account] || (parents[d.account] = { name: d.account, amount: 0, count: 0, subsidiaries: {} });
+    const subName = d.subsidiary || d.account;
+    const s = p.subsidiaries[subName] || (p.subsidiaries[subName] = { name: subName, amount: 0, count: 0, deals: [] });
+    p.amount += d.amount; p.count++;
+    s.amount += d.amount; s.count++; s.deals.push(d);
+  });
+  return Object.values(parents)
+    .map(p => ({ ...p, subsidiaries: Object.values(p.subsidiaries).sort((a, b) => b.amount - a.amount) }))
+    .sort((a, b) => b.amount - a.amount);
+};
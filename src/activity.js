@@ -0,0 +1,88 @@
+// Activity on open deals, from an imported activity export: when a deal was
+// last touched, how often in the last 30 days and when the next open task is
+// due. Activities with an Opportunity ID belong to that deal; the rest - and
+// those whose ID matches no loaded deal - count for every open deal of their
+// account.
+
+export const ACTIVITY_HEAT = [
+  { key: 'hot', label: 'Active', maxDays: 7 },
+  { key: 'warm', label: 'Quiet', maxDays: 14 },
+  { key: 'cold', label: 'Cold', maxDays: Infinity },
+];
+
+const DAY = 86400000;
+const RECENT_DAYS = 30;
+
+// 15- and 18-character Salesforce IDs share their first 15 characters
+const idKey = id => String(id).slice(0, 15);
+const accountKey = name => String(name).trim().toLowerCase();
+const daysBetween = (from, to) => Math.round((new Date(`${to}T00:00:00`) - new Date(`${from}T00:00:00`)) / DAY);
+const isoDate = d => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+
+export const activityHeat = lastActivityDays => ACTIVITY_HEAT.find(h => lastActivityDays <= h.maxDays).key;
+
+// Open deals gain lastActivityDate, lastActivityDays (days since the deal's
+// last completed activity, null when nothing was ever logged),
+// activityCount30, nextStepDate, daysToNextStep (negative when overdue),
+// activityMatch and activityHeat - cold when never touched. Without
+// activities, deals pass through.
+export const withActivity = (opps, activities, now = new Date()) => {
+  if (!activities?.length) return opps;
+  const today = isoDate(now);
+  const dealIds = new Set(opps.flatMap(o => [o.sfId, o.id].filter(Boolean).map(idKey)));
+  const byOpp = new Map(), byAccount = new Map();
+  activities.forEach(a => {
+    const ownDeal = a.opportunityId && dealIds.has(idKey(a.opportunityId));
+    if (!ownDeal && !a.account) return;
+    const [map, key] = ownDeal ? [byOpp, idKey(a.opportunityId)] : [byAccount, accountKey(a.account)];
+    (map.get(key) || map.set(key, []).get(key)).push(a);
+  });
+  return opps.map(o => {
+    if (o.stage !== 'Pipeline') return o;
+    const own = (o.sfId && byOpp.get(idKey(o.sfId))) || byOpp.get(idKey(o.id)) || [];
+    const shared = byAccount.get(accountKey(o.account)) || [];
+    const all = [...own, ...shared];
+    const done = all.filter(a => a.done && a.date <= today);
+    const lastActivityDate = done.reduce((latest, a) => !latest || a.date > latest ? a.date : latest, null);
+    const lastActivityDays = lastActivityDate ? daysBetween(lastActivityDate, today) : null;
+    const nextStepDate = all.filter(a => !a.done).reduce((next, a) => !next || a.date < next ? a.date : next, null);
+    return {
+      ...o,
+      lastActivityDate,
+      lastActivityDays,
+      activityCount30: done.filter(a => daysBetween(a.date, today) < RECENT_DAYS).length,
+      nextStepDate,
+      daysToNextStep: nextStepDate ? daysBetween(today, nextStepDate) : null,
+      activityMatch: own.length ? 'opportunity' : shared.length ? 'account' : null,
+      activityHeat: lastActivityDays == null ? 'cold' : activityHeat(lastActivityDays),
+    };
+  });
+};
+
+// One row per rep with open deals: activity logged in the last 30 days, how
+// many of their open deals were touched, and the cold pipeline left behind.
+// Activities count for their owner (via `repOf`) or, unassigned, for the rep
+// on the deal they were logged against.
+export const activityLeaderboard = (pipeline, activities, { repOf = name => name, now = new Date() } = {}) => {
+  const today = isoDate(now);
+  const rows = {};
+  const rowFor = rep => rows[rep] || (rows[rep] = { rep, activities30: 0, openDeals: [], touched: 0, coldDeals: [], coldValue: 0, overdue: 0, lastActivityDate: null });
+  pipeline.forEach(o => {
+    const row = rowFor(o.rep);
+    row.openDeals.push(o);
+    if (o.activityCount30 > 0) row.touched++;
+    if (o.activityHeat === 'cold') { row.coldDeals.push(o); row.coldValue += o.amount; }
+    if (o.daysToNextStep < 0) row.overdue++;
+  });
+  const dealRep = new Map(pipeline.filter(o => o.sfId).map(o => [idKey(o.sfId), o.rep]));
+  activities.forEach(a => {
+    if (!a.done || a.date > today) return;
+    const rep = a.owner ? repOf(a.owner) : a.opportunityId && dealRep.get(idKey(a.opportunityId));
+    if (!rep || !rows[rep]) return;
+    if (daysBetween(a.date, today) < RECENT_DAYS) rows[rep].activities30++;
+    if (!rows[rep].lastActivityDate || a.date > rows[rep].lastActivityDate) rows[rep].lastActivityDate = a.date;
+  });
+  return Object.values(rows)
+    .map(r => ({ ...r, touchedShare: r.openDeals.length ? r.touched / r.openDeals.length : 0 }))
+    .sort((a, b) => b.activities30 - a.activities30 || b.touchedShare - a.touchedShare);
+};
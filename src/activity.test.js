@@ -0,0 +1,25 @@
+import { describe, it, expect } from 'vitest';
+import { withActivity } from './activity.js';
+import { openDeal } from './testFixtures.js';
+
+const NOW = new Date(2025, 4, 20);
+const DEAL_ID = '006A00000000001AAA';
+const task = (overrides = {}) => ({ account: 'Acme', date: '2025-05-18', done: true, ...overrides });
+
+describe('withActivity', () => {
+  it('files activities under their deal by Opportunity ID', () => {
+    const [deal, other] = withActivity([openDeal({ id: DEAL_ID }), openDeal({ id: '006A00000000002AAA' })], [task({ opportunityId: '006A00000000001' })], NOW);
+    expect(deal).toMatchObject({ lastActivityDate: '2025-05-18', lastActivityDays: 2, activityMatch: 'opportunity', activityHeat: 'hot' });
+    expect(other).toMatchObject({ lastActivityDate: null, activityMatch: null });
+  });
+
+  it('falls back to the account when the Opportunity ID matches no loaded deal', () => {
+    const [deal] = withActivity([openDeal({ id: DEAL_ID })], [task({ opportunityId: '006B00000000009' })], NOW);
+    expect(deal).toMatchObject({ lastActivityDate: '2025-05-18', activityMatch: 'account', activityCount30: 1 });
+  });
+
+  it('leaves days since activity empty for deals never touched', () => {
+    const [deal] = withActivity([openDeal({ id: DEAL_ID, account: 'Globex' })], [task()], NOW);
+    expect(deal).toMatchObject({ lastActivityDate: null, lastActivityDays: null, activityHeat: 'cold' });
+  });
+});
@@ -0,0 +1,65 @@
+import { isBlankRow } from './csv.js';
+import { parseDate, toISODate } from './fiscalCalendar.js';
+
+// Activity (task / event) exports from Salesforce. Each activity joins to a deal
+// by Opportunity ID ("Related To" / What ID) or, failing that, by account name;
+// see activity.js for what is derived from them.
+export const ACTIVITY_FIELDS = [
+  { key: 'opportunityId', label: 'Opportunity ID', aliases: ['opportunity id', 'related to id', 'what id', 'opportunity id 18', 'opportunity id (18)'] },
+  { key: 'account', label: 'Account', aliases: ['account name', 'account', 'company / account', 'company account'] },
+  { key: 'date', label: 'Date', aliases: ['date', 'activity date', 'due date', 'completed date', 'completed date/time', 'start', 'created date'], required: true },
+  { key: 'status', label: 'Status', aliases: ['status', 'task status'] },
+  { key: 'type', label: 'Activity Type', aliases: ['activity type', 'task subtype', 'task type', 'event type', 'type'] },
+  { key: 'subject', label: 'Subject', aliases: ['subject'] },
+  { key: 'owner', label: 'Assigned To', aliases: ['assigned', 'assigned to', 'activity owner', 'owner'] },
+];
+
+export const ACTIVITY_MAPPING_KEY = 'revintel:activityMapping';
+
+// Date is required, plus something to join on
+export const missingActivityFields = mapping => {
+  const mapped = new Set(Object.values(mapping));
+  const missing = ACTIVITY_FIELDS.filter(f => f.required && !mapped.has(f.key));
+  if (!mapped.has('opportunityId') && !mapped.has('account')) missing.push({ key: 'join', label: 'Opportunity ID or Account' });
+  return missing;
+};
+
+const DONE_STATUS = /complet|done|closed|held/i;
+
+// Mapped rows -> { activities, report }. An activity is done when its status
+// says so; with no status column, anything dated up to `now` counts as done.
+export const normalizeActivities = (headers, rows, mapping, { now = new Date() } = {}) => {
+  const colIndex = Object.fromEntries(ACTIVITY_FIELDS.map(f => [f.key, headers.findIndex(h => mapping[h] === f.key)]));
+  const today = toISODate(now);
+  const activities = [];
+  const report = { totalRows: 0, imported: 0, skipped: {}, dateIssues: [] };
+  const skip = reason => { report.skipped[reason] = (report.skipped[reason] || 0) + 1; };
+
+  rows.forEach((values, r) => {
+    report.totalRows++;
+    if (isBlankRow(values)) { skip('Blank row'); return; }
+    const getValue = idx => idx >= 0 && idx < values.length ? (values[idx] ?? '').trim() : '';
+    const opportunityId = getValue(colIndex.opportunityId), account = getValue(colIndex.account);
+    // "Related To" columns mix opportunity, account and contact IDs - only 006 is an opportunity
+    const otherRecord = /^[a-zA-Z0-9]{15}([a-zA-Z0-9]{3})?$/.test(opportunityId) && !opportunityId.startsWith('006');
+    const oppId = otherRecord ? '' : opportunityId;
+    if (!oppId && !account) { skip('No opportunity or account'); return; }
+    const raw = getValue(colIndex.date);
+    const d = raw ? parseDate(raw) : null;
+    if (!d) { skip('No usable date'); report.dateIssues.push({ row: r + 1, value: raw, account }); return; }
+    const date = toISODate(d), status = getValue(colIndex.status);
+    activities.push({
+      opportunityId: oppId || null,
+      account: account || null,
+      date,
+      done: status ? DONE_STATUS.test(status) : date <= today,
+      status: status || null,
+      type: getValue(colIndex.type) || null,
+      subject: getValue(colIndex.subject) || null,
+      owner: getValue(colIndex.owner) || null,
+    });
+  });
+
+  report.imported = activities.length;
+  return { activities, report };
+};
@@ -0,0 +1,212 @@
+import { YEARS, QUARTERS } from './constants.js';
+import { DEFAULT_EXCLUDED_LOSS_REASONS, isExcludedReason } from './planning.js';
+import { paceStatus } from './pacing.js';
+import { DEFAULT_FORECAST_MODEL, FORECAST_MODELS, forecastPipeline } from './forecast.js';
+import { retentionBetween } from './retention.js';
+import { fiscalPeriodOf } from './fiscalCalendar.js';
+import { pct, verticalColors } from './format.js';
+
+// Metrics engine behind the dashboard. Everything here is a pure function of
+// opportunities, filters and the goals/quotas config, so the same numbers can
+// be reproduced outside React (fixtures from generateData, finance checks).
+
+export const DEFAULT_REP_QUOTA = 500000;
+export const DEFAULT_TERRITORY_QUOTA = 50000000;
+
+export const sumAmount = opps => opps.reduce((s, o) => s + o.amount, 0);
+export const winRateOf = (won, lost) => (won + lost) > 0 ? won / (won + lost) : 0;
+
+// MTD/QTD/YTD are relative to `now` in the fiscal `calendar`; quarter buttons match o.quarter directly
+export const matchesTimePeriods = (o, timePeriods, { now = new Date(), calendar } = {}) => {
+  if (timePeriods.includes('All')) return true;
+  const { year: cy, month: cm } = fiscalPeriodOf(now, calendar), cq = Math.ceil(cm / 3);
+  for (const p of timePeriods) {
+    if (p === 'MTD' && o.year === cy && o.month === cm) return true;
+    if (p === 'QTD' && o.year === cy && o.month >= (cq - 1) * 3 + 1 && o.month <= cm) return true;
+    if (p === 'YTD' && o.year === cy && o.month <= cm) return true;
+    if (QUARTERS.includes(p) && o.quarter === p) return true;
+  }
+  return false;
+};
+
+// filters: { territories, sources, types, verticals, customerRelationships, activeYears, timePeriods }
+// Empty arrays mean "no filter", except activeYears which always applies.
+// options: { now, calendar } for MTD/QTD/YTD.
+export const filterOpportunities = (opps, filters, options = {}) => {
+  const { territories = [], sources = [], types = [], verticals = [], customerRelationships = [], activeYears = [], timePeriods = ['All'] } = filters;
+  return opps.filter(o => {
+    if (territories.length && !territories.includes(o.territory)) return false;
+    if (sources.length && !sources.includes(o.source)) return false;
+    if (types.length && !types.includes(o.type)) return false;
+    if (verticals.length && !verticals.includes(o.vertical)) return false;
+    if (customerRelationships.length && !customerRelationships.includes(o.customerRelationship)) return false;
+    if (!activeYears.includes(o.year)) return false;
+    return matchesTimePeriods(o, timePeriods, options);
+  });
+};
+
+// Same years shifted back by one, unfiltered - the YoY comparison base
+export const priorYearOpportunities = (opps, activeYears) => {
+  const py = activeYears.map(y => String(parseInt(y) - 1));
+  return opps.filter(o => py.includes(o.year));
+};
+
+export const splitByStage = opps => ({
+  won: opps.filter(o => o.stage === 'Closed Won'),
+  lost: opps.filter(o => o.stage === 'Closed Lost'),
+  pipeline: opps.filter(o => o.stage === 'Pipeline'),
+});
+
+export const summaryMetrics = opps => {
+  const { won, lost, pipeline } = splitByStage(opps);
+  const totalRevenue = sumAmount(won);
+  return {
+    totalRevenue,
+    winRate: winRateOf(won.length, lost.length),
+    avgDealSize: won.length > 0 ? totalRevenue / won.length : 0,
+    avgCycle: won.length > 0 ? won.reduce((s, o) => s + o.daysInPipeline, 0) / won.length : 0,
+    pipelineValue: sumAmount(pipeline),
+  };
+};
+
+// Commit, best-case and weighted forecasts against goal; forecastTotal and
+// forecastAttainment follow the selected model
+export const forecastMetrics = ({ totalRevenue, pipeline }, goalRevenue, model = DEFAULT_FORECAST_MODEL) => {
+  const open = forecastPipeline(pipeline);
+  const forecasts = Object.fromEntries(FORECAST_MODELS.map(({ key }) => {
+    const total = totalRevenue + open[key];
+    return [key, { total, attainment: goalRevenue > 0 ? total / goalRevenue : 0 }];
+  }));
+  const selected = forecasts[model] || forecasts[DEFAULT_FORECAST_MODEL];
+  return { forecasts, forecastTotal: selected.total, forecastAttainment: selected.attainment };
+};
+
+// Revenue/pipeline/deal size goals derived from the annual goals of the selected years
+export const goalsForYears = (activeYears, { annualGoals, goalDealSize }) => {
+  const totalGoal = activeYears.reduce((sum, year) => sum + (annualGoals[year] || 0), 0);
+  return {
+    revenue: totalGoal || 55000000, // Default to 2025 goal if no years selected
+    pipeline: Math.ceil(totalGoal * 1.5 / 1000000) * 1000000 || 80000000,
+    dealSize: goalDealSize,
+  };
+};
+
+// Retention compares the latest selected year to the year before it, using
+// each account's revenue per year (accountYearRevenue: { account: { year: $ } })
+export const retentionMetrics = (accountYearRevenue, activeYears) => {
+  const sortedYears = [...activeYears].sort();
+  if (sortedYears.length === 0) {
+    return { ndrAmount: null, gdrAmount: null, ndrLogo: null, gdrLogo: null, hasData: false };
+  }
+
+  const currentYear = sortedYears[sortedYears.length - 1];
+  const priorYear = String(parseInt(currentYear) - 1);
+
+  const priorYearAccounts = {};
+  const currentYearAccounts = {};
+  Object.entries(accountYearRevenue).forEach(([account, yearData]) => {
+    if (yearData[priorYear]) priorYearAccounts[account] = yearData[priorYear];
+    if (yearData[currentYear]) currentYearAccounts[account] = yearData[currentYear];
+  });
+
+  return { ...retentionBetween(priorYearAccounts, currentYearAccounts), priorYear, currentYear };
+};
+
+export const verticalAnalysis = (filtered, prevYearData, excludedVerticals = []) => {
+  const byV = {};
+  filtered.forEach(o => {
+    if (!o.vertical || excludedVerticals.includes(o.vertical)) return;
+    if (!byV[o.vertical]) byV[o.vertical] = { won: 0, lost: 0, revenue: 0, pipeline: 0, lossReasons: {} };
+    if (o.stage === 'Closed Won') { byV[o.vertical].won++; byV[o.vertical].revenue += o.amount; }
+    if (o.stage === 'Closed Lost') { byV[o.vertical].lost++; if (o.lossReason) byV[o.vertical].lossReasons[o.lossReason] = (byV[o.vertical].lossReasons[o.lossReason] || 0) + 1; }
+    if (o.stage === 'Pipeline') byV[o.vertical].pipeline += o.amount;
+  });
+  const prevByV = {};
+  prevYearData.forEach(o => {
+    if (!o.vertical || excludedVerticals.includes(o.vertical)) return;
+    if (!prevByV[o.vertical]) prevByV[o.vertical] = { revenue: 0 };
+    if (o.stage === 'Closed Won') prevByV[o.vertical].revenue += o.amount;
+  });
+  return Object.entries(byV).map(([name, d]) => {
+    const tl = Object.entries(d.lossReasons).sort((a, b) => b[1] - a[1])[0];
+    const pr = prevByV[name]?.revenue || 0;
+    return { name, ...d, winRate: winRateOf(d.won, d.lost), topLossReason: tl ? tl[0] : null, change: pr > 0 ? (d.revenue - pr) / pr : null, color: verticalColors[name] || '#737373' };
+  }).sort((a, b) => b.revenue - a.revenue);
+};
+
+// Top 20 accounts by won revenue, plus their share of each year's business in allOpps
+export const top20Analysis = ({ won, pipeline, prevWon, allOpps, years = YEARS }) => {
+  const totalRevenue = sumAmount(won);
+  const ad = {};
+  won.forEach(o => { if (!ad[o.account]) ad[o.account] = { revenue: 0, vertical: o.vertical, pipeline: 0 }; ad[o.account].revenue += o.amount; ad[o.account].vertical = o.vertical; });
+  pipeline.forEach(o => { if (!ad[o.account]) ad[o.account] = { revenue: 0, vertical: o.vertical, pipeline: 0 }; ad[o.account].pipeline += o.amount; });
+  const t20 = Object.entries(ad).sort((a, b) => b[1].revenue - a[1].revenue).slice(0, 20).map(([n]) => n);
+  const par = {}; prevWon.forEach(o => { par[o.account] = (par[o.account] || 0) + o.amount; });
+  const accs = t20.map(name => ({ name, revenue: ad[name]?.revenue || 0, change: par[name] > 0 ? (ad[name].revenue - par[name]) / par[name] : null, pipeline: ad[name]?.pipeline || 0, vertical: ad[name]?.vertical || 'Unknown', pctOfBiz: totalRevenue > 0 ? (ad[name]?.revenue || 0) / totalRevenue : 0 }));
+  const trend = years.map(y => { const yw = allOpps.filter(o => o.year === y && o.stage === 'Closed Won'); const yt = sumAmount(yw); const t20r = sumAmount(yw.filter(o => t20.includes(o.account))); return { year: y, pctOfBusiness: yt > 0 ? t20r / yt : 0 }; });
+  const t20Tot = accs.reduce((s, a) => s + a.revenue, 0);
+  const latestPct = trend[trend.length - 1]?.pctOfBusiness || 0;
+  const insight = latestPct > 0.5 ? `⚠️ High concentration: Top 20 logos = ${pct(latestPct)} of revenue.` : `Top 20 logos = ${pct(latestPct)} of revenue.`;
+  return { accounts: accs, trendData: trend, top20PctOfBusiness: totalRevenue > 0 ? t20Tot / totalRevenue : 0, insight };
+};
+
+// Won revenue per territory per `${year}-${quarter}` period, sorted chronologically
+export const territoryTrend = won => {
+  const d = {};
+  won.forEach(o => { const k = `${o.year}-${o.quarter}`; if (!d[k]) d[k] = { period: k }; d[k][o.territory] = (d[k][o.territory] || 0) + o.amount; });
+  return Object.values(d).sort((a, b) => a.period.localeCompare(b.period));
+};
+
+export const territoryData = (filtered, prevYearData) => {
+  const bt = {}; filtered.forEach(o => { if (!bt[o.territory]) bt[o.territory] = { won: 0, lost: 0, revenue: 0 }; if (o.stage === 'Closed Won') { bt[o.territory].won++; bt[o.territory].revenue += o.amount; } if (o.stage === 'Closed Lost') bt[o.territory].lost++; });
+  const pbt = {}; prevYearData.forEach(o => { if (!pbt[o.territory]) pbt[o.territory] = { revenue: 0 }; if (o.stage === 'Closed Won') pbt[o.territory].revenue += o.amount; });
+  return Object.entries(bt).map(([name, d]) => ({ name, ...d, winRate: winRateOf(d.won, d.lost), change: pbt[name]?.revenue > 0 ? (d.revenue - pbt[name].revenue) / pbt[name].revenue : null })).sort((a, b) => b.revenue - a.revenue);
+};
+
+// Reasons matching `excluded` (see planning.js) are bulk archives, not losses
+export const lossReasons = (lost, excluded = DEFAULT_EXCLUDED_LOSS_REASONS) => {
+  const r = {};
+  lost.forEach(o => { if (o.lossReason && !isExcludedReason(o.lossReason, excluded)) r[o.lossReason] = (r[o.lossReason] || 0) + o.amount; });
+  return Object.entries(r).map(([name, value]) => ({ name, value, count: lost.filter(l => l.lossReason === name).length, pctOfLoss: lost.length > 0 ? lost.filter(l => l.lossReason === name).length / lost.length : 0 })).sort((a, b) => b.value - a.value);
+};
+
+export const sourcePerformance = filtered => {
+  const s = {};
+  filtered.forEach(o => { if (!s[o.source]) s[o.source] = { won: 0, lost: 0, revenue: 0 }; if (o.stage === 'Closed Won') { s[o.source].won++; s[o.source].revenue += o.amount; } if (o.stage === 'Closed Lost') s[o.source].lost++; });
+  return Object.entries(s).map(([name, d]) => ({ name, ...d, winRate: winRateOf(d.won, d.lost) })).sort((a, b) => b.winRate - a.winRate);
+};
+
+// Only reps in knownReps are ranked; getQuota(name) supplies the quota to attain against
+// and getExpectedShare(name) the share of it expected by now (see pacing.js).
+// Expects opportunities already keyed to canonical reps (canonicalizeReps).
+export const repPerformance = (filtered, { knownReps, getQuota, getExpectedShare = () => 1 }) => {
+  const r = {};
+  filtered.forEach(o => {
+    const isKnownRep = knownReps.some(kr => kr.toLowerCase() === o.rep?.toLowerCase());
+    if (!isKnownRep) return;
+    if (!r[o.rep]) r[o.rep] = { won: 0, lost: 0, revenue: 0, pipeline: 0, territory: o.repTerritory || o.territory };
+    if (o.stage === 'Closed Won') { r[o.rep].won++; r[o.rep].revenue += o.amount; }
+    if (o.stage === 'Closed Lost') r[o.rep].lost++;
+    if (o.stage === 'Pipeline') r[o.rep].pipeline += o.amount;
+  });
+  return Object.entries(r).map(([name, d]) => {
+    const quota = getQuota(name);
+    const attainment = quota > 0 ? d.revenue / quota : 0;
+    const expectedAttainment = getExpectedShare(name);
+    const pace = quota > 0 && expectedAttainment > 0 ? attainment / expectedAttainment : null;
+    return { name, ...d, quota, winRate: winRateOf(d.won, d.lost), attainment, expectedAttainment, pace, paceStatus: paceStatus(pace) };
+  }).sort((a, b) => b.revenue - a.revenue);
+};
+
+export const territoryQuotaAttainment = (reps, territoryQuotas) => {
+  const bt = {};
+  reps.forEach(r => {
+    if (!bt[r.territory]) bt[r.territory] = { totalRevenue: 0, reps: [] };
+    bt[r.territory].totalRevenue += r.revenue;
+    bt[r.territory].reps.push(r);
+  });
+  return Object.entries(bt).map(([territory, d]) => {
+    const totalQuota = territoryQuotas[territory] || DEFAULT_TERRITORY_QUOTA;
+    return { territory, ...d, totalQuota, attainment: totalQuota > 0 ? d.totalRevenue / totalQuota : 0, repCount: d.reps.length };
+  }).sort((a, b) => b.attainment - a.attainment);
+};
@@ -0,0 +1,189 @@
+import { describe, it, expect } from 'vitest';
+import { generateData } from './demoData.js';
+import { filterOpportunities, splitByStage, summaryMetrics, sumAmount, forecastMetrics, goalsForYears, repPerformance, verticalAnalysis, retentionMetrics, priorYearOpportunities } from './analytics.js';
+import { accountYearRevenue } from './retention.js';
+import { deal, openDeal } from './testFixtures.js';
+
+// Deterministic generateData fixture (mulberry32)
+const seeded = seed => () => {
+  seed = (seed + 0x6D2B79F5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const { opps, reps } = generateData(seeded(42));
+const NOW = new Date(2025, 4, 20); // 20 May 2025
+
+describe('generateData fixture', () => {
+  it('is reproducible for a seed', () => {
+    expect(generateData(seeded(42)).opps).toEqual(opps);
+    expect(generateData(seeded(7)).opps).not.toEqual(opps);
+  });
+});
+
+describe('filterOpportunities', () => {
+  it('always applies the selected years', () => {
+    const filtered = filterOpportunities(opps, { activeYears: ['2024'] }, { now: NOW });
+    expect(filtered.length).toBeGreaterThan(0);
+    expect(filtered.every(o => o.year === '2024')).toBe(true);
+    expect(filtered).toHaveLength(opps.filter(o => o.year === '2024').length);
+  });
+
+  it('treats empty dimension filters as no filter', () => {
+    const filtered = filterOpportunities(opps, { activeYears: ['2024'], territories: ['Canada'], sources: [] }, { now: NOW });
+    expect(filtered.every(o => o.territory === 'Canada')).toBe(true);
+    expect(filtered).toHaveLength(opps.filter(o => o.year === '2024' && o.territory === 'Canada').length);
+  });
+
+  it('matches quarter buttons and MTD/QTD/YTD relative to now', () => {
+    const months = timePeriods => [...new Set(filterOpportunities(opps, { activeYears: ['2025'], timePeriods }, { now: NOW }).map(o => o.month))].sort((a, b) => a - b);
+    expect(months(['Q2'])).toEqual([4, 5, 6]);
+    expect(months(['MTD'])).toEqual([5]);
+    expect(months(['QTD'])).toEqual([4, 5]);
+    expect(months(['YTD'])).toEqual([1, 2, 3, 4, 5]);
+    expect(months(['Q1', 'MTD'])).toEqual([1, 2, 3, 5]);
+  });
+
+  it('finds no MTD deals in a year other than the current one', () => {
+    expect(filterOpportunities(opps, { activeYears: ['2024'], timePeriods: ['MTD'] }, { now: NOW })).toEqual([]);
+  });
+
+  it('reads MTD in the fiscal calendar it is given', () => {
+    const deals = [deal({ year: '2026', quarter: 'Q2', month: 4 }), deal({ year: '2025', quarter: 'Q2', month: 5 })];
+    const calendar = { startMonth: 2, pattern: 'months' };
+    expect(filterOpportunities(deals, { activeYears: ['2025', '2026'], timePeriods: ['MTD'] }, { now: NOW, calendar })).toEqual([deals[0]]);
+    expect(filterOpportunities(deals, { activeYears: ['2025', '2026'], timePeriods: ['MTD'] }, { now: NOW })).toEqual([deals[1]]);
+  });
+});
+
+describe('summaryMetrics', () => {
+  it('agrees with the deals it summarises', () => {
+    const filtered = filterOpportunities(opps, { activeYears: ['2024'] }, { now: NOW });
+    const { won, lost, pipeline } = splitByStage(filtered);
+    const summary = summaryMetrics(filtered);
+    expect(won.length + lost.length + pipeline.length).toBe(filtered.length);
+    expect(summary.totalRevenue).toBe(sumAmount(won));
+    expect(summary.pipelineValue).toBe(sumAmount(pipeline));
+    expect(summary.winRate).toBeCloseTo(won.length / (won.length + lost.length));
+    expect(summary.avgDealSize).toBeCloseTo(sumAmount(won) / won.length);
+  });
+
+  it('returns zeros without closed deals', () => {
+    expect(summaryMetrics([openDeal()])).toEqual({ totalRevenue: 0, winRate: 0, avgDealSize: 0, avgCycle: 0, pipelineValue: 100 });
+  });
+
+  it('averages cycle over won deals only', () => {
+    const summary = summaryMetrics([deal({ daysInPipeline: 20 }), deal({ daysInPipeline: 40, amount: 300 }), deal({ stage: 'Closed Lost', daysInPipeline: 90 })]);
+    expect(summary).toMatchObject({ totalRevenue: 400, avgDealSize: 200, avgCycle: 30 });
+    expect(summary.winRate).toBeCloseTo(2 / 3);
+  });
+});
+
+describe('forecastMetrics', () => {
+  const pipeline = [
+    openDeal({ amount: 1000, probability: 0.9, forecastCategory: 'Commit' }),
+    openDeal({ amount: 2000, probability: 0.5, forecastCategory: 'Best Case' }),
+    openDeal({ amount: 4000, probability: 0.1, forecastCategory: 'Pipeline', historicalProbability: 0.25 }),
+    openDeal({ amount: 8000, probability: 0.5, forecastCategory: 'Omitted' }),
+  ];
+
+  it('adds each model\'s share of pipeline to closed revenue', () => {
+    const { forecasts } = forecastMetrics({ totalRevenue: 10000, pipeline }, 20000);
+    expect(forecasts.commit.total).toBe(11000);
+    expect(forecasts.bestCase.total).toBe(13000);
+    expect(forecasts.weighted.total).toBeCloseTo(10000 + 900 + 1000 + 400);
+    expect(forecasts.historical.total).toBeCloseTo(10000 + 900 + 1000 + 1000);
+    expect(forecasts.bestCase.attainment).toBeCloseTo(0.65);
+  });
+
+  it('reports the selected model and no attainment without a goal', () => {
+    expect(forecastMetrics({ totalRevenue: 10000, pipeline }, 20000, 'commit')).toMatchObject({ forecastTotal: 11000, forecastAttainment: 0.55 });
+    expect(forecastMetrics({ totalRevenue: 10000, pipeline }, 0, 'commit').forecastAttainment).toBe(0);
+  });
+
+  it('sums the selected years\' goals', () => {
+    expect(goalsForYears(['2024', '2025'], { annualGoals: { 2024: 30000000, 2025: 40000000 }, goalDealSize: 50000 })).toEqual({ revenue: 70000000, pipeline: 105000000, dealSize: 50000 });
+  });
+});
+
+describe('repPerformance', () => {
+  const filtered = filterOpportunities(opps, { activeYears: ['2024'] }, { now: NOW });
+  const quotas = Object.fromEntries(reps.map(r => [r.name, r.quota]));
+
+  it('ranks known reps by revenue against their quota', () => {
+    const rows = repPerformance(filtered, { knownReps: reps.map(r => r.name), getQuota: name => quotas[name] });
+    expect(rows.map(r => r.name).sort()).toEqual(reps.map(r => r.name).sort());
+    rows.forEach((r, i) => {
+      const mine = filtered.filter(o => o.rep === r.name);
+      expect(r.revenue).toBe(sumAmount(mine.filter(o => o.stage === 'Closed Won')));
+      expect(r.attainment).toBeCloseTo(r.revenue / quotas[r.name]);
+      if (i > 0) expect(rows[i - 1].revenue).toBeGreaterThanOrEqual(r.revenue);
+    });
+  });
+
+  it('leaves out reps not in knownReps', () => {
+    const rows = repPerformance(filtered, { knownReps: ['sarah chen'], getQuota: () => 1 });
+    expect(rows.map(r => r.name)).toEqual(['Sarah Chen']);
+  });
+
+  it('paces attainment against the expected share', () => {
+    const [row] = repPerformance([deal({ amount: 300 }), deal({ stage: 'Closed Lost' })], { knownReps: ['Ann'], getQuota: () => 1000, getExpectedShare: () => 0.5 });
+    expect(row).toMatchObject({ won: 1, lost: 1, revenue: 300, quota: 1000, attainment: 0.3, expectedAttainment: 0.5, winRate: 0.5, paceStatus: 'behind' });
+    expect(row.pace).toBeCloseTo(0.6);
+  });
+});
+
+describe('verticalAnalysis', () => {
+  it('compares each vertical with the prior year', () => {
+    const filtered = filterOpportunities(opps, { activeYears: ['2024'] }, { now: NOW });
+    const prev = priorYearOpportunities(opps, ['2024']);
+    const rows = verticalAnalysis(filtered, prev);
+    const tech = rows.find(r => r.name === 'Technology');
+    const won = filtered.filter(o => o.vertical === 'Technology' && o.stage === 'Closed Won');
+    const prevRevenue = sumAmount(prev.filter(o => o.vertical === 'Technology' && o.stage === 'Closed Won'));
+    expect(tech.revenue).toBe(sumAmount(won));
+    expect(tech.won).toBe(won.length);
+    expect(tech.change).toBeCloseTo((tech.revenue - prevRevenue) / prevRevenue);
+    expect(rows.map(r => r.revenue)).toEqual([...rows.map(r => r.revenue)].sort((a, b) => b - a));
+  });
+
+  it('skips excluded verticals and picks the most frequent loss reason', () => {
+    const rows = verticalAnalysis([
+      deal({ stage: 'Closed Lost', lossReason: 'Price' }),
+      deal({ stage: 'Closed Lost', lossReason: 'Price' }),
+      deal({ stage: 'Closed Lost', lossReason: 'Timing' }),
+      deal({ vertical: 'Retail' }),
+    ], [], ['Retail']);
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ name: 'Technology', lost: 3, topLossReason: 'Price', change: null });
+  });
+});
+
+describe('retentionMetrics', () => {
+  it('compares the latest selected year with the one before', () => {
+    const revenue = accountYearRevenue([
+      deal({ account: 'A', year: '2024', amount: 100 }), deal({ account: 'A', year: '2025', amount: 150 }),
+      deal({ account: 'B', year: '2024', amount: 100 }),
+      deal({ account: 'C', year: '2025', amount: 50 }),
+      deal({ account: 'D', year: '2025', amount: 999, stage: 'Closed Lost' }),
+    ]);
+    const m = retentionMetrics(revenue, ['2025', '2024']);
+    expect(m).toMatchObject({ priorYear: '2024', currentYear: '2025', hasData: true, baseLogos: 2, retainedLogos: 1, churnedLogos: 1, newLogos: 1 });
+    expect(m.ndrAmount).toBeCloseTo(0.75);
+    expect(m.gdrAmount).toBeCloseTo(0.5);
+    expect(m.gdrLogo).toBeCloseTo(0.5);
+  });
+
+  it('has no data without a prior year or selection', () => {
+    expect(retentionMetrics(accountYearRevenue(opps), []).hasData).toBe(false);
+    expect(retentionMetrics(accountYearRevenue(opps), ['2020']).hasData).toBe(false);
+  });
+
+  it('keeps NDR and GDR consistent on the fixture', () => {
+    const m = retentionMetrics(accountYearRevenue(opps), ['2024']);
+    expect(m.hasData).toBe(true);
+    expect(m.gdrAmount).toBeLessThanOrEqual(1);
+    expect(m.ndrAmount).toBeCloseTo((m.baseRevenue + m.expansionRevenue - m.contractionRevenue - m.churnedRevenue) / m.baseRevenue);
+  });
+});
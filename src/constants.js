@@ -0,0 +1,8 @@
+// Shared taxonomy used by parsing, demo data and the dashboard filters
+export const TERRITORIES = ['US', 'Canada', 'UK'];
+export const LEAD_SOURCES = ['Inbound', 'Outbound', 'Partner', 'Referral'];
+export const OPPORTUNITY_TYPES = ['New Business', 'Expansion', 'Upsell', 'Renewal'];
+export const LOSS_REASONS = ['Price', 'Competition', 'No Budget', 'Timing', 'Product Fit', 'Champion Left'];
+export const VERTICALS = ['Technology', 'Financial Services', 'Healthcare', 'Manufacturing', 'Retail', 'Media'];
+export const QUARTERS = ['Q1', 'Q2', 'Q3', 'Q4'];
+export const YEARS = ['2020', '2021', '2022', '2023', '2024', '2025', '2026'];
@@ -0,0 +1,85 @@
+// Pipeline coverage: open pipeline divided by the quota still to close. A rep
+// at 3x has three dollars of pipeline for every dollar they still need.
+// Coverage is green at or above the target, amber down to the warning level
+// and red below it.
+
+import { QUARTERS } from './constants.js';
+import { fiscalCalendarOf, quarterAmounts } from './planning.js';
+import { quarterElapsed } from './pipelineGeneration.js';
+import { fiscalPeriodOf, fiscalQuarterLabel } from './fiscalCalendar.js';
+
+export const DEFAULT_COVERAGE_SETTINGS = { target: 3, warningAt: 2 };
+
+export const validateCoverageSettings = ({ target, warningAt }) => {
+  const problems = [];
+  if (!(target > 0)) problems.push('Target coverage must be above zero');
+  if (!(warningAt > 0)) problems.push('Warning level must be above zero');
+  if (target > 0 && warningAt > target) problems.push('Warning level must not be above the target');
+  return problems;
+};
+
+// null when nothing is left to close
+export const coverageRatio = (pipeline, remaining) => remaining > 0 ? pipeline / remaining : null;
+
+// 'noQuota' | 'met' | 'healthy' | 'warning' | 'gap'
+export const coverageStatus = ({ quota, remaining, ratio }, settings) => {
+  if (!(quota > 0)) return 'noQuota';
+  if (remaining <= 0) return 'met';
+  return ratio >= settings.target ? 'healthy' : ratio >= settings.warningAt ? 'warning' : 'gap';
+};
+
+const sumAmount = opps => opps.reduce((s, o) => s + o.amount, 0);
+
+const coverageRow = (fields, won, open, settings) => {
+  const closed = sumAmount(won), pipeline = sumAmount(open);
+  const remaining = Math.max(0, (fields.quota || 0) - closed);
+  const ratio = coverageRatio(pipeline, remaining);
+  const row = { ...fields, closed, remaining, pipeline, ratio, deals: open, count: open.length };
+  // Pipeline still to find to reach the target
+  return { ...row, status: coverageStatus(row, settings), shortfall: Math.max(0, remaining * settings.target - pipeline) };
+};
+
+// Coverage per group (rep, territory) over the already-filtered deals.
+// `names` lists groups to show even with no deals - a rep with no pipeline is
+// the biggest hole of all. Lowest coverage first.
+export const coverageBy = (opps, { groupOf, quotaOf, names = [], settings = DEFAULT_COVERAGE_SETTINGS }) => {
+  const groups = new Map(names.map(n => [n, { won: [], open: [] }]));
+  opps.forEach(o => {
+    const name = groupOf(o);
+    if (!name || (o.stage !== 'Closed Won' && o.stage !== 'Pipeline')) return;
+    if (!groups.has(name)) groups.set(name, { won: [], open: [] });
+    groups.get(name)[o.stage === 'Closed Won' ? 'won' : 'open'].push(o);
+  });
+  const order = { gap: 0, warning: 1, healthy: 2, met: 3, noQuota: 4 };
+  return [...groups.entries()]
+    .map(([name, { won, open }]) => coverageRow({ name, quota: quotaOf(name) }, won, open, settings))
+    .sort((a, b) => order[a.status] - order[b.status] || (a.ratio ?? Infinity) - (b.ratio ?? Infinity));
+};
+
+// Quota for one quarter in the corporate currency: the company revenue goal,
+// or the selected territories' quotas when the view is filtered to territories
+const quarterQuota = (planning, year, quarter, territories) => {
+  if (!territories.length) return planning.annualGoals[year] != null ? quarterAmounts(planning.annualGoals[year])[quarter] : null;
+  const quotas = territories.map(t => planning.territoryQuotas[year]?.[t]).filter(q => q != null);
+  return quotas.length ? quotas.reduce((s, q) => s + quarterAmounts(q)[quarter], 0) : null;
+};
+
+// The quarter in progress and every later one through the end of next year,
+// by close date. opps should carry every year (dimension filters only).
+export const coverageByQuarter = (opps, planning, { rate = 1, territories = [], settings = DEFAULT_COVERAGE_SETTINGS, now = new Date() } = {}) => {
+  const calendar = fiscalCalendarOf(planning);
+  const thisYear = parseInt(fiscalPeriodOf(now, calendar).year);
+  return [thisYear, thisYear + 1].flatMap(y => QUARTERS.map(quarter => ({ year: String(y), quarter })))
+    .filter(({ year, quarter }) => quarterElapsed(year, quarter, now, calendar) < 1)
+    .map(({ year, quarter }) => {
+      const deals = opps.filter(o => o.year === year && o.quarter === quarter);
+      const quota = quarterQuota(planning, year, quarter, territories);
+      return coverageRow({
+        key: `${year}-${quarter}`, year, quarter, label: fiscalQuarterLabel(year, quarter, calendar),
+        quota: quota == null ? null : quota * rate,
+        started: quarterElapsed(year, quarter, now, calendar) > 0,
+      }, deals.filter(o => o.stage === 'Closed Won'), deals.filter(o => o.stage === 'Pipeline'), settings);
+    })
+    // Next year's quarters only once there is a goal or pipeline for them
+    .filter(r => r.year === String(thisYear) || r.quota != null || r.count > 0);
+};
@@ -0,0 +1,89 @@
+// RFC 4180 CSV parsing. The parser is a small state machine fed in chunks, so a
+// quoted field may contain delimiters, CR/LF line breaks and "" escaped quotes,
+// and can span chunk boundaries when streaming a large export.
+
+export const createCSVParser = ({ delimiter = ',', onRow }) => {
+  let field = '';
+  let row = [];
+  let inQuotes = false;
+  let quotePending = false; // saw '"' inside quotes: either an escaped quote or the closing one
+  let atFieldStart = true;
+  let pendingCR = false;
+  let started = false;
+
+  const endField = () => { row.push(field); field = ''; atFieldStart = true; };
+  const endRow = () => { endField(); onRow(row); row = []; };
+
+  const push = chunk => {
+    for (let i = 0; i < chunk.length; i++) {
+      const c = chunk[i];
+      if (!started) { started = true; if (c === '\uFEFF') continue; }
+      if (pendingCR) { pendingCR = false; if (c === '\n') continue; }
+      if (inQuotes) {
+        if (quotePending) {
+          quotePending = false;
+          if (c === '"') { field += '"'; continue; }
+          inQuotes = false; // closing quote - handle c as an unquoted char below
+        } else {
+          if (c === '"') quotePending = true;
+          else field += c;
+          continue;
+        }
+      }
+      if (c === '"' && atFieldStart) { inQuotes = true; atFieldStart = false; continue; }
+      atFieldStart = false;
+      if (c === delimiter) endField();
+      else if (c === '\n') endRow();
+      else if (c === '\r') { endRow(); pendingCR = true; }
+      else field += c;
+    }
+  };
+
+  const end = () => {
+    if (quotePending) { quotePending = false; inQuotes = false; }
+    if (field !== '' || row.length > 0 || inQuotes) endRow();
+  };
+
+  return { push, end };
+};
+
+export const isBlankRow = row => row.every(v => !v || !v.trim());
+
+// Parse a whole CSV string into an array of rows (arrays of strings)
+export const parseCSVText = (text, delimiter = ',') => {
+  const rows = [];
+  const parser = createCSVParser({ delimiter, onRow: r => rows.push(r) });
+  parser.push(text);
+  parser.end();
+  return rows;
+};
+
+// Stream a File/Blob through the parser without reading it into one string.
+// Resolves with { headers, rows }; blank lines are dropped.
+export const parseCSVFile = async (file, delimiter = ',') => {
+  let headers = null;
+  const rows = [];
+  const parser = createCSVParser({
+    delimiter,
+    onRow: r => {
+      if (isBlankRow(r)) return;
+      if (!headers) headers = r.map(h => h.trim());
+      else rows.push(r);
+    },
+  });
+  const reader = file.stream().pipeThrough(new TextDecoderStream()).getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    parser.push(value);
+  }
+  parser.end();
+  return { headers: headers || [], rows };
+};
+
+const escapeCSVValue = v => {
+  const s = v == null ? '' : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export const toCSV = rows => rows.map(r => r.map(escapeCSVValue).join(',')).join('\r\n');
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { createCSVParser, parseCSVText, parseCSVFile, toCSV } from './csv.js';
+
+const parseChunks = chunks => {
+  const rows = [];
+  const parser = createCSVParser({ onRow: r => rows.push(r) });
+  chunks.forEach(parser.push);
+  parser.end();
+  return rows;
+};
+
+describe('parseCSVText', () => {
+  it('keeps CRLF and LF line breaks inside quoted fields', () => {
+    expect(parseCSVText('Account,Notes\r\nAcme,"line one\r\nline two"\r\nGlobex,"a\nb"\r\n')).toEqual([['Account', 'Notes'], ['Acme', 'line one\r\nline two'], ['Globex', 'a\nb']]);
+  });
+
+  it('reads "" inside a quoted field as one quote', () => {
+    expect(parseCSVText('"Acme ""West"", Inc",100')).toEqual([['Acme "West", Inc', '100']]);
+  });
+
+  it('keeps a last row without a final newline', () => {
+    expect(parseCSVText('a,b\n1,2')).toEqual([['a', 'b'], ['1', '2']]);
+    expect(parseCSVText('a,b\n1,')).toEqual([['a', 'b'], ['1', '']]);
+  });
+
+  it('drops a byte order mark', () => {
+    expect(parseCSVText('\uFEFFAccount\nAcme')).toEqual([['Account'], ['Acme']]);
+  });
+});
+
+describe('createCSVParser', () => {
+  const text = 'Account,Notes\r\n"Acme ""West""","a\r\nb"\r\nGlobex,c\r\n';
+
+  it('gives the same rows however the input is split into chunks', () => {
+    const whole = parseChunks([text]);
+    for (let i = 1; i < text.length; i++) expect(parseChunks([text.slice(0, i), text.slice(i)])).toEqual(whole);
+  });
+
+  it('handles an escaped quote and a CRLF split across chunks', () => {
+    expect(parseChunks(['"say "', '"hi"""\r', '\nnext'])).toEqual([['say "hi"'], ['next']]);
+  });
+});
+
+describe('parseCSVFile', () => {
+  it('streams a file into headers and rows, skipping blank lines', async () => {
+    const file = new Blob([' Account ,Amount\n\nAcme,"1,000"\n']);
+    expect(await parseCSVFile(file)).toEqual({ headers: ['Account', 'Amount'], rows: [['Acme', '1,000']] });
+  });
+});
+
+describe('toCSV', () => {
+  it('round-trips values with commas, quotes and newlines', () => {
+    const rows = [['Row', 'Reason'], ['1', 'Acme, "West"\nline two'], ['2', ''], ['3', 'plain']];
+    expect(parseCSVText(toCSV(rows))).toEqual(rows);
+  });
+});
@@ -0,0 +1,68 @@
+// Multi-currency support. Opportunities keep their deal currency and original
+// amount; `amount` is always expressed in the dashboard's reporting currency,
+// converted with FX rate tables that can be set per year or per quarter.
+
+// Goals, quotas and Salesforce "converted" amounts are in the corporate currency
+export const CORPORATE_CURRENCY = 'USD';
+
+export const CURRENCIES = {
+  USD: { symbol: '$', label: 'US Dollar' },
+  CAD: { symbol: 'CA$', label: 'Canadian Dollar' },
+  GBP: { symbol: '£', label: 'British Pound' },
+  EUR: { symbol: '€', label: 'Euro' },
+};
+
+// Units of CORPORATE_CURRENCY per one unit of each currency. Keys are a year
+// ('2025') or a quarter ('2025-Q3'); a quarter entry overrides its year.
+export const DEFAULT_FX_RATES = {
+  '2020': { CAD: 0.746, GBP: 1.284, EUR: 1.142 },
+  '2021': { CAD: 0.798, GBP: 1.376, EUR: 1.183 },
+  '2022': { CAD: 0.769, GBP: 1.237, EUR: 1.053 },
+  '2023': { CAD: 0.741, GBP: 1.244, EUR: 1.081 },
+  '2024': { CAD: 0.730, GBP: 1.278, EUR: 1.082 },
+  '2025': { CAD: 0.716, GBP: 1.316, EUR: 1.129 },
+  '2026': { CAD: 0.720, GBP: 1.330, EUR: 1.150 },
+};
+
+// "CAD", "cad", "CAD - Canadian Dollar" -> "CAD"; blank or unknown -> fallback
+export const parseCurrencyCode = (value, fallback = CORPORATE_CURRENCY) => {
+  const m = (value || '').toUpperCase().match(/\b([A-Z]{3})\b/);
+  return m ? m[1] : fallback;
+};
+
+const periodKeys = rates => Object.keys(rates).sort();
+
+// Rate for a currency in a period: the quarter entry, else the year, else the
+// closest earlier period that has one, else the earliest one we know.
+export const rateFor = (currency, year, quarter, rates) => {
+  if (currency === CORPORATE_CURRENCY) return 1;
+  const exact = rates[`${year}-${quarter}`]?.[currency] ?? rates[year]?.[currency];
+  if (exact) return exact;
+  const keys = periodKeys(rates).filter(k => rates[k][currency]);
+  if (keys.length === 0) return 1;
+  const target = `${year}-${quarter || 'Q4'}`;
+  const earlier = keys.filter(k => (k.length === 4 ? `${k}-Q0` : k) <= target);
+  return rates[(earlier.length ? earlier[earlier.length - 1] : keys[0])][currency];
+};
+
+export const convertAmount = (amount, from, to, { year, quarter } = {}, rates = DEFAULT_FX_RATES) => {
+  if (!amount || from === to) return amount || 0;
+  return amount * rateFor(from, year, quarter, rates) / rateFor(to, year, quarter, rates);
+};
+
+// Re-express every opportunity's amount in the reporting currency, using the
+// rate for the quarter it closes in. A converted amount from Salesforce
+// (convertedAmount, corporate currency at its dated rates) is kept; the table
+// only converts deal-currency amounts without one, or the corporate amount
+// when reporting in a third currency.
+export const convertOpportunities = (opps, reportingCurrency, rates) => opps.map(o => {
+  const currency = o.currency || CORPORATE_CURRENCY;
+  const original = o.originalAmount ?? o.amount;
+  const amount = o.convertedAmount != null && currency !== reportingCurrency
+    ? convertAmount(o.convertedAmount, CORPORATE_CURRENCY, reportingCurrency, o, rates)
+    : convertAmount(original, currency, reportingCurrency, o, rates);
+  return amount === o.amount && o.currency ? o : { ...o, currency, originalAmount: original, amount };
+});
+
+// Currencies that have at least one rate, always including the corporate one
+export const knownCurrencies = rates => [...new Set([CORPORATE_CURRENCY, ...Object.keys(CURRENCIES), ...Object.values(rates).flatMap(Object.keys)])];
@@ -0,0 +1,72 @@
+import { YEARS, LEAD_SOURCES, OPPORTUNITY_TYPES, LOSS_REASONS } from './constants.js';
+
+// Synthetic opportunities for demos and fixtures. Pass a seeded `random` to get
+// a reproducible dataset.
+export const generateData = (random = Math.random) => {
+  const opps = [];
+  const reps = [
+    { name: 'Alex Rivera', territory: 'US', quota: 600000 },
+    { name: 'Sarah Chen', territory: 'US', quota: 750000 },
+    { name: 'Michael Brooks', territory: 'US', quota: 500000 },
+    { name: 'Elena Rodriguez', territory: 'Canada', quota: 450000 },
+    { name: 'David Kim', territory: 'Canada', quota: 400000 },
+    { name: 'Jordan Smith', territory: 'US', quota: 550000 }
+  ];
+  const keyAccounts = [
+    { name: 'Acme Corp', growth: 1.4, baseSpend: 150000, vertical: 'Technology' },
+    { name: 'TechFlow Inc', growth: 1.6, baseSpend: 120000, vertical: 'Technology' },
+    { name: 'Global Systems', growth: 1.3, baseSpend: 180000, vertical: 'Financial Services' },
+    { name: 'Quantum Dynamics', growth: 1.5, baseSpend: 110000, vertical: 'Manufacturing' },
+    { name: 'Atlas Enterprises', growth: 1.2, baseSpend: 200000, vertical: 'Financial Services' },
+    { name: 'Nexus Group', growth: 1.7, baseSpend: 85000, vertical: 'Healthcare' },
+    { name: 'Apex Solutions', growth: 1.4, baseSpend: 130000, vertical: 'Retail' },
+    { name: 'Vertex Industries', growth: 1.1, baseSpend: 160000, vertical: 'Manufacturing' },
+    { name: 'Pinnacle Co', growth: 1.9, baseSpend: 70000, vertical: 'Media' },
+    { name: 'Summit Corp', growth: 1.3, baseSpend: 140000, vertical: 'Financial Services' },
+    { name: 'Nova Systems', growth: 2.0, baseSpend: 60000, vertical: 'Healthcare' },
+    { name: 'Zenith Labs', growth: 1.4, baseSpend: 100000, vertical: 'Healthcare' },
+    { name: 'Catalyst Inc', growth: 1.6, baseSpend: 80000, vertical: 'Technology' },
+    { name: 'Meridian Group', growth: 1.2, baseSpend: 170000, vertical: 'Retail' },
+    { name: 'Vector Dynamics', growth: 1.7, baseSpend: 65000, vertical: 'Healthcare' }
+  ];
+  const otherAccounts = [
+    { name: 'SmallCo A', vertical: 'Technology' }, { name: 'SmallCo B', vertical: 'Retail' },
+    { name: 'SmallCo C', vertical: 'Healthcare' }, { name: 'MidSize D', vertical: 'Financial Services' }
+  ];
+  
+  YEARS.forEach(year => {
+    const yi = YEARS.indexOf(year);
+    const ym = 0.7 + yi * 0.1;
+    ['Q1', 'Q2', 'Q3', 'Q4'].forEach((q, qi) => {
+      const qm = qi === 3 ? 1.3 : qi === 0 ? 0.8 : 1.0;
+      keyAccounts.forEach((acc, ai) => {
+        if (random() > 0.35) {
+          const rep = reps[ai % reps.length];
+          const yg = Math.pow(acc.growth, yi - 1);
+          const amt = Math.floor(acc.baseSpend * yg * qm * (0.8 + random() * 0.4));
+          const stage = random() < 0.55 ? 'Closed Won' : random() > 0.3 ? 'Closed Lost' : 'Pipeline';
+          const mo = qi * 3 + 1 + Math.floor(random() * 3);
+          let lr = null;
+          if (stage === 'Closed Lost') {
+            if (acc.vertical === 'Healthcare') lr = random() > 0.5 ? 'Competition' : 'Product Fit';
+            else if (acc.vertical === 'Financial Services') lr = random() > 0.6 ? 'Price' : 'No Budget';
+            else lr = LOSS_REASONS[Math.floor(random() * LOSS_REASONS.length)];
+          }
+          opps.push({ id: `K${year}${q}${ai}`, name: `${acc.name} - ${OPPORTUNITY_TYPES[Math.floor(random() * 4)]}`, account: acc.name, rep: rep.name, repTerritory: rep.territory, territory: rep.territory, source: LEAD_SOURCES[Math.floor(random() * 4)], type: OPPORTUNITY_TYPES[Math.floor(random() * 4)], stage, amount: amt, closeDate: `${year}-${String(mo).padStart(2,'0')}-15`, year, quarter: q, month: mo, lossReason: lr, vertical: acc.vertical, daysInPipeline: stage === 'Closed Won' ? 30 + Math.floor(random() * 40) : 40 + Math.floor(random() * 60), lastActivityDays: Math.floor(random() * 20), probability: stage === 'Pipeline' ? [0.3, 0.5, 0.7][Math.floor(random() * 3)] : stage === 'Closed Won' ? 1 : 0 });
+        }
+      });
+      for (let i = 0; i < 8; i++) {
+        const rep = reps[Math.floor(random() * reps.length)];
+        const acc = otherAccounts[Math.floor(random() * otherAccounts.length)];
+        const stage = random() < 0.45 ? 'Closed Won' : random() > 0.25 ? 'Closed Lost' : 'Pipeline';
+        const mo = qi * 3 + 1 + Math.floor(random() * 3);
+        opps.push({ id: `S${year}${q}${i}`, name: `${acc.name} - ${OPPORTUNITY_TYPES[Math.floor(random() * 4)]}`, account: acc.name, rep: rep.name, repTerritory: rep.territory, territory: rep.territory, source: LEAD_SOURCES[Math.floor(random() * 4)], type: OPPORTUNITY_TYPES[Math.floor(random() * 4)], stage, amount: Math.floor((20000 + random() * 40000) * ym * qm), closeDate: `${year}-${String(mo).padStart(2,'0')}-15`, year, quarter: q, month: mo, lossReason: stage === 'Closed Lost' ? LOSS_REASONS[Math.floor(random() * LOSS_REASONS.length)] : null, vertical: acc.vertical, daysInPipeline: 30 + Math.floor(random() * 50), lastActivityDays: Math.floor(random() * 25), probability: stage === 'Pipeline' ? [0.2, 0.4, 0.6][Math.floor(random() * 3)] : stage === 'Closed Won' ? 1 : 0 });
+      }
+    });
+  });
+  keyAccounts.slice(0, 8).forEach((acc, i) => {
+    const rep = reps[i % reps.length];
+    opps.push({ id: `P${i}`, name: `${acc.name} - Expansion`, account: acc.name, rep: rep.name, repTerritory: rep.territory, territory: rep.territory, source: 'Inbound', type: 'Expansion', stage: 'Pipeline', amount: Math.floor(acc.baseSpend * 1.4 * (0.9 + random() * 0.3)), closeDate: '2025-03-30', year: '2025', quarter: 'Q1', month: 3, lossReason: null, vertical: acc.vertical, daysInPipeline: 15 + Math.floor(random() * 40), lastActivityDays: Math.floor(random() * 12), probability: [0.4, 0.6, 0.8][Math.floor(random() * 3)] });
+  });
+  return { opps, reps };
+};
@@ -0,0 +1,103 @@
+import { parseCSVFile } from './csv.js';
+
+// Reads any supported upload into the same { headers, rows } table the CSV path
+// produces, so the column-mapping wizard and normalizeOpportunities apply unchanged.
+// Supported: CSV, Excel workbooks (.xlsx/.xls, one sheet at a time), JSON arrays and NDJSON.
+
+export const UPLOAD_ACCEPT = '.csv,.xlsx,.xls,.json,.ndjson,.jsonl,text/csv,application/json';
+
+export const detectFormat = file => {
+  const ext = (file.name.split('.').pop() || '').toLowerCase();
+  if (ext === 'xlsx' || ext === 'xls' || file.type.includes('spreadsheetml') || file.type === 'application/vnd.ms-excel') return 'xlsx';
+  if (ext === 'ndjson' || ext === 'jsonl') return 'ndjson';
+  if (ext === 'json' || file.type === 'application/json') return 'json'; // may still turn out to be NDJSON
+  return 'csv';
+};
+
+const pad2 = n => String(n).padStart(2, '0');
+const cellToString = v => {
+  if (v == null) return '';
+  if (v instanceof Date) return isNaN(v.getTime()) ? '' : `${v.getFullYear()}-${pad2(v.getMonth() + 1)}-${pad2(v.getDate())}`;
+  if (typeof v === 'object') return JSON.stringify(v);
+  return String(v);
+};
+
+// Nested records (e.g. { Account: { Name } }) become dotted columns ("Account.Name")
+const flattenRecord = (obj, prefix = '', out = {}) => {
+  Object.entries(obj).forEach(([k, v]) => {
+    const key = prefix ? `${prefix}.${k}` : k;
+    if (v && typeof v === 'object' && !Array.isArray(v) && !(v instanceof Date)) flattenRecord(v, key, out);
+    else out[key] = v;
+  });
+  return out;
+};
+
+export const recordsToTable = records => {
+  const headers = [];
+  const seen = new Set();
+  const flat = records.filter(r => r && typeof r === 'object').map(r => flattenRecord(r));
+  flat.forEach(r => Object.keys(r).forEach(k => { if (!seen.has(k)) { seen.add(k); headers.push(k); } }));
+  return { headers, rows: flat.map(r => headers.map(h => cellToString(r[h]))) };
+};
+
+export const parseNDJSON = text => text.split(/\r?\n/).reduce((records, line, i) => {
+  if (!line.trim()) return records;
+  try { records.push(JSON.parse(line)); } catch (err) { throw new Error(`Invalid JSON on line ${i + 1}: ${err.message}`); }
+  return records;
+}, []);
+
+// Keys API exports wrap their records in (Salesforce REST: { totalSize, done, records })
+const WRAPPER_KEYS = ['records', 'data', 'items', 'results', 'rows', 'opportunities'];
+const isRecordList = v => Array.isArray(v) && v.every(r => r && typeof r === 'object' && !Array.isArray(r));
+
+const isObjectLine = line => { try { const v = JSON.parse(line); return v && typeof v === 'object' && !Array.isArray(v); } catch { return false; } };
+
+export const parseJSONRecords = text => {
+  const trimmed = text.trim();
+  if (!trimmed.startsWith('[') && !trimmed.startsWith('{')) throw new Error('Not a JSON array or NDJSON file');
+  if (trimmed.startsWith('[')) return JSON.parse(trimmed);
+  // A complete object on the first line means one object per line - NDJSON
+  const lines = trimmed.split(/\r?\n/);
+  if (lines.length > 1 && isObjectLine(lines[0])) return parseNDJSON(trimmed);
+  let obj;
+  try { obj = JSON.parse(trimmed); } catch { return parseNDJSON(trimmed); }
+  // A multi-line object may wrap the records (e.g. { "records": [...] }); a single
+  // line is one NDJSON record unless it is an API export
+  const wrapped = lines.length > 1
+    ? Object.values(obj).find(v => isRecordList(v) && v.length)
+    : WRAPPER_KEYS.map(k => obj[k]).find(isRecordList);
+  return wrapped || [obj];
+};
+
+export const sheetToTable = (XLSX, workbook, sheetName) => {
+  const grid = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, raw: true, defval: '', blankrows: false });
+  // Report exports often carry title rows above the header - take the first row with 3+ filled cells
+  const headerRow = Math.max(0, grid.findIndex(r => r.filter(v => cellToString(v).trim()).length >= 3));
+  const [headers = [], ...rows] = grid.slice(headerRow).map(r => r.map(cellToString));
+  return { headers: headers.map(h => h.trim()), rows };
+};
+
+// Resolves with { format, headers, rows } plus, for workbooks, { sheets, sheet, selectSheet(name) }
+export const readUpload = async file => {
+  const format = detectFormat(file);
+  if (format === 'csv') return { format, ...(await parseCSVFile(file)) };
+
+  if (format === 'xlsx') {
+    const XLSX = await import('xlsx');
+    const workbook = XLSX.read(await file.arrayBuffer(), { cellDates: true });
+    const sheets = workbook.SheetNames;
+    const selectSheet = sheet => ({ format, sheets, sheet, selectSheet, ...sheetToTable(XLSX, workbook, sheet) });
+    // Default to the largest sheet - Salesforce exports put the data first, but summaries vary
+    const largest = sheets.reduce((best, name) => {
+      const ref = workbook.Sheets[name]['!ref'];
+      const rowCount = ref ? XLSX.utils.decode_range(ref).e.r : 0;
+      return rowCount > best.rowCount ? { name, rowCount } : best;
+    }, { name: sheets[0], rowCount: -1 });
+    return selectSheet(largest.name);
+  }
+
+  const text = await file.text();
+  const records = format === 'ndjson' ? parseNDJSON(text) : parseJSONRecords(text);
+  if (!Array.isArray(records)) throw new Error('Expected an array of opportunity records');
+  return { format, ...recordsToTable(records) };
+};
@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import * as XLSX from 'xlsx';
+import { parseJSONRecords, parseNDJSON, recordsToTable, sheetToTable } from './fileImport.js';
+
+describe('parseJSONRecords', () => {
+  it('reads a JSON array', () => {
+    expect(parseJSONRecords('[{"Account":"Acme"},{"Account":"Globex"}]')).toEqual([{ Account: 'Acme' }, { Account: 'Globex' }]);
+  });
+
+  it('unwraps records from an API export wrapper', () => {
+    const salesforce = JSON.stringify({ totalSize: 1, done: true, records: [{ Name: 'Renewal' }] }, null, 2);
+    expect(parseJSONRecords(salesforce)).toEqual([{ Name: 'Renewal' }]);
+    expect(parseJSONRecords('{"data":[{"Name":"Renewal"}],"page":1}')).toEqual([{ Name: 'Renewal' }]);
+  });
+
+  it('reads single-line objects as NDJSON records, array fields and all', () => {
+    const ndjson = '{"Account":"Acme","Tags":[{"id":1}]}\n{"Account":"Globex","Tags":[]}\n';
+    expect(parseJSONRecords(ndjson)).toEqual([{ Account: 'Acme', Tags: [{ id: 1 }] }, { Account: 'Globex', Tags: [] }]);
+    expect(parseJSONRecords('{"Account":"Acme","Contacts":[{"Name":"Ann"}]}')).toEqual([{ Account: 'Acme', Contacts: [{ Name: 'Ann' }] }]);
+  });
+
+  it('rejects anything that is not JSON records', () => {
+    expect(() => parseJSONRecords('Account,Amount')).toThrow('Not a JSON array or NDJSON file');
+  });
+});
+
+describe('parseNDJSON', () => {
+  it('skips blank lines and names the line that fails', () => {
+    expect(parseNDJSON('{"a":1}\r\n\r\n{"a":2}')).toEqual([{ a: 1 }, { a: 2 }]);
+    expect(() => parseNDJSON('{"a":1}\n{"a":')).toThrow(/line 2/);
+  });
+});
+
+describe('recordsToTable', () => {
+  it('flattens nested records into dotted columns', () => {
+    expect(recordsToTable([{ Name: 'Renewal', Account: { Name: 'Acme' } }, { Name: 'Upsell', Amount: 5 }])).toEqual({ headers: ['Name', 'Account.Name', 'Amount'], rows: [['Renewal', 'Acme', ''], ['Upsell', '', '5']] });
+  });
+});
+
+describe('sheetToTable', () => {
+  it('takes the first row with three filled cells as the header', () => {
+    const sheet = XLSX.utils.aoa_to_sheet([
+      ['Opportunity Report'],
+      ['As of', '20 May 2025'],
+      [],
+      [' Account Name ', 'Amount', 'Close Date'],
+      ['Acme', 1200, new Date(2025, 2, 15)],
+    ], { cellDates: true });
+    const workbook = { SheetNames: ['Report'], Sheets: { Report: sheet } };
+    expect(sheetToTable(XLSX, workbook, 'Report')).toEqual({ headers: ['Account Name', 'Amount', 'Close Date'], rows: [['Acme', '1200', '2025-03-15']] });
+  });
+});
@@ -0,0 +1,110 @@
+// Fiscal calendar: which month the fiscal year starts in and whether months
+// follow the calendar or a 4-4-5 week pattern. Every opportunity's year,
+// quarter and month - and "now" for MTD/QTD/YTD - are fiscal once it is applied.
+// Fiscal years are named for the calendar year they end in: with a February
+// start, Feb 2025 - Jan 2026 is FY2026.
+//
+// 4-4-5 years start on the Sunday on or before the 1st of the start month;
+// each quarter is 13 weeks split 4, 4 and 5, and the odd 53rd week falls in
+// the last month of the year.
+
+export const FISCAL_PATTERNS = [
+  { key: 'months', label: 'Calendar months' },
+  { key: '4-4-5', label: '4-4-5 weeks' },
+];
+
+export const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+export const DEFAULT_FISCAL_CALENDAR = { startMonth: 1, pattern: 'months' };
+
+export const isCalendarYear = calendar => calendar.startMonth === 1 && calendar.pattern === 'months';
+
+export const validateFiscalCalendar = calendar => {
+  const problems = [];
+  if (!Number.isInteger(calendar.startMonth) || calendar.startMonth < 1 || calendar.startMonth > 12) problems.push('Fiscal year must start in a month from 1 to 12');
+  if (!FISCAL_PATTERNS.some(p => p.key === calendar.pattern)) problems.push(`Unknown fiscal pattern "${calendar.pattern}"`);
+  return problems;
+};
+
+const DAY = 86400000;
+const WEEKS_445 = [0, 4, 8]; // first week of each month within a quarter
+const daysBetween = (a, b) => Math.round((b - a) / DAY);
+
+// First day of fiscal year `fy` (a number)
+const fiscalYearStart = (fy, calendar) => {
+  const y = calendar.startMonth === 1 ? fy : fy - 1;
+  const first = new Date(y, calendar.startMonth - 1, 1);
+  return calendar.pattern === '4-4-5' ? new Date(y, calendar.startMonth - 1, 1 - first.getDay()) : first;
+};
+
+// { year: 'YYYY', quarter: 'Qn', month: 1-12 } - the fiscal period a date falls in
+export const fiscalPeriodOf = (date, calendar = DEFAULT_FISCAL_CALENDAR) => {
+  const d = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  let fy = d.getFullYear() + (calendar.startMonth > 1 && d.getMonth() + 1 >= calendar.startMonth ? 1 : 0);
+  let month;
+  if (calendar.pattern === '4-4-5') {
+    if (d < fiscalYearStart(fy, calendar)) fy--;
+    else if (d >= fiscalYearStart(fy + 1, calendar)) fy++;
+    const week = Math.floor(daysBetween(fiscalYearStart(fy, calendar), d) / 7);
+    const q = Math.min(3, Math.floor(week / 13));
+    const w = week - q * 13;
+    month = q * 3 + (w < 4 ? 0 : w < 8 ? 1 : 2) + 1;
+  } else {
+    month = (d.getMonth() - (calendar.startMonth - 1) + 12) % 12 + 1;
+  }
+  return { year: String(fy), quarter: `Q${Math.ceil(month / 3)}`, month };
+};
+
+// [start, end) of a fiscal month
+export const fiscalMonthRange = (year, month, calendar = DEFAULT_FISCAL_CALENDAR) => {
+  const fy = parseInt(year);
+  if (calendar.pattern === '4-4-5') {
+    const yearStart = fiscalYearStart(fy, calendar);
+    const weekOf = m => Math.floor((m - 1) / 3) * 13 + WEEKS_445[(m - 1) % 3];
+    const at = week => new Date(yearStart.getFullYear(), yearStart.getMonth(), yearStart.getDate() + week * 7);
+    return { start: at(weekOf(month)), end: month === 12 ? fiscalYearStart(fy + 1, calendar) : at(weekOf(month + 1)) };
+  }
+  const start = fiscalYearStart(fy, calendar);
+  return { start: new Date(start.getFullYear(), start.getMonth() + month - 1, 1), end: new Date(start.getFullYear(), start.getMonth() + month, 1) };
+};
+
+// [start, end) of a fiscal quarter ('Q1'..'Q4')
+export const fiscalQuarterRange = (year, quarter, calendar = DEFAULT_FISCAL_CALENDAR) => {
+  const q = parseInt(String(quarter).slice(1));
+  return { start: fiscalMonthRange(year, q * 3 - 2, calendar).start, end: fiscalMonthRange(year, q * 3, calendar).end };
+};
+
+// "Q1 '26" on a calendar year; "Q1 FY26" once quarters are fiscal
+export const fiscalQuarterLabel = (year, quarter, calendar = DEFAULT_FISCAL_CALENDAR) => `${quarter} ${isCalendarYear(calendar) ? "'" : 'FY'}${String(year).slice(2)}`;
+
+// "Mar '26" on a calendar year; "P3 FY26" once months are fiscal
+export const fiscalMonthLabel = (year, month, calendar = DEFAULT_FISCAL_CALENDAR) => isCalendarYear(calendar) ? `${MONTH_NAMES[month - 1]} '${String(year).slice(2)}` : `P${month} FY${String(year).slice(2)}`;
+
+export const toISODate = d => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+
+// YYYY-MM-DD as a local date (new Date() would read it as UTC midnight);
+// null when unparseable
+export const parseDate = value => {
+  const d = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00`) : new Date(value);
+  return isNaN(d.getTime()) ? null : d;
+};
+
+// Re-derive year, quarter and month (and the created-date equivalents) from
+// each deal's dates. The calendar values are kept in calendarYear/calendarMonth
+// so a deal with no usable close date can be re-derived when the calendar changes;
+// deals dated only by a "FY2024 Q3" fiscal period column are already fiscal.
+export const applyFiscalCalendar = (opps, calendar = DEFAULT_FISCAL_CALENDAR) => isCalendarYear(calendar) ? opps : opps.map(o => {
+  const calendarYear = o.calendarYear ?? o.year, calendarMonth = o.calendarMonth ?? o.month;
+  const close = o.closeDate ? parseDate(o.closeDate) : null;
+  const next = { ...o, calendarYear, calendarMonth };
+  if (close || !o.fiscalPeriod) {
+    const period = fiscalPeriodOf(close || new Date(parseInt(calendarYear), (calendarMonth || 1) - 1, 15), calendar);
+    Object.assign(next, { year: period.year, quarter: period.quarter, month: period.month });
+  }
+  const created = o.createdDate ? parseDate(o.createdDate) : null;
+  if (created) {
+    const period = fiscalPeriodOf(created, calendar);
+    Object.assign(next, { createdYear: period.year, createdQuarter: period.quarter });
+  }
+  return next;
+});
@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { fiscalPeriodOf, fiscalMonthRange, fiscalQuarterRange, applyFiscalCalendar } from './fiscalCalendar.js';
+
+const FEB = { startMonth: 2, pattern: 'months' };
+const WEEKS = { startMonth: 1, pattern: '4-4-5' };
+
+describe('fiscalPeriodOf', () => {
+  it('starts the year in the start month, named for the year it ends in', () => {
+    expect(fiscalPeriodOf(new Date(2024, 11, 31))).toEqual({ year: '2024', quarter: 'Q4', month: 12 });
+    expect(fiscalPeriodOf(new Date(2025, 0, 1))).toEqual({ year: '2025', quarter: 'Q1', month: 1 });
+    expect(fiscalPeriodOf(new Date(2025, 0, 31), FEB)).toEqual({ year: '2025', quarter: 'Q4', month: 12 });
+    expect(fiscalPeriodOf(new Date(2025, 1, 1), FEB)).toEqual({ year: '2026', quarter: 'Q1', month: 1 });
+  });
+
+  it('splits 4-4-5 quarters into 4, 4 and 5 weeks from the Sunday on or before the 1st', () => {
+    // FY2025 starts Sunday 29 Dec 2024
+    expect(fiscalPeriodOf(new Date(2024, 11, 28), WEEKS)).toMatchObject({ year: '2024', month: 12 });
+    expect(fiscalPeriodOf(new Date(2024, 11, 29), WEEKS)).toMatchObject({ year: '2025', month: 1 });
+    expect(fiscalPeriodOf(new Date(2025, 0, 25), WEEKS).month).toBe(1);
+    expect(fiscalPeriodOf(new Date(2025, 0, 26), WEEKS).month).toBe(2);
+    expect(fiscalPeriodOf(new Date(2025, 2, 29), WEEKS)).toMatchObject({ quarter: 'Q1', month: 3 });
+    expect(fiscalPeriodOf(new Date(2025, 2, 30), WEEKS)).toMatchObject({ quarter: 'Q2', month: 4 });
+  });
+
+  it('puts the 53rd week in the last month of the year', () => {
+    // FY2022 runs 26 Dec 2021 - 31 Dec 2022
+    expect(fiscalPeriodOf(new Date(2022, 11, 31), WEEKS)).toEqual({ year: '2022', quarter: 'Q4', month: 12 });
+    expect(fiscalPeriodOf(new Date(2023, 0, 1), WEEKS)).toEqual({ year: '2023', quarter: 'Q1', month: 1 });
+    expect(fiscalMonthRange('2022', 12, WEEKS)).toEqual({ start: new Date(2022, 10, 20), end: new Date(2023, 0, 1) });
+  });
+});
+
+describe('fiscalQuarterRange', () => {
+  it('runs from the first day of the quarter to the first day of the next', () => {
+    expect(fiscalQuarterRange('2025', 'Q2')).toEqual({ start: new Date(2025, 3, 1), end: new Date(2025, 6, 1) });
+    expect(fiscalQuarterRange('2026', 'Q1', FEB)).toEqual({ start: new Date(2025, 1, 1), end: new Date(2025, 4, 1) });
+    expect(fiscalQuarterRange('2026', 'Q4', FEB)).toEqual({ start: new Date(2025, 10, 1), end: new Date(2026, 1, 1) });
+    expect(fiscalQuarterRange('2025', 'Q1', WEEKS)).toEqual({ start: new Date(2024, 11, 29), end: new Date(2025, 2, 30) });
+  });
+});
+
+describe('applyFiscalCalendar', () => {
+  const deal = { year: '2025', quarter: 'Q1', month: 1, closeDate: '2025-01-31', createdDate: '2024-11-15' };
+
+  it('re-derives periods from the close and created dates, keeping the calendar ones', () => {
+    expect(applyFiscalCalendar([deal], FEB)[0]).toMatchObject({ year: '2025', quarter: 'Q4', month: 12, calendarYear: '2025', calendarMonth: 1, createdYear: '2025', createdQuarter: 'Q4' });
+    expect(applyFiscalCalendar([{ ...deal, closeDate: '2025-02-03' }], FEB)[0]).toMatchObject({ year: '2026', quarter: 'Q1', month: 1 });
+  });
+
+  it('leaves deals dated only by a fiscal period column alone', () => {
+    const byPeriod = { year: '2024', quarter: 'Q3', month: 8, closeDate: '', fiscalPeriod: 'FY2024 Q3' };
+    expect(applyFiscalCalendar([byPeriod], FEB)[0]).toMatchObject({ year: '2024', quarter: 'Q3', month: 8 });
+  });
+
+  it('passes deals through on a calendar year', () => {
+    const opps = [deal];
+    expect(applyFiscalCalendar(opps)).toBe(opps);
+  });
+});
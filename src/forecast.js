@@ -0,0 +1,93 @@
+// Forecast model. Every open deal gets a win probability - from its numbered
+// Salesforce stage ("3. Proposal") via the stage table - and a forecast
+// category, either imported from Salesforce or derived from that probability.
+
+export const FORECAST_CATEGORIES = ['Commit', 'Best Case', 'Pipeline', 'Omitted'];
+
+// Each model counts closed revenue plus part of the open pipeline
+export const FORECAST_MODELS = [
+  { key: 'commit', label: 'Commit', hint: 'Closed + Commit' },
+  { key: 'bestCase', label: 'Best case', hint: 'Closed + Commit + Best Case' },
+  { key: 'weighted', label: 'Weighted', hint: 'Closed + pipeline × stage probability' },
+  { key: 'historical', label: 'Historical', hint: 'Closed + pipeline × win rate learned from closed deals' },
+];
+
+export const DEFAULT_FORECAST_MODEL = 'weighted';
+
+// Stage number -> win probability. Stages not in the table, and data without
+// stage numbers, use defaultProbability. Deals without an imported category
+// are Commit at commitAt or above and Best Case at bestCaseAt or above.
+export const DEFAULT_FORECAST_SETTINGS = {
+  stageProbabilities: { 2: 0.1, 3: 0.25, 4: 0.5, 5: 0.75, 6: 0.9 },
+  defaultProbability: 0.25,
+  commitAt: 0.75,
+  bestCaseAt: 0.5,
+};
+
+// "1. Prospecting" -> 1; null for stages without a number
+export const parseStageNumber = stageName => {
+  const m = (stageName || '').match(/^(\d+)\./);
+  return m ? parseInt(m[1]) : null;
+};
+
+// Salesforce forecast category names, including the API values ("BestCase", "Omitted")
+export const parseForecastCategory = value => {
+  const v = (value || '').toLowerCase().replace(/[^a-z]/g, '');
+  if (v === 'commit' || v === 'forecast') return 'Commit';
+  if (v === 'bestcase' || v === 'upside') return 'Best Case';
+  if (v === 'pipeline') return 'Pipeline';
+  if (v === 'omitted' || v === 'omit') return 'Omitted';
+  return null;
+};
+
+export const stageProbability = (opp, settings) => {
+  const p = settings.stageProbabilities[opp.stageNumber];
+  return p != null ? p : settings.defaultProbability;
+};
+
+export const categoryForProbability = (probability, settings) =>
+  probability >= settings.commitAt ? 'Commit' : probability >= settings.bestCaseAt ? 'Best Case' : 'Pipeline';
+
+// Open deals get `probability` and the `forecastCategory` the models use -
+// the category imported from Salesforce when there is one
+export const applyForecastSettings = (opps, settings) => opps.map(o => {
+  if (o.stage !== 'Pipeline') return o;
+  const probability = stageProbability(o, settings);
+  return { ...o, probability, forecastCategory: o.importedCategory || categoryForProbability(probability, settings) };
+});
+
+// Pipeline each model counts on top of closed revenue
+export const forecastPipeline = pipeline => {
+  const sumWhere = test => pipeline.reduce((s, o) => s + (test(o) ? o.amount : 0), 0);
+  const weightedBy = probability => pipeline.reduce((s, o) => s + (o.forecastCategory === 'Omitted' ? 0 : o.amount * (probability(o) ?? 0)), 0);
+  const commit = sumWhere(o => o.forecastCategory === 'Commit');
+  return {
+    commit,
+    bestCase: commit + sumWhere(o => o.forecastCategory === 'Best Case'),
+    weighted: weightedBy(o => o.probability),
+    historical: weightedBy(o => o.historicalProbability ?? o.probability),
+  };
+};
+
+// Numbered stages seen in the open pipeline, with the stage names that use each number
+export const pipelineStages = opps => {
+  const byNumber = {};
+  opps.forEach(o => {
+    if (o.stage !== 'Pipeline' || o.stageNumber == null) return;
+    const s = byNumber[o.stageNumber] || (byNumber[o.stageNumber] = { number: o.stageNumber, names: [], count: 0, amount: 0 });
+    if (!s.names.includes(o.stageName)) s.names.push(o.stageName);
+    s.count++;
+    s.amount += o.amount;
+  });
+  return Object.values(byNumber).sort((a, b) => a.number - b.number);
+};
+
+export const validateForecastSettings = settings => {
+  const problems = [];
+  const isProb = v => typeof v === 'number' && !isNaN(v) && v >= 0 && v <= 1;
+  Object.entries(settings.stageProbabilities).forEach(([stage, p]) => { if (!isProb(p)) problems.push(`Stage ${stage}: probability must be 0-100%`); });
+  if (!isProb(settings.defaultProbability)) problems.push('Default probability must be 0-100%');
+  if (!isProb(settings.commitAt) || !isProb(settings.bestCaseAt)) problems.push('Category thresholds must be 0-100%');
+  else if (settings.bestCaseAt > settings.commitAt) problems.push('Best Case threshold is above Commit');
+  return problems;
+};
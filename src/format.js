@@ -0,0 +1,22 @@
+import { createContext, useContext } from 'react';
+import { CURRENCIES, CORPORATE_CURRENCY } from './currency.js';
+import { DEFAULT_FISCAL_CALENDAR, fiscalQuarterLabel } from './fiscalCalendar.js';
+
+const sym = currency => CURRENCIES[currency]?.symbol ?? `${currency} `;
+
+export const fmt = (n, currency = CORPORATE_CURRENCY) => { const $ = sym(currency); if (n == null || isNaN(n)) return `${$}0`; if (Math.abs(n) >= 1e6) return `${$}${(n/1e6).toFixed(1)}M`; if (Math.abs(n) >= 1e3) return `${$}${(n/1e3).toFixed(0)}K`; return `${$}${n.toFixed(0)}`; };
+export const fmtFull = (n, currency = CORPORATE_CURRENCY) => new Intl.NumberFormat('en-US', { style: 'currency', currency, maximumFractionDigits: 0 }).format(n || 0);
+// '2026-Q1' -> "Q1 '26" (or "Q1 FY26" on a fiscal calendar)
+export const fmtPeriod = (p, calendar) => { if (!p || !p.includes('-')) return p || ''; const [y, q] = p.split('-'); return q && y ? fiscalQuarterLabel(y, q, calendar) : p; };
+
+// fmt/fmtFull/fmtPeriod bound to the dashboard's reporting currency and fiscal
+// calendar. The dashboard provides them through FormatContext; components read
+// them with useFormat().
+export const formattersFor = (currency, calendar) => ({ currency, fmt: n => fmt(n, currency), fmtFull: (n, c = currency) => fmtFull(n, c), fmtPeriod: p => fmtPeriod(p, calendar) });
+export const FormatContext = createContext(formattersFor(CORPORATE_CURRENCY, DEFAULT_FISCAL_CALENDAR));
+export const useFormat = () => useContext(FormatContext);
+
+export const pct = n => `${((n || 0) * 100).toFixed(0)}%`;
+export const pctCh = (c, p) => { if (!p) return null; const ch = (c - p) / p; return { v: ch, l: `${ch >= 0 ? '+' : ''}${(ch * 100).toFixed(0)}%` }; };
+export const colors = { success: '#22c55e', warning: '#eab308', danger: '#ef4444' };
+export const verticalColors = { 'Technology': '#3b82f6', 'Financial Services': '#22c55e', 'Healthcare': '#ef4444', 'Manufacturing': '#f59e0b', 'Retail': '#8b5cf6', 'Media': '#ec4899', 'CPG/Beauty': '#14b8a6', 'Food/Bev': '#f97316', 'Pharma': '#6366f1', 'Automotive': '#84cc16', 'Entertainment': '#a855f7', 'E-Commerce': '#0ea5e9', 'Other': '#737373' };
@@ -0,0 +1,81 @@
+// Stage-by-stage funnel over the numbered Salesforce stages ("3. Proposal").
+// A deal has reached every stage up to its current one; won deals reached them
+// all. Lost deals no longer show their stage, so where they dropped out - and
+// how long deals sit in each stage - comes from the snapshot history.
+
+const median = values => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const DAY = 86400000;
+
+// Last numbered stage a deal was seen open at, from its snapshot versions
+export const lastOpenStage = versions => {
+  const open = (versions || []).filter(v => v.stage === 'Pipeline' && v.stageNumber != null);
+  return open.length ? open[open.length - 1].stageNumber : null;
+};
+
+// Days between the first snapshot showing a stage and the first showing a later one.
+// Only stages the deal was seen entering count - the first snapshot may be mid-stage.
+export const stageDurations = versions => {
+  const out = [];
+  let current = null;
+  (versions || []).forEach((v, i) => {
+    if (v.stageNumber == null) return;
+    if (!current || v.stageNumber > current.stage) {
+      if (current && current.entered) out.push({ stage: current.stage, days: Math.round((new Date(v.asOf) - new Date(current.since)) / DAY) });
+      current = { stage: v.stageNumber, since: v.asOf, entered: i > 0 };
+    }
+  });
+  return out;
+};
+
+// opps: the filtered deals; history: closeDateHistory over the snapshots (optional)
+export const funnelAnalysis = (opps, history) => {
+  const versionsOf = o => history ? history.deals.get(history.key(o))?.versions : null;
+  const numbered = opps.filter(o => o.stageNumber != null);
+  const lostStages = new Map(opps.filter(o => o.stage === 'Closed Lost').map(o => [o, lastOpenStage(versionsOf(o))]));
+  // Stages no deal sits in today still count if a deal passed through them
+  const seenBefore = opps.flatMap(o => (versionsOf(o) || []).filter(v => v.stageNumber != null));
+  const numbers = [...new Set([...numbered, ...seenBefore].map(o => o.stageNumber))].sort((a, b) => a - b);
+  if (!numbers.length) return { stages: [], won: null, lostUnknown: null };
+
+  // Most common stage name for each number
+  const names = {};
+  [...numbered, ...seenBefore].forEach(o => { const n = names[o.stageNumber] || (names[o.stageNumber] = {}); n[o.stageName] = (n[o.stageName] || 0) + 1; });
+  const nameOf = number => names[number] ? Object.entries(names[number]).sort((a, b) => b[1] - a[1])[0][0] : `Stage ${number}`;
+
+  const won = opps.filter(o => o.stage === 'Closed Won');
+  const reachedStage = o => o.stage === 'Closed Won' ? Infinity : o.stage === 'Closed Lost' ? lostStages.get(o) : o.stageNumber;
+  const durations = {};
+  opps.forEach(o => stageDurations(versionsOf(o)).forEach(d => { (durations[d.stage] = durations[d.stage] || []).push(d.days); }));
+  const sumAmount = deals => deals.reduce((s, o) => s + o.amount, 0);
+
+  const stages = numbers.map((number, i) => {
+    const open = opps.filter(o => o.stage === 'Pipeline' && o.stageNumber === number);
+    const lost = opps.filter(o => o.stage === 'Closed Lost' && lostStages.get(o) === number);
+    const reached = opps.filter(o => reachedStage(o) != null && reachedStage(o) >= number).length;
+    const next = i < numbers.length - 1 ? numbers[i + 1] : Infinity;
+    const advanced = opps.filter(o => reachedStage(o) != null && reachedStage(o) >= next).length;
+    // Days-in-stage from the export for deals sitting here now, plus finished stays from the history
+    const days = [...open.map(o => o.daysInStage).filter(d => d != null), ...(durations[number] || [])];
+    return {
+      number,
+      name: nameOf(number),
+      open: { count: open.length, value: sumAmount(open), deals: open },
+      lost: { count: lost.length, value: sumAmount(lost), deals: lost },
+      reached,
+      conversion: reached > 0 ? advanced / reached : null,
+      medianDays: median(days),
+    };
+  });
+  const lostUnknown = opps.filter(o => o.stage === 'Closed Lost' && lostStages.get(o) == null);
+  return {
+    stages,
+    won: { count: won.length, value: sumAmount(won), deals: won },
+    lostUnknown: { count: lostUnknown.length, value: sumAmount(lostUnknown), deals: lostUnknown },
+  };
+};
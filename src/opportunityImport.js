@@ -0,0 +1,332 @@
+import { LEAD_SOURCES, OPPORTUNITY_TYPES, VERTICALS } from './constants.js';
+import { isBlankRow, toCSV } from './csv.js';
+import { CORPORATE_CURRENCY, DEFAULT_FX_RATES, parseCurrencyCode, convertAmount } from './currency.js';
+import { DEFAULT_TERRITORY_RULES, matchTerritory } from './territoryRules.js';
+import { parseStageNumber, parseForecastCategory } from './forecast.js';
+import { parseDate, toISODate } from './fiscalCalendar.js';
+
+// Opportunity fields an uploaded column can be mapped to. `aliases` are the
+// normalized header names we recognise automatically (Salesforce report names first).
+export const OPPORTUNITY_FIELDS = [
+  { key: 'sfId', label: 'Opportunity ID', aliases: ['opportunity id', 'opportunity id 18', 'opportunity id (18)', '18 digit opportunity id', 'record id', 'id'] },
+  { key: 'account', label: 'Account', aliases: ['account name', 'account'], required: true },
+  { key: 'rep', label: 'Rep / Owner', aliases: ['opportunity owner', 'owner', 'owner name', 'rep', 'sales rep'] },
+  { key: 'name', label: 'Opportunity Name', aliases: ['opportunity name', 'opportunity', 'deal name', 'name'] },
+  { key: 'stage', label: 'Stage', aliases: ['stage', 'stage name', 'opportunity stage'], required: true },
+  { key: 'forecastCategory', label: 'Forecast Category', aliases: ['forecast category', 'forecast category name'] },
+  { key: 'amount', label: `Amount (converted, ${CORPORATE_CURRENCY})`, aliases: ['amount (converted)', 'amount converted', 'total amount'], required: true },
+  { key: 'originalAmount', label: 'Amount (deal currency)', aliases: ['amount', 'opportunity amount', 'amount (original)'] },
+  { key: 'closeDate', label: 'Close Date', aliases: ['close date', 'closed date', 'expected close date'] },
+  { key: 'fiscalPeriod', label: 'Fiscal Period', aliases: ['fiscal period', 'fiscal quarter'] },
+  { key: 'createdDate', label: 'Created Date', aliases: ['created date', 'create date'] },
+  { key: 'age', label: 'Age (days)', aliases: ['age', 'days open', 'opportunity age'] },
+  { key: 'daysInStage', label: 'Days in Stage', aliases: ['stage duration', 'days in stage', 'time in stage', 'days in current stage'] },
+  { key: 'source', label: 'Lead Source', aliases: ['lead source', 'source', 'opportunity source'] },
+  { key: 'type', label: 'Type', aliases: ['type', 'opportunity type'] },
+  { key: 'territory', label: 'Territory', aliases: ['territory', 'sales territory', 'owner territory', 'region'] },
+  { key: 'currency', label: 'Currency', aliases: ['opportunity currency', 'currency', 'amount currency', 'currency iso code'] },
+  { key: 'vertical', label: 'Vertical', aliases: ['vertical', 'industry'] },
+  { key: 'customerRel', label: 'Customer Relationship', aliases: ['customer relationship'] },
+  { key: 'parentAccount', label: 'Parent Account', aliases: ['parent account', 'parent account name', 'account parent name'] },
+  { key: 'logo', label: 'Logo', aliases: ['logo'] },
+  { key: 'closedWhy', label: 'Loss Reason', aliases: ['closed why options', 'loss reason', 'closed reason'] },
+  { key: 'closedWhySub', label: 'Loss Reason (Sub)', aliases: ['closed why sub options', 'loss reason detail'] },
+  { key: 'competitor', label: 'Competitor', aliases: ['competitor', 'competitors', 'primary competitor', 'main competitor', 'lost to', 'competitor name'] },
+  { key: 'manager', label: 'Manager', aliases: ['manager', 'owner manager', 'opportunity owner manager'] },
+];
+
+const MAPPING_STORAGE_KEY = 'revintel:columnMapping';
+
+// "Amount (converted)", "close_date", "Account.Name" and "StageName" all normalize to spaced lowercase words
+export const normalizeHeader = h => (h || '').trim().replace(/"/g, '').replace(/([a-z])([A-Z])/g, '$1 $2').replace(/[_.]+/g, ' ').replace(/\s+/g, ' ').toLowerCase();
+
+// Mapping of header -> field key ('' = ignored). Headers seen in a previous
+// upload keep the field the user picked; the rest are matched by alias.
+// `fields` defaults to opportunity fields; other imports pass their own.
+export const guessMapping = (headers, saved = {}, fields = OPPORTUNITY_FIELDS) => {
+  const mapping = {};
+  const used = new Set();
+  headers.forEach(h => {
+    const key = saved[normalizeHeader(h)];
+    if (key !== undefined && (key === '' || (fields.some(f => f.key === key) && !used.has(key)))) { mapping[h] = key; if (key) used.add(key); }
+  });
+  fields.forEach(f => {
+    if (used.has(f.key)) return;
+    for (const alias of f.aliases) {
+      const h = headers.find(x => mapping[x] === undefined && normalizeHeader(x) === alias);
+      if (h) { mapping[h] = f.key; used.add(f.key); return; }
+    }
+  });
+  headers.forEach(h => { if (mapping[h] === undefined) mapping[h] = ''; });
+  return mapping;
+};
+
+// Either amount column satisfies the Amount requirement
+export const missingRequiredFields = mapping => {
+  const mapped = new Set(Object.values(mapping));
+  if (mapped.has('originalAmount')) mapped.add('amount');
+  return OPPORTUNITY_FIELDS.filter(f => f.required && !mapped.has(f.key));
+};
+
+export const loadSavedMapping = (storageKey = MAPPING_STORAGE_KEY) => {
+  try { return JSON.parse(localStorage.getItem(storageKey)) || {}; } catch { return {}; }
+};
+
+// Merged into what was saved before, so alternating between report layouts keeps both
+export const saveMapping = (mapping, storageKey = MAPPING_STORAGE_KEY) => {
+  const saved = loadSavedMapping(storageKey);
+  Object.entries(mapping).forEach(([h, key]) => { saved[normalizeHeader(h)] = key; });
+  try { localStorage.setItem(storageKey, JSON.stringify(saved)); } catch { /* storage full or disabled */ }
+};
+
+export const SKIP_REASONS = {
+  blank: 'Blank or truncated row',
+  earlyStage: 'Stage 0/1',
+  unnumberedStage: 'Unnumbered stage',
+  missingStage: 'No stage',
+};
+
+// Validation report for one import: what was skipped and why, which values the
+// vertical/source/type heuristics rewrote, and which amounts/dates fell back.
+const createImportReport = () => ({
+  totalRows: 0,
+  imported: 0,
+  skipped: {},
+  rejectedRows: [],
+  coercions: {},
+  amountIssues: [],
+  dateIssues: [],
+});
+
+// Turn mapped rows from a Salesforce export into opportunity objects.
+// Returns { opps, report }; nothing is dropped or defaulted without a report entry.
+// options.territoryRules assigns territory when there is no Territory column;
+// options.fxRates converts deal-currency amounts when no converted amount is mapped.
+export const normalizeOpportunities = (headers, rows, mapping, options = {}) => {
+  const { territoryRules = DEFAULT_TERRITORY_RULES, fxRates = DEFAULT_FX_RATES } = options;
+  const colIndex = {};
+  OPPORTUNITY_FIELDS.forEach(f => { colIndex[f.key] = headers.findIndex(h => mapping[h] === f.key); });
+
+  const opps = [];
+  const report = createImportReport();
+  // Row numbers are 1-based data rows, so row 1 is the first line after the header
+  const reject = (values, i, reason) => {
+    report.skipped[reason] = (report.skipped[reason] || 0) + 1;
+    report.rejectedRows.push({ row: i, reason, values });
+  };
+  const coerce = (field, from, to) => {
+    const k = `${field}|${from}`;
+    if (!report.coercions[k]) report.coercions[k] = { field, from: from || '(blank)', to, count: 0 };
+    report.coercions[k].count++;
+  };
+
+  rows.forEach((values, r) => {
+    const i = r + 1;
+    report.totalRows++;
+    if (isBlankRow(values) || values.length < Math.min(5, headers.length)) { reject(values, i, SKIP_REASONS.blank); return; }
+
+    const getValue = (idx) => idx >= 0 && idx < values.length ? (values[idx] ?? '').trim() : '';
+
+    const stageName = getValue(colIndex.stage);
+    const currency = parseCurrencyCode(getValue(colIndex.currency));
+    const amountStr = getValue(colIndex.amount);
+    const originalAmountStr = getValue(colIndex.originalAmount);
+    const ageStr = getValue(colIndex.age);
+    const closeDateStr = getValue(colIndex.closeDate);
+    const fiscalPeriod = getValue(colIndex.fiscalPeriod);
+    const closedWhy = getValue(colIndex.closedWhy);
+    const closedWhySub = getValue(colIndex.closedWhySub);
+
+    // Determine stage category
+    let stageCategory = 'Pipeline';
+    const stageLower = stageName.toLowerCase().trim();
+
+    if (!stageLower) {
+      reject(values, i, SKIP_REASONS.missingStage);
+      return;
+    } else if (stageLower === 'closed won') {
+      stageCategory = 'Closed Won';
+    } else if (stageLower === 'closed lost') {
+      stageCategory = 'Closed Lost';
+    } else {
+      // Check if it starts with a number (e.g., "2. Discovery - Media Scoping")
+      const stageNum = parseStageNumber(stageName);
+      if (stageNum !== null) {
+        if (stageNum < 2) { reject(values, i, SKIP_REASONS.earlyStage); return; }
+        stageCategory = 'Pipeline';
+      } else {
+        // If no number found and not closed, skip it
+        reject(values, i, SKIP_REASONS.unnumberedStage);
+        return;
+      }
+    }
+
+    // Territory comes from its own column, else from the territory rules
+    const columnTerritory = getValue(colIndex.territory);
+    const territory = columnTerritory || matchTerritory({ currency, rep: getValue(colIndex.rep), account: getValue(colIndex.account), parentAccount: getValue(colIndex.parentAccount), manager: getValue(colIndex.manager) }, territoryRules);
+
+    // Parse amounts - handle plain numbers, with commas, or with currency symbols.
+    // The converted amount is in the corporate currency; the original is in the deal currency.
+    const parseAmount = str => str ? Number(str.replace(/[$£€,\s]|CA\$|[A-Z]{3}/g, '').trim()) : NaN;
+    const converted = colIndex.amount >= 0 ? parseAmount(amountStr) : NaN;
+    const original = colIndex.originalAmount >= 0 ? parseAmount(originalAmountStr) : NaN;
+    let amount = 0;
+    let originalAmount = 0;
+    let dealCurrency = CORPORATE_CURRENCY;
+    if (!isNaN(original)) {
+      originalAmount = original;
+      dealCurrency = currency;
+    }
+    if (!isNaN(converted)) {
+      amount = converted;
+      if (isNaN(original)) originalAmount = converted;
+    } else if (isNaN(original)) {
+      report.amountIssues.push({ row: i, value: amountStr || originalAmountStr, account: getValue(colIndex.account) });
+    }
+
+    // Parse age/days in pipeline
+    const daysInPipeline = parseInt(ageStr) || 0;
+
+    // Parse loss reason from Closed Why + Closed Why Suboption
+    let lossReason = null;
+    if (stageCategory === 'Closed Lost') {
+      if (closedWhy || closedWhySub) {
+        lossReason = closedWhySub ? `${closedWhy}: ${closedWhySub}` : closedWhy;
+        if (!lossReason) lossReason = 'Unknown';
+      } else {
+        lossReason = 'Unknown';
+      }
+    }
+
+    // Parse close date
+    let closeDate = closeDateStr || '';
+    let year = new Date().getFullYear().toString();
+    let quarter = 'Q1';
+    let month = 1;
+
+    if (closeDate) {
+      const dateObj = parseDate(closeDate);
+      if (dateObj) {
+        year = dateObj.getFullYear().toString();
+        month = dateObj.getMonth() + 1;
+        quarter = `Q${Math.ceil(month / 3)}`;
+      } else {
+        report.dateIssues.push({ row: i, value: closeDate, account: getValue(colIndex.account) });
+      }
+    } else if (fiscalPeriod) {
+      // Try to parse fiscal period like "FY2024 Q3" or "2024-Q3"
+      const yearMatch = fiscalPeriod.match(/20\d{2}/);
+      const qMatch = fiscalPeriod.match(/Q(\d)/i);
+      if (yearMatch) year = yearMatch[0];
+      if (qMatch) {
+        quarter = `Q${qMatch[1]}`;
+        month = (parseInt(qMatch[1]) - 1) * 3 + 2;
+      }
+      if (!yearMatch) report.dateIssues.push({ row: i, value: fiscalPeriod, account: getValue(colIndex.account) });
+    } else {
+      report.dateIssues.push({ row: i, value: '', account: getValue(colIndex.account) });
+    }
+
+    // Created date drives pipeline generation; blank or unparseable leaves it unset
+    const created = getValue(colIndex.createdDate) ? parseDate(getValue(colIndex.createdDate)) : null;
+
+    // Get vertical or assign based on patterns
+    const rawVertical = getValue(colIndex.vertical);
+    let vertical = rawVertical || 'Technology';
+    if (!VERTICALS.includes(vertical)) {
+      // Try to map common variations
+      const vLower = vertical.toLowerCase();
+      if (vLower.includes('tech') || vLower.includes('software')) vertical = 'Technology';
+      else if (vLower.includes('financ') || vLower.includes('bank') || vLower.includes('insurance')) vertical = 'Financial Services';
+      else if (vLower.includes('health') || vLower.includes('medical') || vLower.includes('pharma')) vertical = 'Healthcare';
+      else if (vLower.includes('manufact') || vLower.includes('industrial')) vertical = 'Manufacturing';
+      else if (vLower.includes('retail') || vLower.includes('consumer')) vertical = 'Retail';
+      else if (vLower.includes('media') || vLower.includes('entertainment')) vertical = 'Media';
+      else vertical = 'Technology'; // Default
+    }
+    if (vertical !== rawVertical) coerce('Vertical', rawVertical, vertical);
+
+    // Get source or default
+    const rawSource = getValue(colIndex.source);
+    let source = rawSource || 'Inbound';
+    if (!LEAD_SOURCES.includes(source)) {
+      const sLower = source.toLowerCase();
+      if (sLower.includes('outbound') || sLower.includes('cold') || sLower.includes('prospect')) source = 'Outbound';
+      else if (sLower.includes('partner') || sLower.includes('channel') || sLower.includes('reseller')) source = 'Partner';
+      else if (sLower.includes('referral') || sLower.includes('customer ref')) source = 'Referral';
+      else source = 'Inbound';
+    }
+    if (source !== rawSource) coerce('Source', rawSource, source);
+
+    // Get type or default
+    const rawType = getValue(colIndex.type);
+    let type = rawType || 'New Business';
+    if (!OPPORTUNITY_TYPES.includes(type)) {
+      const tLower = type.toLowerCase();
+      if (tLower.includes('expan') || tLower.includes('growth')) type = 'Expansion';
+      else if (tLower.includes('upsell') || tLower.includes('cross')) type = 'Upsell';
+      else if (tLower.includes('renew')) type = 'Renewal';
+      else type = 'New Business';
+    }
+    if (type !== rawType) coerce('Type', rawType, type);
+
+    // No converted column - convert at the rate for the close quarter
+    if (isNaN(converted) && !isNaN(original)) amount = convertAmount(original, dealCurrency, CORPORATE_CURRENCY, { year, quarter }, fxRates);
+
+    // The Salesforce ID is what matches a deal across snapshots
+    const sfId = getValue(colIndex.sfId);
+    opps.push({
+      id: sfId || `OPP-${i}`,
+      sfId: sfId || null,
+      name: getValue(colIndex.name) || `${getValue(colIndex.account)} - ${type}`,
+      account: getValue(colIndex.account) || 'Unknown',
+      rep: getValue(colIndex.rep) || 'Unknown',
+      repTerritory: territory,
+      territory,
+      territorySource: columnTerritory ? 'column' : 'rules',
+      currency: dealCurrency,
+      originalAmount,
+      convertedAmount: isNaN(converted) ? null : converted,
+      source,
+      type,
+      stage: stageCategory,
+      stageName,
+      stageNumber: parseStageNumber(stageName),
+      importedCategory: stageCategory === 'Pipeline' ? parseForecastCategory(getValue(colIndex.forecastCategory)) : null,
+      amount,
+      closeDate,
+      createdDate: created ? toISODate(created) : null,
+      createdYear: created ? String(created.getFullYear()) : null,
+      createdQuarter: created ? `Q${Math.ceil((created.getMonth() + 1) / 3)}` : null,
+      year,
+      quarter,
+      month,
+      // Dated only by period: already fiscal, so the fiscal calendar leaves it alone
+      fiscalPeriod: !closeDate && fiscalPeriod ? fiscalPeriod : null,
+      lossReason,
+      lossReasonMain: closedWhy || null,
+      lossReasonSub: closedWhySub || null,
+      competitor: getValue(colIndex.competitor) || null,
+      vertical,
+      daysInPipeline,
+      daysInStage: parseInt(getValue(colIndex.daysInStage)) || null,
+      // Unknown until an activity export is joined in (see activity.js)
+      lastActivityDays: null,
+      isKeyAccount: amount > 100000,
+      customerRelationship: getValue(colIndex.customerRel) || 'Unknown',
+      parentAccount: getValue(colIndex.parentAccount),
+      manager: getValue(colIndex.manager),
+    });
+  });
+
+  report.imported = opps.length;
+  return { opps, report };
+};
+
+export const skippedCount = report => Object.values(report.skipped).reduce((s, n) => s + n, 0);
+
+// Rejected rows as CSV with the original columns, prefixed by row number and reason
+export const rejectedRowsCSV = (headers, report) => toCSV([
+  ['Row', 'Reject Reason', ...headers],
+  ...report.rejectedRows.map(r => [r.row, r.reason, ...r.values]),
+]);
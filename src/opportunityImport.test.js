@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeOpportunities, rejectedRowsCSV, skippedCount, SKIP_REASONS } from './opportunityImport.js';
+import { parseCSVText } from './csv.js';
+
+const headers = ['Account Name', 'Stage', 'Amount', 'Close Date', 'Vertical', 'Lead Source', 'Type'];
+const mapping = { 'Account Name': 'account', Stage: 'stage', Amount: 'amount', 'Close Date': 'closeDate', Vertical: 'vertical', 'Lead Source': 'source', Type: 'type' };
+const rows = [
+  ['Acme', 'Closed Won', '$1,200', '2025-03-15', 'Technology', 'Inbound', 'New Business'],
+  ['', '', '', '', '', '', ''],
+  ['Acme', 'Closed Won'],
+  ['Globex', '1. Prospecting', '100', '2025-03-15', 'Technology', 'Inbound', 'New Business'],
+  ['Initech', 'Negotiation', '100', '2025-03-15', 'Technology', 'Inbound', 'New Business'],
+  ['Umbrella', '', '100', '2025-03-15', 'Technology', 'Inbound', 'New Business'],
+  ['Hooli', '3. Proposal', 'abc', 'not a date', 'Banking', 'Cold call', 'Upsell deal'],
+  ['Acme', 'Closed Lost', '500', '', '', '', ''],
+];
+const { opps, report } = normalizeOpportunities(headers, rows, mapping);
+
+describe('normalizeOpportunities report', () => {
+  it('counts skipped rows by reason', () => {
+    expect(report).toMatchObject({ totalRows: 8, imported: 3 });
+    expect(report.skipped).toEqual({ [SKIP_REASONS.blank]: 2, [SKIP_REASONS.earlyStage]: 1, [SKIP_REASONS.unnumberedStage]: 1, [SKIP_REASONS.missingStage]: 1 });
+    expect(skippedCount(report)).toBe(5);
+    expect(opps.map(o => o.account)).toEqual(['Acme', 'Hooli', 'Acme']);
+    expect(opps[0]).toMatchObject({ amount: 1200, year: '2025', quarter: 'Q1', month: 3 });
+  });
+
+  it('records each rewritten value once with a count', () => {
+    const coercions = Object.values(report.coercions).map(c => [c.field, c.from, c.to, c.count]);
+    expect(coercions).toEqual([
+      ['Vertical', 'Banking', 'Financial Services', 1], ['Source', 'Cold call', 'Outbound', 1], ['Type', 'Upsell deal', 'Upsell', 1],
+      ['Vertical', '(blank)', 'Technology', 1], ['Source', '(blank)', 'Inbound', 1], ['Type', '(blank)', 'New Business', 1],
+    ]);
+  });
+
+  it('lists amounts and dates that failed to parse by row', () => {
+    expect(report.amountIssues).toEqual([{ row: 7, value: 'abc', account: 'Hooli' }]);
+    expect(report.dateIssues).toEqual([{ row: 7, value: 'not a date', account: 'Hooli' }, { row: 8, value: '', account: 'Acme' }]);
+    expect(opps[1].amount).toBe(0);
+  });
+
+  it('exports rejected rows with their row number, reason and original columns', () => {
+    const [head, ...lines] = parseCSVText(rejectedRowsCSV(headers, report));
+    expect(head).toEqual(['Row', 'Reject Reason', ...headers]);
+    expect(lines.map(l => [l[0], l[1]])).toEqual([['2', SKIP_REASONS.blank], ['3', SKIP_REASONS.blank], ['4', SKIP_REASONS.earlyStage], ['5', SKIP_REASONS.unnumberedStage], ['6', SKIP_REASONS.missingStage]]);
+    expect(lines[3].slice(2)).toEqual(rows[4]);
+  });
+});
@@ -0,0 +1,32 @@
+import { QUARTERS } from './constants.js';
+import { periodShares, repQuarterQuota } from './planning.js';
+import { quarterElapsed } from './pipelineGeneration.js';
+
+// Quota pacing: how much of the period's quota a rep should have closed by
+// now. Expectation builds linearly through each fiscal quarter, weighted by
+// the quarter's share of quota - so quarterly quota splits carry seasonality,
+// and ramp quarters and months before a start date expect less.
+
+export const PACE_STATUSES = [
+  { key: 'ahead', label: 'Ahead', min: 1.1 },
+  { key: 'on-pace', label: 'On pace', min: 0.9 },
+  { key: 'behind', label: 'Behind', min: 0 },
+];
+
+export const paceStatus = pace => pace == null ? null : PACE_STATUSES.find(s => pace >= s.min).key;
+
+// Share of the period quota expected by `now`, 0-1. Reps without a planned
+// quota are paced on time alone.
+export const expectedShare = (rep, { activeYears, timePeriods = ['All'], now = new Date(), ramp, calendar }) => {
+  const planned = rep && activeYears.some(y => rep.quotas[y] != null) ? rep : { quotas: Object.fromEntries(activeYears.map(y => [y, 1])) };
+  let quota = 0, expected = 0;
+  activeYears.forEach(year => {
+    const shares = periodShares(timePeriods, year, { now, calendar });
+    QUARTERS.forEach(q => {
+      const amount = repQuarterQuota(planned, year, q, ramp, calendar);
+      quota += amount * shares[q];
+      expected += amount * Math.min(shares[q], quarterElapsed(year, q, now, calendar));
+    });
+  });
+  return quota > 0 ? expected / quota : 0;
+};
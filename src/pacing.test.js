@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_RAMP_SCHEDULE, activeShare, rampShare, repQuarterQuota } from './planning.js';
+import { expectedShare, paceStatus } from './pacing.js';
+
+const rep = (overrides = {}) => ({ name: 'Ann', startDate: '', endDate: '', quotas: { 2025: 400000 }, ...overrides });
+const MID_Q2 = new Date(2025, 4, 16); // 45 of Q2's 91 days gone
+
+describe('rampShare', () => {
+  it('ramps 25/50/75/100% over the first four quarters from the start date', () => {
+    const hire = rep({ startDate: '2025-02-10' });
+    expect(['Q1', 'Q2', 'Q3', 'Q4'].map(q => rampShare(hire, '2025', q, DEFAULT_RAMP_SCHEDULE))).toEqual([0.25, 0.5, 0.75, 1]);
+    expect(rampShare(hire, '2026', 'Q1', DEFAULT_RAMP_SCHEDULE)).toBe(1);
+    expect(rampShare(rep(), '2025', 'Q1', DEFAULT_RAMP_SCHEDULE)).toBe(1);
+  });
+});
+
+describe('repQuarterQuota', () => {
+  it('prorates a mid-year start by months on the team, then ramps', () => {
+    const hire = rep({ startDate: '2025-05-15' });
+    expect(activeShare(hire, '2025', 'Q1')).toBe(0);
+    expect(activeShare(hire, '2025', 'Q2')).toBeCloseTo(2 / 3);
+    expect(repQuarterQuota(hire, '2025', 'Q2', DEFAULT_RAMP_SCHEDULE)).toBeCloseTo(100000 * 2 / 3 * 0.25);
+    expect(repQuarterQuota(hire, '2025', 'Q3', DEFAULT_RAMP_SCHEDULE)).toBeCloseTo(50000);
+  });
+
+  it('stops at the end date', () => {
+    const leaver = rep({ endDate: '2025-08-10' });
+    expect(repQuarterQuota(leaver, '2025', 'Q3', DEFAULT_RAMP_SCHEDULE)).toBeCloseTo(100000 * 2 / 3);
+    expect(repQuarterQuota(leaver, '2025', 'Q4', DEFAULT_RAMP_SCHEDULE)).toBe(0);
+  });
+});
+
+describe('expectedShare', () => {
+  it('builds linearly through the quarter', () => {
+    expect(expectedShare(rep(), { activeYears: ['2025'], timePeriods: ['Q2'], now: MID_Q2 })).toBeCloseTo(45 / 91, 2);
+    expect(expectedShare(rep(), { activeYears: ['2025'], now: MID_Q2 })).toBeCloseTo((1 + 45 / 91) / 4, 2);
+  });
+
+  it('weights quarters by their share of quota', () => {
+    const seasonal = rep({ quotas: { 2025: { Q1: 100000, Q2: 300000, Q3: 0, Q4: 0 } } });
+    expect(expectedShare(seasonal, { activeYears: ['2025'], now: MID_Q2 })).toBeCloseTo((100000 + 300000 * 45 / 91) / 400000, 2);
+  });
+
+  it('paces reps without a planned quota on time alone', () => {
+    expect(expectedShare(null, { activeYears: ['2025'], timePeriods: ['Q2'], now: MID_Q2 })).toBeCloseTo(45 / 91, 2);
+  });
+});
+
+describe('paceStatus', () => {
+  it('is on pace from 90% up to 110% of expected', () => {
+    expect([0.89, 0.9, 1.09, 1.1].map(paceStatus)).toEqual(['behind', 'on-pace', 'on-pace', 'ahead']);
+    expect(paceStatus(null)).toBeNull();
+  });
+});
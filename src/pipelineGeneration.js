@@ -0,0 +1,60 @@
+// Pipeline generation: the value of opportunities created in each quarter,
+// whatever stage they are in now, against the quarterly pipeline goals in the
+// planning config. Deals without a Created Date are left out.
+
+import { QUARTERS } from './constants.js';
+import { fiscalCalendarOf, quarterAmounts } from './planning.js';
+import { fiscalQuarterLabel, fiscalQuarterRange } from './fiscalCalendar.js';
+
+export const GENERATION_SPLITS = [
+  { key: 'source', label: 'Source' },
+  { key: 'rep', label: 'Rep' },
+  { key: 'territory', label: 'Territory' },
+];
+
+const DAY = 86400000;
+
+// Share of the fiscal quarter elapsed at `now`: 0 before it starts, 1 once it is over
+export const quarterElapsed = (year, quarter, now = new Date(), calendar) => {
+  const { start, end } = fiscalQuarterRange(year, quarter, calendar);
+  return Math.min(1, Math.max(0, (now - start) / (end - start)));
+};
+
+// One row per quarter of `years`: created value and count against goal, split
+// by source, rep and territory. `rate` converts goals to the reporting currency.
+export const generationByQuarter = (opps, planning, years, { rate = 1, now = new Date() } = {}) => {
+  const calendar = fiscalCalendarOf(planning);
+  const created = opps.filter(o => o.createdYear);
+  return [...years].sort().flatMap(year => {
+    const goals = planning.pipelineGoals[year] != null ? quarterAmounts(planning.pipelineGoals[year]) : null;
+    return QUARTERS.map(quarter => {
+      const deals = created.filter(o => o.createdYear === year && o.createdQuarter === quarter);
+      const value = deals.reduce((s, o) => s + o.amount, 0);
+      const goal = goals ? goals[quarter] * rate : null;
+      const elapsed = quarterElapsed(year, quarter, now, calendar);
+      const splits = Object.fromEntries(GENERATION_SPLITS.map(({ key }) => {
+        const groups = {};
+        deals.forEach(o => { const g = groups[o[key] || 'Unknown'] || (groups[o[key] || 'Unknown'] = { name: o[key] || 'Unknown', value: 0, count: 0, deals: [] }); g.value += o.amount; g.count++; g.deals.push(o); });
+        return [key, Object.values(groups).sort((a, b) => b.value - a.value)];
+      }));
+      return { key: `${year}-${quarter}`, year, quarter, label: fiscalQuarterLabel(year, quarter, calendar), value, count: deals.length, deals, goal, attainment: goal > 0 ? value / goal : null, elapsed, splits };
+    });
+  });
+};
+
+// Pacing inside the quarter in progress: what the goal implies by today and
+// where the current run rate lands by quarter end
+export const generationPacing = (row, { now = new Date(), calendar } = {}) => {
+  if (!row || row.elapsed <= 0 || row.elapsed >= 1) return null;
+  const expected = row.goal != null ? row.goal * row.elapsed : null;
+  const daysLeft = Math.ceil((fiscalQuarterRange(row.year, row.quarter, calendar).end - now) / DAY);
+  return {
+    expected,
+    pace: expected > 0 ? row.value / expected : null,
+    projected: row.value / row.elapsed,
+    neededPerDay: row.goal != null && daysLeft > 0 ? Math.max(0, row.goal - row.value) / daysLeft : null,
+    daysLeft,
+  };
+};
+
+export const hasCreatedDates = opps => opps.some(o => o.createdYear);
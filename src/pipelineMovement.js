@@ -0,0 +1,105 @@
+// Pipeline movement between two upload snapshots. Deals are matched by
+// Salesforce ID (account + opportunity name + created date when a snapshot has
+// no ID column) and every dollar of open pipeline in the selected period is
+// accounted for:
+//   start + new + pulled in + increased - pushed out - pulled in earlier - decreased - won - lost - removed = end
+
+export const MOVEMENT_STEPS = [
+  { key: 'new', label: 'New', sign: 1 },
+  { key: 'pulledIn', label: 'Pulled in', sign: 1 },
+  { key: 'increased', label: 'Increased', sign: 1 },
+  { key: 'pushedOut', label: 'Pushed out', sign: -1 },
+  { key: 'pulledEarlier', label: 'Pulled in earlier', sign: -1 },
+  { key: 'decreased', label: 'Decreased', sign: -1 },
+  { key: 'won', label: 'Won', sign: -1 },
+  { key: 'lost', label: 'Lost', sign: -1 },
+  { key: 'removed', label: 'Removed', sign: -1 },
+];
+
+// Datasets saved before snapshot dates use the day they were imported
+export const snapshotDate = dataset => dataset.asOf || (dataset.savedAt || '').slice(0, 10);
+
+// The created date tells apart same-named deals at one account (renewals
+// named after the account, say) and doesn't change between exports
+const nameKey = o => `${(o.account || '').toLowerCase()}|${(o.name || '').toLowerCase()}|${o.createdDate || ''}`;
+
+export const dealKeyFor = matchBy => matchBy === 'id' ? o => o.sfId : nameKey;
+
+// Every snapshot needs IDs to match by ID; otherwise fall back to names for every deal
+export const matchKeyFor = (...snapshots) => snapshots.every(opps => opps.length && opps.every(o => o.sfId)) ? 'id' : 'name';
+
+// Keys shared by more than one deal in a snapshot. Those deals can't be told
+// apart, so they are never matched across snapshots.
+export const ambiguousKeys = (key, ...snapshots) => {
+  const ambiguous = new Set();
+  snapshots.forEach(opps => {
+    const seen = new Set();
+    opps.forEach(o => { const k = key(o); if (seen.has(k)) ambiguous.add(k); seen.add(k); });
+  });
+  return ambiguous;
+};
+
+const periodIndex = o => parseInt(o.year) * 12 + (o.month || 1);
+
+// `inPeriod(opps)` returns the subset inside the selected period and filters.
+// Each step's deals carry the later snapshot's version, plus fromAmount and
+// fromCloseDate from the earlier one, and `change` - what the deal moved the step by.
+// Deals with an ambiguous key leave as removed and, if open, come back as new.
+export const pipelineMovement = (from, to, inPeriod) => {
+  const matchBy = matchKeyFor(from, to);
+  const key = dealKeyFor(matchBy);
+  const ambiguous = ambiguousKeys(key, from, to);
+  const fromByKey = new Map(from.filter(o => !ambiguous.has(key(o))).map(o => [key(o), o]));
+  const toByKey = new Map(to.filter(o => !ambiguous.has(key(o))).map(o => [key(o), o]));
+  const fromIn = new Set(inPeriod(from));
+  const toIn = new Set(inPeriod(to));
+  const isOpen = o => o.stage === 'Pipeline';
+  const steps = Object.fromEntries(MOVEMENT_STEPS.map(s => [s.key, []]));
+  const add = (step, later, earlier, change) => steps[step].push({ ...later, fromAmount: earlier ? earlier.amount : 0, fromCloseDate: earlier ? earlier.closeDate : '', change });
+
+  const start = from.filter(o => isOpen(o) && fromIn.has(o));
+  start.forEach(a => {
+    const b = toByKey.get(key(a));
+    if (!b) add('removed', a, a, a.amount);
+    else if (b.stage === 'Closed Won') add('won', b, a, a.amount);
+    else if (b.stage === 'Closed Lost') add('lost', b, a, a.amount);
+    else if (!toIn.has(b)) add(periodIndex(b) < periodIndex(a) ? 'pulledEarlier' : 'pushedOut', b, a, a.amount);
+    else if (b.amount > a.amount) add('increased', b, a, b.amount - a.amount);
+    else if (b.amount < a.amount) add('decreased', b, a, a.amount - b.amount);
+  });
+
+  const startKeys = new Set(start.map(key));
+  to.filter(b => toIn.has(b) && (ambiguous.has(key(b)) || !startKeys.has(key(b)))).forEach(b => {
+    const a = fromByKey.get(key(b));
+    // Can't tell whether an ambiguous closed deal closed since the earlier snapshot
+    if (ambiguous.has(key(b)) && !isOpen(b)) return;
+    // Open earlier but outside the period, so it was pulled in; anything else is new
+    const arrived = a && isOpen(a) ? 'pulledIn' : 'new';
+    if (isOpen(b)) add(arrived, b, a, b.amount);
+    // Arrived and closed between the two snapshots - in and out in one go
+    else if (!a || isOpen(a)) { add(arrived, b, a, b.amount); add(b.stage === 'Closed Won' ? 'won' : 'lost', b, a, b.amount); }
+  });
+
+  const sum = deals => deals.reduce((s, d) => s + d.change, 0);
+  const end = to.filter(o => isOpen(o) && toIn.has(o));
+  return {
+    matchBy,
+    ambiguous: ambiguous.size,
+    start: { value: start.reduce((s, o) => s + o.amount, 0), deals: start },
+    end: { value: end.reduce((s, o) => s + o.amount, 0), deals: end },
+    steps: MOVEMENT_STEPS.map(s => ({ ...s, value: sum(steps[s.key]), deals: steps[s.key].sort((x, y) => y.change - x.change) })),
+  };
+};
+
+// Invisible base + visible bar for each waterfall column
+export const waterfallBars = movement => {
+  let level = movement.start.value;
+  const bars = [{ key: 'start', label: 'Start', base: 0, value: level, deals: movement.start.deals, total: true }];
+  movement.steps.forEach(s => {
+    const next = level + s.sign * s.value;
+    bars.push({ key: s.key, label: s.label, base: Math.min(level, next), value: s.value, sign: s.sign, deals: s.deals });
+    level = next;
+  });
+  bars.push({ key: 'end', label: 'End', base: 0, value: movement.end.value, deals: movement.end.deals, total: true });
+  return bars;
+};
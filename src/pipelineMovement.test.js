@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { pipelineMovement } from './pipelineMovement.js';
+import { openDeal } from './testFixtures.js';
+
+// An open Q2 renewal; no Opportunity IDs, so deals match by name
+const RENEWAL = { name: 'Renewal', createdDate: '2025-01-10', quarter: 'Q2', month: 5 };
+const inQ2 = opps => opps.filter(o => o.year === '2025' && o.quarter === 'Q2');
+const step = (movement, key) => movement.steps.find(s => s.key === key);
+
+describe('pipelineMovement', () => {
+  it('tells apart same-named deals by created date', () => {
+    const from = [openDeal(RENEWAL), openDeal({ ...RENEWAL, createdDate: '2025-02-01', amount: 50 })];
+    const to = [openDeal({ ...RENEWAL, amount: 150 }), openDeal({ ...RENEWAL, createdDate: '2025-02-01', amount: 50, stage: 'Closed Won' })];
+    const m = pipelineMovement(from, to, inQ2);
+    expect(step(m, 'increased').value).toBe(50);
+    expect(step(m, 'won').value).toBe(50);
+    expect(step(m, 'removed').value).toBe(0);
+  });
+
+  it('counts deals it cannot tell apart as removed and new', () => {
+    const from = [openDeal({ ...RENEWAL, createdDate: null }), openDeal({ ...RENEWAL, createdDate: null, amount: 50 })];
+    const to = [openDeal({ ...RENEWAL, createdDate: null, amount: 120 }), openDeal({ ...RENEWAL, createdDate: null, amount: 50 })];
+    const m = pipelineMovement(from, to, inQ2);
+    expect(m.ambiguous).toBe(1);
+    expect(step(m, 'removed').value).toBe(150);
+    expect(step(m, 'new').value).toBe(170);
+  });
+
+  it('labels deals moved before the period as pulled in earlier, not pushed out', () => {
+    const m = pipelineMovement([openDeal(RENEWAL), openDeal({ ...RENEWAL, name: 'Upsell' })], [openDeal({ ...RENEWAL, quarter: 'Q1', month: 2 }), openDeal({ ...RENEWAL, name: 'Upsell', quarter: 'Q3', month: 8 })], inQ2);
+    expect(step(m, 'pulledEarlier').deals.map(d => d.name)).toEqual(['Renewal']);
+    expect(step(m, 'pushedOut').deals.map(d => d.name)).toEqual(['Upsell']);
+    expect(m.start.value + m.steps.reduce((s, x) => s + x.sign * x.value, 0)).toBe(m.end.value);
+  });
+});
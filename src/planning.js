@@ -0,0 +1,349 @@
+import { QUARTERS } from './constants.js';
+import { parseCSVText, toCSV } from './csv.js';
+import { normalizeRepName, repIdFor, repNames } from './repDirectory.js';
+import { DEFAULT_FISCAL_CALENDAR, fiscalMonthRange, fiscalPeriodOf, toISODate, validateFiscalCalendar } from './fiscalCalendar.js';
+
+// Planning configuration: revenue and pipeline goals, territory and rep quotas,
+// the rep roster and excluded verticals. Amounts are in the corporate currency.
+// A quota (or pipeline goal) is either an annual number, split evenly across
+// quarters, or an explicit { Q1, Q2, Q3, Q4 } split.
+
+export const DEFAULT_RAMP_SCHEDULE = [0.25, 0.5, 0.75, 1];
+
+export const DEFAULT_EXCLUDED_LOSS_REASONS = ['OLD', 'Mass Archive'];
+
+export const DEFAULT_PLANNING = {
+  goalDealSize: 120000,
+  annualGoals: {
+    '2022': 16662000,
+    '2023': 35725000,
+    '2024': 38000000,
+    '2025': 55000000,
+    '2026': 65000000,
+  },
+  pipelineGoals: {
+    '2026': { Q1: 33970000, Q2: 34830000, Q3: 40742500, Q4: 39502115 },
+  },
+  territoryQuotas: {
+    '2026': { 'US': 52000000, 'Canada': 13000000 },
+    '2025': { 'US': 44000000, 'Canada': 11000000 },
+    '2024': { 'US': 30000000, 'Canada': 8000000 },
+    '2023': { 'US': 28000000, 'Canada': 7725000 },
+    '2022': { 'US': 13000000, 'Canada': 3662000 },
+  },
+  // Only these reps appear in Rep Performance - from the planning spreadsheet.
+  // Aliases are other spellings of the same person in Salesforce.
+  // Dates are YYYY-MM-DD; blank means "before the data starts" / "still here".
+  reps: [
+    { id: 'rep-courtney-sands', name: 'Courtney Sands', aliases: [], startDate: '', endDate: '', quotas: { '2025': 6200000, '2026': 6273145 } },
+    { id: 'rep-natalie-hitt', name: 'Natalie Hitt', aliases: [], startDate: '', endDate: '', quotas: { '2025': 6200000, '2026': 5026687 } },
+    { id: 'rep-lena-perlmutter', name: 'Lena Perlmutter', aliases: [], startDate: '', endDate: '', quotas: { '2025': 5600000, '2026': 7838600 } },
+    { id: 'rep-sarah-kenny', name: 'Sarah Kenny', aliases: [], startDate: '', endDate: '', quotas: { '2025': 3600000, '2026': 6650000 } },
+    { id: 'rep-hannah-wasson', name: 'Hannah Wasson', aliases: [], startDate: '', endDate: '', quotas: { '2025': 1920000, '2026': 3704580 } },
+    { id: 'rep-max-houde-schulman', name: 'Max Houde Schulman', aliases: [], startDate: '', endDate: '', quotas: { '2025': 2700000, '2026': 6540000 } },
+    { id: 'rep-gretchan-nicholson', name: 'Gretchan Nicholson', aliases: [], startDate: '', endDate: '', quotas: { '2025': 2612700, '2026': 4064000 } },
+    { id: 'rep-alex-welzel', name: 'Alex Welzel', aliases: ['Alexsandra Welzel'], startDate: '', endDate: '', quotas: { '2025': 8500000, '2026': 7650000 } },
+    { id: 'rep-zoe-george', name: 'Zoe George', aliases: [], startDate: '', endDate: '', quotas: { '2025': 4600000, '2026': 3400000 } },
+    { id: 'rep-jonny-wiebe', name: 'Jonny Wiebe', aliases: [], startDate: '', endDate: '', quotas: { '2025': 2400000, '2026': 3700000 } },
+    { id: 'rep-cas-harding', name: 'Cas Harding', aliases: ['Cas Harding - Whatman'], startDate: '', endDate: '', quotas: { '2025': 4800000, '2026': 5500000 } },
+  ],
+  // Fiscal year start month and month pattern - see fiscalCalendar.js
+  fiscalCalendar: DEFAULT_FISCAL_CALENDAR,
+  // Share of quota a new hire carries in each fiscal quarter from their start
+  // date; full quota after the last entry. Reps without a start date are fully ramped.
+  rampSchedule: DEFAULT_RAMP_SCHEDULE,
+  // Verticals to exclude from analysis
+  excludedVerticals: [
+    'Telco/Media + Entertainment',
+    'Transportation/Logistics',
+    'Finance/Insurance/Real Estate',
+    'Government/Non-Profit/Education',
+    'E-Commerce',
+    'CPG/Beauty',
+    'Retail/Electronics/Tech',
+    'Other',
+    'Insurance',
+    'Real Estate',
+    'Media',
+  ],
+  // Loss reasons containing any of these (case-sensitive) mark deals archived
+  // in bulk rather than lost; they stay out of win/loss analysis
+  excludedLossReasons: DEFAULT_EXCLUDED_LOSS_REASONS,
+};
+
+// Configs saved before the fiscal calendar existed are on calendar years
+export const fiscalCalendarOf = planning => planning.fiscalCalendar || DEFAULT_FISCAL_CALENDAR;
+
+// Configs saved before ramps existed get the default schedule
+export const rampScheduleOf = planning => planning.rampSchedule || DEFAULT_RAMP_SCHEDULE;
+
+export const excludedLossReasonsOf = planning => planning.excludedLossReasons || DEFAULT_EXCLUDED_LOSS_REASONS;
+
+export const isExcludedReason = (reason, excluded) => !!reason && excluded.some(x => x && reason.includes(x));
+
+export const isQuarterSplit = quota => quota != null && typeof quota === 'object';
+
+export const quarterAmounts = quota => isQuarterSplit(quota)
+  ? Object.fromEntries(QUARTERS.map(q => [q, quota[q] || 0]))
+  : Object.fromEntries(QUARTERS.map(q => [q, (quota || 0) / 4]));
+
+export const quotaTotal = quota => isQuarterSplit(quota) ? QUARTERS.reduce((s, q) => s + (quota[q] || 0), 0) : (quota || 0);
+
+// Share of each quarter of `year` the time-period filter covers - matches
+// matchesTimePeriods, so quotas line up with the filtered revenue
+export const periodShares = (timePeriods, year, { now = new Date(), calendar = DEFAULT_FISCAL_CALENDAR } = {}) => {
+  const shares = { Q1: 0, Q2: 0, Q3: 0, Q4: 0 };
+  if (timePeriods.includes('All')) return { Q1: 1, Q2: 1, Q3: 1, Q4: 1 };
+  const { year: cy, month: cm } = fiscalPeriodOf(now, calendar), cq = Math.ceil(cm / 3), current = year === cy;
+  const add = (q, share) => { shares[q] = Math.max(shares[q], share); };
+  timePeriods.forEach(p => {
+    if (QUARTERS.includes(p)) add(p, 1);
+    if (!current) return;
+    if (p === 'YTD') QUARTERS.forEach((q, i) => { if (i + 1 < cq) add(q, 1); });
+    if (p === 'YTD' || p === 'QTD') add(`Q${cq}`, (cm - (cq - 1) * 3) / 3);
+    if (p === 'MTD') add(`Q${cq}`, 1 / 3);
+  });
+  return shares;
+};
+
+// Fraction of a fiscal quarter's months the rep was on the team
+export const activeShare = (rep, year, quarter, calendar = DEFAULT_FISCAL_CALENDAR) => {
+  const first = (QUARTERS.indexOf(quarter)) * 3 + 1;
+  let months = 0;
+  for (let m = first; m < first + 3; m++) {
+    const range = fiscalMonthRange(year, m, calendar), start = toISODate(range.start), end = toISODate(range.end);
+    if ((!rep.startDate || rep.startDate < end) && (!rep.endDate || rep.endDate >= start)) months++;
+  }
+  return months / 3;
+};
+
+// Ramp share for the rep's nth fiscal quarter since their start date (the
+// partial first quarter counts as the first)
+export const rampShare = (rep, year, quarter, ramp = [], calendar = DEFAULT_FISCAL_CALENDAR) => {
+  if (!rep.startDate || !ramp.length) return 1;
+  const start = fiscalPeriodOf(new Date(`${rep.startDate}T00:00:00`), calendar);
+  const n = (Number(year) - Number(start.year)) * 4 + QUARTERS.indexOf(quarter) - QUARTERS.indexOf(start.quarter);
+  return n < 0 ? 1 : ramp[n] ?? 1;
+};
+
+// A rep's quota for one fiscal quarter: prorated for months on the team and ramped
+export const repQuarterQuota = (rep, year, quarter, ramp, calendar) => quarterAmounts(rep.quotas[year])[quarter] * activeShare(rep, year, quarter, calendar) * rampShare(rep, year, quarter, ramp, calendar);
+
+export const isRepActive = (rep, years, calendar) => years.some(y => QUARTERS.some(q => activeShare(rep, y, q, calendar) > 0));
+
+export const activeReps = (planning, years) => planning.reps.filter(r => isRepActive(r, years, fiscalCalendarOf(planning)));
+
+// By canonical name or any alias
+export const findRep = (planning, name) => {
+  const key = normalizeRepName(name);
+  return planning.reps.find(r => repNames(r).some(n => normalizeRepName(n) === key));
+};
+
+// Every rep gets a unique id and an aliases array - older configs and imports may lack both
+export const withRepIds = planning => {
+  const used = new Set();
+  const reps = planning.reps.map(r => {
+    let id = r.id || repIdFor(r.name);
+    for (let n = 2; used.has(id); n++) id = `${r.id || repIdFor(r.name)}-${n}`;
+    used.add(id);
+    return { ...r, id, aliases: r.aliases || [] };
+  });
+  return { ...planning, reps };
+};
+
+export const addRosterRep = (planning, name) => findRep(planning, name) ? planning : withRepIds({ ...planning, reps: [...planning.reps, { name, aliases: [], startDate: '', endDate: '', quotas: {} }] });
+
+// Record `alias` as another spelling of rep `repId`. If the alias is itself on
+// the roster the two entries merge: names become aliases, quotas fill gaps.
+export const addRepAlias = (planning, repId, alias) => {
+  const target = planning.reps.find(r => r.id === repId);
+  const other = findRep(planning, alias);
+  if (!target || other === target) return planning;
+  const aliases = [...new Set([...target.aliases, ...(other ? repNames(other) : [alias])])];
+  // Blank dates mean open-ended, so they win; otherwise the earliest start and latest end
+  const both = [target, other].filter(Boolean);
+  const starts = both.map(r => r.startDate), ends = both.map(r => r.endDate);
+  const merged = { ...target, aliases, quotas: { ...other?.quotas, ...target.quotas }, startDate: starts.includes('') ? '' : starts.sort()[0], endDate: ends.includes('') ? '' : ends.sort().pop() };
+  return { ...planning, reps: planning.reps.filter(r => r !== other).map(r => r === target ? merged : r) };
+};
+
+// The original constants listed these people twice under two spellings
+const LEGACY_DUPLICATES = [['Alex Welzel', 'Alexsandra Welzel'], ['Cas Harding', 'Cas Harding - Whatman']];
+
+export const mergeLegacyDuplicates = planning => LEGACY_DUPLICATES.reduce((p, [name, alias]) => {
+  const rep = p.reps.find(r => r.name === name);
+  return rep && p.reps.some(r => r.name === alias) ? addRepAlias(p, rep.id, alias) : p;
+}, withRepIds(planning));
+
+// Quota over the selected years and time periods, prorated for months the rep
+// had not started yet or had already left and ramped by `ramp` (a ramp
+// schedule). null = rep has no quota planned.
+export const repQuotaForPeriod = (rep, { activeYears, timePeriods = ['All'], now, ramp, calendar }) => {
+  if (!rep || !activeYears.some(y => rep.quotas[y] != null)) return null;
+  return activeYears.reduce((sum, year) => {
+    const shares = periodShares(timePeriods, year, { now, calendar });
+    return sum + QUARTERS.reduce((s, q) => s + repQuarterQuota(rep, year, q, ramp, calendar) * shares[q], 0);
+  }, 0);
+};
+
+export const territoryQuotasForPeriod = (planning, { activeYears, timePeriods = ['All'], now }) => {
+  const quotas = {};
+  activeYears.forEach(year => {
+    const shares = periodShares(timePeriods, year, { now, calendar: fiscalCalendarOf(planning) });
+    Object.entries(planning.territoryQuotas[year] || {}).forEach(([territory, quota]) => {
+      const amounts = quarterAmounts(quota);
+      quotas[territory] = (quotas[territory] || 0) + QUARTERS.reduce((s, q) => s + amounts[q] * shares[q], 0);
+    });
+  });
+  return quotas;
+};
+
+// Annual goals as plain numbers - what goalsForYears expects
+export const annualGoalTotals = planning => Object.fromEntries(Object.entries(planning.annualGoals).map(([y, g]) => [y, quotaTotal(g)]));
+
+// Inline quota edits: scale the rep's quotas in `years` by `factor`, keeping the
+// quarterly split. Years without a quota get `fallback` spread evenly across them.
+export const scaleRepQuota = (planning, name, years, factor, fallback) => {
+  const rep = findRep(planning, name);
+  if (!rep) return planning;
+  const planned = years.filter(y => rep.quotas[y] != null);
+  const quotas = { ...rep.quotas };
+  if (planned.length === 0) years.forEach(y => { quotas[y] = Math.round(fallback / years.length); });
+  else planned.forEach(y => {
+    const q = rep.quotas[y];
+    quotas[y] = isQuarterSplit(q) ? Object.fromEntries(QUARTERS.map(k => [k, Math.round((q[k] || 0) * factor)])) : Math.round(q * factor);
+  });
+  return { ...planning, reps: planning.reps.map(r => r === rep ? { ...r, quotas } : r) };
+};
+
+// Sessions saved before the planning config kept inline rep quota edits as a
+// single number; carry the ones that differ from the plan into the latest year
+export const applyQuotaOverrides = (planning, overrides, year) => ({
+  ...planning,
+  reps: planning.reps.map(r => {
+    const o = overrides[r.name];
+    const planned = quotaTotal(r.quotas['2026'] ?? r.quotas['2025']);
+    return o && o !== planned ? { ...r, quotas: { ...r.quotas, [year]: o } } : r;
+  }),
+});
+
+// Problems that would make the dashboard numbers wrong; empty when the config is usable
+export const validatePlanning = planning => {
+  const problems = [];
+  const seen = new Set();
+  const checkAmount = (label, quota) => {
+    const values = isQuarterSplit(quota) ? QUARTERS.map(q => quota[q]) : [quota];
+    if (values.some(v => v != null && (typeof v !== 'number' || isNaN(v) || v < 0))) problems.push(`${label}: amounts must be positive numbers`);
+  };
+  Object.entries(planning.annualGoals).forEach(([y, g]) => checkAmount(`Revenue goal ${y}`, g));
+  Object.entries(planning.pipelineGoals).forEach(([y, g]) => checkAmount(`Pipeline goal ${y}`, g));
+  Object.entries(planning.territoryQuotas).forEach(([y, ts]) => Object.entries(ts).forEach(([t, q]) => checkAmount(`${t} quota ${y}`, q)));
+  planning.reps.forEach(r => {
+    if (!r.name.trim()) problems.push('Every rep needs a name');
+    repNames(r).forEach(n => {
+      if (seen.has(normalizeRepName(n))) problems.push(`${n} is listed twice`);
+      seen.add(normalizeRepName(n));
+    });
+    if (r.startDate && r.endDate && r.endDate < r.startDate) problems.push(`${r.name}: end date is before start date`);
+    Object.entries(r.quotas).forEach(([y, q]) => checkAmount(`${r.name} quota ${y}`, q));
+  });
+  if (rampScheduleOf(planning).some(v => typeof v !== 'number' || isNaN(v) || v < 0 || v > 1)) problems.push('Ramp: each quarter must be between 0% and 100%');
+  problems.push(...validateFiscalCalendar(fiscalCalendarOf(planning)));
+  return problems;
+};
+
+// --- Import / export ---
+
+const SECTIONS = ['goalDealSize', 'fiscalCalendar', 'ramp', 'goal', 'pipelineGoal', 'territoryQuota', 'rep', 'repQuota', 'excludedVertical', 'excludedLossReason'];
+const CSV_HEADERS = ['section', 'year', 'name', 'annual', ...QUARTERS, 'startDate', 'endDate', 'aliases'];
+
+const quotaCells = quota => isQuarterSplit(quota) ? ['', ...QUARTERS.map(q => quota[q] ?? '')] : [quota ?? '', '', '', '', ''];
+
+// One row per setting, so the file can be edited in a spreadsheet.
+// The fiscal calendar row keeps the pattern in name and the start month in annual;
+// the ramp row keeps its first four quarters' shares in Q1-Q4.
+export const planningToCSV = planning => toCSV([
+  CSV_HEADERS,
+  ['goalDealSize', '', '', planning.goalDealSize, '', '', '', '', '', ''],
+  ['fiscalCalendar', '', fiscalCalendarOf(planning).pattern, fiscalCalendarOf(planning).startMonth, '', '', '', '', '', ''],
+  ['ramp', '', '', '', ...QUARTERS.map((q, i) => rampScheduleOf(planning)[i] ?? ''), '', ''],
+  ...Object.entries(planning.annualGoals).map(([y, g]) => ['goal', y, '', ...quotaCells(g), '', '']),
+  ...Object.entries(planning.pipelineGoals).map(([y, g]) => ['pipelineGoal', y, '', ...quotaCells(g), '', '']),
+  ...Object.entries(planning.territoryQuotas).flatMap(([y, ts]) => Object.entries(ts).map(([t, q]) => ['territoryQuota', y, t, ...quotaCells(q), '', ''])),
+  ...planning.reps.map(r => ['rep', '', r.name, '', '', '', '', '', r.startDate || '', r.endDate || '', r.aliases.join('; ')]),
+  ...planning.reps.flatMap(r => Object.entries(r.quotas).map(([y, q]) => ['repQuota', y, r.name, ...quotaCells(q), '', ''])),
+  ...planning.excludedVerticals.map(v => ['excludedVertical', '', v, '', '', '', '', '', '', '']),
+  ...excludedLossReasonsOf(planning).map(v => ['excludedLossReason', '', v, '', '', '', '', '', '', '']),
+]);
+
+export const planningToJSON = planning => JSON.stringify(planning, null, 2);
+
+const parseAmountCell = (value, where) => {
+  const v = (value || '').replace(/[$,\s]/g, '');
+  if (!v) return null;
+  const n = Number(v);
+  if (isNaN(n)) throw new Error(`${where}: "${value}" is not a number`);
+  return n;
+};
+
+// Sections present in the file replace the current ones; absent sections are kept
+export const planningFromCSV = (text, current) => {
+  const [headers = [], ...rows] = parseCSVText(text);
+  const col = Object.fromEntries(headers.map((h, i) => [h.trim(), i]));
+  if (col.section === undefined) throw new Error('Missing "section" column');
+  const cell = (row, key) => (col[key] !== undefined ? row[col[key]] || '' : '').trim();
+  const found = {};
+  const next = { goalDealSize: current.goalDealSize, fiscalCalendar: fiscalCalendarOf(current), rampSchedule: rampScheduleOf(current), annualGoals: {}, pipelineGoals: {}, territoryQuotas: {}, reps: [], excludedVerticals: [], excludedLossReasons: [] };
+  const repsByName = {};
+  const repFor = name => repsByName[name.toLowerCase()] || (repsByName[name.toLowerCase()] = next.reps[next.reps.push({ name, aliases: [], startDate: '', endDate: '', quotas: {} }) - 1]);
+  rows.forEach((row, i) => {
+    const section = cell(row, 'section');
+    if (!section) return;
+    const where = `Row ${i + 2}`;
+    if (!SECTIONS.includes(section)) throw new Error(`${where}: unknown section "${section}"`);
+    const year = cell(row, 'year'), name = cell(row, 'name');
+    const quarters = QUARTERS.map(q => parseAmountCell(cell(row, q), where));
+    const quota = quarters.some(v => v != null) ? Object.fromEntries(QUARTERS.map((q, j) => [q, quarters[j] || 0])) : parseAmountCell(cell(row, 'annual'), where);
+    if (['goal', 'pipelineGoal', 'territoryQuota', 'repQuota'].includes(section) && !/^\d{4}$/.test(year)) throw new Error(`${where}: year must be YYYY`);
+    if (['territoryQuota', 'rep', 'repQuota', 'excludedVertical', 'excludedLossReason'].includes(section) && !name) throw new Error(`${where}: name is required`);
+    found[section] = true;
+    if (section === 'goalDealSize') next.goalDealSize = quota;
+    if (section === 'fiscalCalendar') {
+      next.fiscalCalendar = { startMonth: quota, pattern: name || DEFAULT_FISCAL_CALENDAR.pattern };
+      const problem = validateFiscalCalendar(next.fiscalCalendar)[0];
+      if (problem) throw new Error(`${where}: ${problem}`);
+    }
+    if (section === 'ramp') {
+      next.rampSchedule = QUARTERS.map((q, j) => quarters[j]).filter(v => v != null);
+      if (next.rampSchedule.some(v => v < 0 || v > 1)) throw new Error(`${where}: ramp shares must be between 0 and 1`);
+    }
+    if (section === 'goal') next.annualGoals[year] = quota;
+    if (section === 'pipelineGoal') next.pipelineGoals[year] = quota;
+    if (section === 'territoryQuota') next.territoryQuotas[year] = { ...next.territoryQuotas[year], [name]: quota };
+    if (section === 'rep') Object.assign(repFor(name), { startDate: cell(row, 'startDate'), endDate: cell(row, 'endDate'), aliases: cell(row, 'aliases').split(';').map(a => a.trim()).filter(Boolean) });
+    if (section === 'repQuota') repFor(name).quotas[year] = quota;
+    if (section === 'excludedVertical') next.excludedVerticals.push(name);
+    if (section === 'excludedLossReason') next.excludedLossReasons.push(name);
+  });
+  return {
+    goalDealSize: next.goalDealSize,
+    fiscalCalendar: next.fiscalCalendar,
+    rampSchedule: next.rampSchedule,
+    annualGoals: found.goal ? next.annualGoals : current.annualGoals,
+    pipelineGoals: found.pipelineGoal ? next.pipelineGoals : current.pipelineGoals,
+    territoryQuotas: found.territoryQuota ? next.territoryQuotas : current.territoryQuotas,
+    reps: found.rep || found.repQuota ? withRepIds(next).reps : current.reps,
+    excludedVerticals: found.excludedVertical ? next.excludedVerticals : current.excludedVerticals,
+    excludedLossReasons: found.excludedLossReason ? next.excludedLossReasons : excludedLossReasonsOf(current),
+  };
+};
+
+export const planningFromJSON = (text, current) => {
+  const data = JSON.parse(text);
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('Expected a JSON object');
+  const next = { ...current };
+  Object.keys(DEFAULT_PLANNING).forEach(k => { if (data[k] !== undefined) next[k] = data[k]; });
+  if (!Array.isArray(next.reps) || !Array.isArray(next.excludedVerticals) || !Array.isArray(excludedLossReasonsOf(next))) throw new Error('"reps", "excludedVerticals" and "excludedLossReasons" must be arrays');
+  next.reps = next.reps.map(r => ({ id: r.id, name: String(r.name || ''), aliases: Array.isArray(r.aliases) ? r.aliases.map(String) : [], startDate: r.startDate || '', endDate: r.endDate || '', quotas: r.quotas || {} }));
+  return withRepIds(next);
+};
@@ -0,0 +1,78 @@
+// Rep identity. Every rep on the planning roster has a canonical id and name
+// plus aliases - the other spellings Salesforce uses for the same person.
+// Opportunities are re-keyed to the canonical rep before any rollup, so one
+// person's deals, quota and territory always land in one row.
+
+// "Zoë  George", "zoe george" and "Zoe-George" all normalize to "zoe george"
+export const normalizeRepName = name => (name || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+export const repIdFor = name => `rep-${normalizeRepName(name).replace(/ /g, '-')}`;
+
+export const repNames = rep => [rep.name, ...(rep.aliases || [])];
+
+// normalized name or alias -> rep; the first rep claiming a name keeps it
+export const buildRepIndex = reps => {
+  const index = new Map();
+  reps.forEach(r => repNames(r).forEach(n => { const k = normalizeRepName(n); if (k && !index.has(k)) index.set(k, r); }));
+  return index;
+};
+
+export const resolveRep = (index, name) => index.get(normalizeRepName(name)) || null;
+
+// Opportunities keep the Salesforce spelling in ownerName; rep/repId become the
+// canonical rep, or repId null when the owner is not on the roster
+export const canonicalizeReps = (opps, reps) => {
+  const index = buildRepIndex(reps);
+  return opps.map(o => {
+    const ownerName = o.ownerName ?? o.rep;
+    const rep = resolveRep(index, ownerName);
+    return rep ? { ...o, ownerName, rep: rep.name, repId: rep.id } : { ...o, ownerName, rep: ownerName, repId: null };
+  });
+};
+
+const levenshtein = (a, b) => {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    prev = cur;
+  }
+  return prev[b.length];
+};
+
+// 0..1. Catches the spellings we actually see: extra surname ("Cas Harding -
+// Whatman"), short first names ("Alex" / "Alexsandra") and typos.
+export const nameSimilarity = (a, b) => {
+  const x = normalizeRepName(a), y = normalizeRepName(b);
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+  const tx = x.split(' '), ty = y.split(' ');
+  const [short, long] = tx.length <= ty.length ? [tx, ty] : [ty, tx];
+  if (short.length > 1 && short.every(t => long.includes(t))) return 0.9;
+  const sameLast = tx[tx.length - 1] === ty[ty.length - 1] || long.includes(short[short.length - 1]);
+  if (sameLast && short.length > 1 && (tx[0].startsWith(ty[0]) || ty[0].startsWith(tx[0]))) return 0.85;
+  return 1 - levenshtein(x, y) / Math.max(x.length, y.length);
+};
+
+export const suggestReps = (name, reps, { limit = 3, threshold = 0.7 } = {}) => reps
+  .map(rep => ({ rep, score: Math.max(...repNames(rep).map(n => nameSimilarity(name, n))) }))
+  .filter(s => s.score >= threshold)
+  .sort((a, b) => b.score - a.score)
+  .slice(0, limit);
+
+// Owner names in the data that are not on the roster, biggest first, with the
+// closest roster matches as alias suggestions
+export const unmatchedOwners = (opps, reps) => {
+  const index = buildRepIndex(reps);
+  const byName = {};
+  opps.forEach(o => {
+    const name = o.ownerName ?? o.rep;
+    if (!name || name === 'Unknown' || resolveRep(index, name)) return;
+    if (!byName[name]) byName[name] = { name, count: 0, amount: 0 };
+    byName[name].count++;
+    byName[name].amount += o.amount || 0;
+  });
+  return Object.values(byName)
+    .map(o => ({ ...o, suggestions: suggestReps(o.name, reps) }))
+    .sort((a, b) => b.suggestions.length - a.suggestions.length || b.count - a.count);
+};
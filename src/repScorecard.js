@@ -0,0 +1,130 @@
+import { QUARTERS } from './constants.js';
+import { winRateOf, lossReasons } from './analytics.js';
+import { excludedLossReasonsOf, findRep, fiscalCalendarOf, rampScheduleOf, repQuarterQuota } from './planning.js';
+import { quarterElapsed } from './pipelineGeneration.js';
+import { SIZE_BANDS, sizeBand } from './simulation.js';
+import { fiscalPeriodOf } from './fiscalCalendar.js';
+
+// One rep's scorecard for 1:1s: attainment by quarter over every year, the
+// period's win rate, cycle and deal size against the team median, where the
+// rep's wins come from, why they lose, what is left to close and how they rank
+// among peers in their territory.
+
+const median = values => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const average = values => values.length ? values.reduce((s, v) => s + v, 0) / values.length : null;
+
+// Metrics ranked against territory peers; lowerIsBetter flips the percentile
+export const SCORECARD_METRICS = [
+  { key: 'revenue', label: 'Revenue', format: 'currency' },
+  { key: 'attainment', label: 'Attainment', format: 'percent' },
+  { key: 'winRate', label: 'Win rate', format: 'percent' },
+  { key: 'avgDealSize', label: 'Avg deal', format: 'currency' },
+  { key: 'avgCycle', label: 'Cycle', format: 'days', lowerIsBetter: true },
+  { key: 'pipeline', label: 'Pipeline', format: 'currency' },
+];
+
+// Period metrics for every rep in `opps`, keyed by name
+const repMetrics = opps => {
+  const by = {};
+  opps.forEach(o => {
+    const m = by[o.rep] || (by[o.rep] = { won: [], lost: [], pipeline: 0 });
+    if (o.stage === 'Closed Won') m.won.push(o);
+    if (o.stage === 'Closed Lost') m.lost.push(o);
+    if (o.stage === 'Pipeline') m.pipeline += o.amount;
+  });
+  return Object.fromEntries(Object.entries(by).map(([name, m]) => [name, {
+    revenue: m.won.reduce((s, o) => s + o.amount, 0),
+    winRate: m.won.length + m.lost.length > 0 ? winRateOf(m.won.length, m.lost.length) : null,
+    avgDealSize: average(m.won.map(o => o.amount)),
+    avgCycle: average(m.won.map(o => o.daysInPipeline).filter(d => d != null)),
+    pipeline: m.pipeline,
+  }]));
+};
+
+// Share of peers the rep beats, ties counting half; null without peers or a value
+const percentile = (value, peerValues, lowerIsBetter) => {
+  if (value == null || peerValues.length === 0) return null;
+  const beaten = peerValues.filter(v => lowerIsBetter ? v > value : v < value).length;
+  const tied = peerValues.filter(v => v === value).length;
+  return (beaten + tied / 2) / peerValues.length;
+};
+
+// Share of won revenue by `keyOf`, rep against team, biggest for the rep first
+const mix = (repWon, teamWon, keyOf) => {
+  const shares = deals => {
+    const total = deals.reduce((s, o) => s + o.amount, 0);
+    const out = {};
+    deals.forEach(o => { const k = keyOf(o) || 'Unknown'; out[k] = (out[k] || 0) + o.amount; });
+    return { out, total };
+  };
+  const rep = shares(repWon), team = shares(teamWon);
+  return [...new Set([...Object.keys(rep.out), ...Object.keys(team.out)])]
+    .map(name => ({ name, revenue: rep.out[name] || 0, share: rep.total ? (rep.out[name] || 0) / rep.total : 0, teamShare: team.total ? (team.out[name] || 0) / team.total : 0, deals: repWon.filter(o => (keyOf(o) || 'Unknown') === name) }))
+    .sort((a, b) => b.revenue - a.revenue || b.teamShare - a.teamShare);
+};
+
+// allOpps: every year, dimension filters only; periodOpps: the selected period.
+// peers: Rep Performance rows (name, territory, quota, attainment) for the period.
+// years: the years to trend; rate converts planned quotas to the reporting currency.
+export const repScorecard = (name, { allOpps, periodOpps, planning, peers, years, rate = 1, now = new Date() }) => {
+  const rep = findRep(planning, name);
+  const mine = allOpps.filter(o => o.rep === name);
+  const periodMine = periodOpps.filter(o => o.rep === name);
+  const row = peers.find(p => p.name === name);
+  const ramp = rampScheduleOf(planning);
+  const calendar = fiscalCalendarOf(planning);
+
+  // Quarters that have started and carry a quota or revenue
+  const quarters = years.flatMap(year => QUARTERS.map(quarter => {
+    const won = mine.filter(o => o.stage === 'Closed Won' && o.year === year && o.quarter === quarter);
+    const revenue = won.reduce((s, o) => s + o.amount, 0);
+    const quota = rep && rep.quotas[year] != null ? repQuarterQuota(rep, year, quarter, ramp, calendar) * rate : null;
+    return { key: `${year}-${quarter}`, year, quarter, revenue, quota, attainment: quota > 0 ? revenue / quota : null, deals: won, elapsed: quarterElapsed(year, quarter, now, calendar) };
+  })).filter(q => q.elapsed > 0 && (q.quota > 0 || q.revenue > 0));
+
+  const metrics = repMetrics(periodOpps);
+  const teamNames = peers.map(p => p.name);
+  const own = { ...(metrics[name] || {}), attainment: row?.attainment ?? null };
+  const team = Object.fromEntries(['winRate', 'avgCycle', 'avgDealSize'].map(k => [k, median(teamNames.map(n => metrics[n]?.[k]).filter(v => v != null))]));
+
+  const territory = row?.territory || mine[0]?.repTerritory || mine[0]?.territory;
+  const territoryPeers = peers.filter(p => p.territory === territory && p.name !== name);
+  const valueOf = (peer, key) => key === 'attainment' ? peer.attainment : metrics[peer.name]?.[key];
+  const ranks = SCORECARD_METRICS.map(m => {
+    const peerValues = territoryPeers.map(p => valueOf(p, m.key)).filter(v => v != null);
+    return { ...m, value: own[m.key] ?? null, percentile: percentile(own[m.key], peerValues, m.lowerIsBetter), peers: peerValues.length };
+  });
+
+  const repWon = periodMine.filter(o => o.stage === 'Closed Won');
+  const teamWon = periodOpps.filter(o => o.stage === 'Closed Won' && teamNames.includes(o.rep));
+  const sizeOf = deals => Object.fromEntries(SIZE_BANDS.map(b => [b.key, deals.filter(o => sizeBand(o.amount) === b.key)]));
+  const repSizes = sizeOf(repWon), teamSizes = sizeOf(teamWon);
+  const dealSizes = SIZE_BANDS.map(b => ({ band: b.key, count: repSizes[b.key].length, share: repWon.length ? repSizes[b.key].length / repWon.length : 0, teamShare: teamWon.length ? teamSizes[b.key].length / teamWon.length : 0, deals: repSizes[b.key] }));
+
+  // Open pipeline from the quarter in progress on; anything dated earlier is past due
+  const today = fiscalPeriodOf(now, calendar);
+  const currentKey = `${today.year}-${today.quarter}`;
+  const open = mine.filter(o => o.stage === 'Pipeline');
+  const pipelineByQuarter = [...new Set(open.map(o => `${o.year}-${o.quarter}`))].sort().map(key => {
+    const deals = open.filter(o => `${o.year}-${o.quarter}` === key);
+    return { key, pastDue: key < currentKey, value: deals.reduce((s, o) => s + o.amount, 0), count: deals.length, deals };
+  });
+
+  return {
+    name, territory, rep, row,
+    quarters, own, team, ranks, territoryPeers: territoryPeers.length,
+    dealSizes,
+    verticalMix: mix(repWon, teamWon, o => o.vertical),
+    sourceMix: mix(repWon, teamWon, o => o.source),
+    lossReasons: lossReasons(periodMine.filter(o => o.stage === 'Closed Lost'), excludedLossReasonsOf(planning)),
+    lostDeals: periodMine.filter(o => o.stage === 'Closed Lost'),
+    pipelineByQuarter,
+    deals: periodMine,
+  };
+};
@@ -0,0 +1,171 @@
+import { fiscalMonthLabel, fiscalPeriodOf, fiscalQuarterLabel } from './fiscalCalendar.js';
+
+// Account revenue by year, derived from the closed-won deals of whichever
+// dataset is active, and the retention views built on it: acquisition-year
+// cohorts, a start-to-end revenue bridge between two years and trailing
+// twelve-month retention ending each quarter or month.
+
+// NDR/GDR and logo retention between two periods, each { account: revenue }.
+// Base = prior-period accounts' revenue then; retained = the same accounts' revenue now.
+export const retentionBetween = (priorAccounts, currentAccounts) => {
+  const priorAccountList = Object.keys(priorAccounts);
+  const currentAccountList = Object.keys(currentAccounts);
+
+  if (priorAccountList.length === 0) {
+    return {
+      ndrAmount: null, gdrAmount: null, ndrLogo: null, gdrLogo: null,
+      hasData: false,
+      baseRevenue: 0, currentRevenue: 0,
+      baseLogos: 0, retainedLogos: 0, newLogos: currentAccountList.length, churnedLogos: 0
+    };
+  }
+
+  const baseRevenue = priorAccountList.reduce((sum, acc) => sum + priorAccounts[acc], 0);
+  const retainedRevenue = priorAccountList.reduce((sum, acc) => sum + (currentAccounts[acc] || 0), 0);
+
+  let expansionRevenue = 0;
+  let contractionRevenue = 0;
+  let retainedAccountsCount = 0;
+  priorAccountList.forEach(acc => {
+    const priorRev = priorAccounts[acc];
+    const currentRev = currentAccounts[acc] || 0;
+    if (currentRev > 0) {
+      retainedAccountsCount++;
+      if (currentRev > priorRev) expansionRevenue += (currentRev - priorRev);
+      else if (currentRev < priorRev) contractionRevenue += (priorRev - currentRev);
+    }
+  });
+
+  const churnedAccounts = priorAccountList.filter(acc => !currentAccounts[acc]);
+  const churnedRevenue = churnedAccounts.reduce((sum, acc) => sum + priorAccounts[acc], 0);
+  const newAccounts = currentAccountList.filter(acc => !priorAccounts[acc]);
+  const newRevenue = newAccounts.reduce((sum, acc) => sum + currentAccounts[acc], 0);
+
+  // NDR = retained / base; GDR = (base - churned) / base (ignores expansion/contraction)
+  const ndrAmount = baseRevenue > 0 ? retainedRevenue / baseRevenue : null;
+  const gdrAmount = baseRevenue > 0 ? (baseRevenue - churnedRevenue) / baseRevenue : null;
+
+  const baseLogos = priorAccountList.length;
+  const retainedLogos = retainedAccountsCount;
+  const churnedLogos = churnedAccounts.length;
+  const newLogos = newAccounts.length;
+
+  // Net logo retention = (retained + new) / base; gross = retained / base
+  const ndrLogo = baseLogos > 0 ? (retainedLogos + newLogos) / baseLogos : null;
+  const gdrLogo = baseLogos > 0 ? retainedLogos / baseLogos : null;
+
+  return {
+    ndrAmount, gdrAmount, ndrLogo, gdrLogo,
+    hasData: true,
+    baseRevenue, retainedRevenue, expansionRevenue, contractionRevenue, churnedRevenue, newRevenue,
+    baseLogos, retainedLogos, churnedLogos, newLogos,
+    totalCurrentLogos: currentAccountList.length
+  };
+};
+
+export const BRIDGE_STEPS = [
+  { key: 'new', label: 'New', sign: 1 },
+  { key: 'expansion', label: 'Expansion', sign: 1 },
+  { key: 'contraction', label: 'Contraction', sign: -1 },
+  { key: 'churn', label: 'Churn', sign: -1 },
+];
+
+// { account: { year: won revenue } } - the table retentionMetrics reads
+export const accountYearRevenue = opps => {
+  const out = {};
+  opps.forEach(o => {
+    if (o.stage !== 'Closed Won' || !o.account || !o.year) return;
+    const years = out[o.account] || (out[o.account] = {});
+    years[o.year] = (years[o.year] || 0) + o.amount;
+  });
+  return out;
+};
+
+const wonDeals = (opps, accounts, years) => {
+  const set = new Set(accounts);
+  return opps.filter(o => o.stage === 'Closed Won' && set.has(o.account) && years.includes(o.year));
+};
+
+// One row per acquisition year (first year with won revenue). Each cell is the
+// cohort's revenue and live logos in a later year, against the first year.
+// Accounts first seen in the earliest data year may be older customers.
+export const cohortRetention = (opps, years) => {
+  const revenue = accountYearRevenue(opps);
+  const sorted = [...years].sort();
+  const cohorts = {};
+  Object.entries(revenue).forEach(([account, byYear]) => {
+    const first = Object.keys(byYear).filter(y => byYear[y] > 0).sort()[0];
+    if (first && sorted.includes(first)) (cohorts[first] = cohorts[first] || []).push(account);
+  });
+  return sorted.filter(y => cohorts[y]).map(year => {
+    const accounts = cohorts[year];
+    const base = accounts.reduce((s, a) => s + revenue[a][year], 0);
+    const cells = sorted.filter(y => y >= year).map(y => {
+      const live = accounts.filter(a => revenue[a][y] > 0);
+      const value = live.reduce((s, a) => s + revenue[a][y], 0);
+      return { year: y, offset: parseInt(y) - parseInt(year), revenue: value, logos: live.length, dollarRetention: base > 0 ? value / base : null, logoRetention: live.length / accounts.length, deals: wonDeals(opps, live, [y]) };
+    });
+    return { year, logos: accounts.length, revenue: base, censored: year === sorted[0], cells };
+  });
+};
+
+// start + new + expansion - contraction - churn = end, account by account.
+// Each step carries the won deals of its accounts in both years so it can drill down.
+export const revenueBridge = (opps, fromYear, toYear) => {
+  const revenue = accountYearRevenue(opps);
+  const groups = Object.fromEntries(BRIDGE_STEPS.map(s => [s.key, []]));
+  let start = 0, end = 0;
+  const startAccounts = [], endAccounts = [];
+  Object.entries(revenue).forEach(([account, byYear]) => {
+    const a = byYear[fromYear] || 0, b = byYear[toYear] || 0;
+    if (a > 0) { start += a; startAccounts.push(account); }
+    if (b > 0) { end += b; endAccounts.push(account); }
+    if (a <= 0 && b > 0) groups.new.push({ account, change: b });
+    else if (a > 0 && b <= 0) groups.churn.push({ account, change: a });
+    else if (b > a) groups.expansion.push({ account, change: b - a });
+    else if (b < a) groups.contraction.push({ account, change: a - b });
+  });
+  const years = [fromYear, toYear];
+  return {
+    fromYear, toYear,
+    start: { value: start, accounts: startAccounts.length, deals: wonDeals(opps, startAccounts, [fromYear]) },
+    end: { value: end, accounts: endAccounts.length, deals: wonDeals(opps, endAccounts, [toYear]) },
+    steps: BRIDGE_STEPS.map(s => {
+      const accounts = groups[s.key].sort((x, y) => y.change - x.change);
+      return { ...s, value: accounts.reduce((sum, a) => sum + a.change, 0), accounts, deals: wonDeals(opps, accounts.map(a => a.account), years) };
+    }),
+  };
+};
+
+export const TTM_GRANULARITIES = [{ key: 'quarter', label: 'Quarterly' }, { key: 'month', label: 'Monthly' }];
+
+const monthIndex = o => parseInt(o.year) * 12 + (o.month || 1) - 1;
+
+// Won revenue per account over the twelve months ending at month index `end`
+const windowRevenue = (won, end) => {
+  const out = {};
+  won.forEach(o => { const m = monthIndex(o); if (m > end - 12 && m <= end) out[o.account] = (out[o.account] || 0) + o.amount; });
+  return out;
+};
+
+// NDR, GDR and logo retention on trailing-twelve-month windows: each point
+// compares the twelve months ending at a quarter or month end with the twelve
+// before them. Points start once there are 24 months of data and stop at `now`.
+// Months and quarters are fiscal, like the deals' own year and month.
+export const ttmRetention = (opps, { granularity = 'quarter', now = new Date(), calendar } = {}) => {
+  const won = opps.filter(o => o.stage === 'Closed Won' && o.account && o.year);
+  if (!won.length) return [];
+  const first = Math.min(...won.map(monthIndex));
+  const current = monthIndex(fiscalPeriodOf(now, calendar));
+  const last = Math.min(Math.max(...won.map(monthIndex)), current);
+  const points = [];
+  for (let end = first + 23; end <= last; end++) {
+    const month = end % 12, year = Math.floor(end / 12);
+    // Quarter points close at the quarter's last month - or today's month for the quarter in progress
+    if (granularity === 'quarter' && month % 3 !== 2 && end !== last) continue;
+    const partial = end === current || (granularity === 'quarter' && month % 3 !== 2);
+    const label = granularity === 'quarter' ? fiscalQuarterLabel(year, `Q${Math.floor(month / 3) + 1}`, calendar) : fiscalMonthLabel(year, month + 1, calendar);
+    points.push({ key: String(end), label, year: String(year), month: month + 1, partial, ...retentionBetween(windowRevenue(won, end - 12), windowRevenue(won, end)) });
+  }
+  return points;
+};
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { cohortRetention, revenueBridge, ttmRetention } from './retention.js';
+import { deal } from './testFixtures.js';
+
+// A, B and C buy in 2023; A expands then contracts, B contracts then churns,
+// C churns; D arrives in 2024 and E in 2025
+const opps = [
+  deal({ account: 'A', year: '2023', amount: 100 }), deal({ account: 'B', year: '2023', amount: 100 }), deal({ account: 'C', year: '2023', amount: 50 }),
+  deal({ account: 'A', year: '2024', amount: 150 }), deal({ account: 'B', year: '2024', amount: 60 }), deal({ account: 'D', year: '2024', amount: 40 }),
+  deal({ account: 'F', year: '2024', amount: 999, stage: 'Closed Lost' }),
+  deal({ account: 'A', year: '2025', amount: 100 }), deal({ account: 'D', year: '2025', amount: 80 }), deal({ account: 'E', year: '2025', amount: 30 }),
+];
+
+describe('revenueBridge', () => {
+  it('walks start to end account by account', () => {
+    const bridge = revenueBridge(opps, '2023', '2024');
+    const steps = Object.fromEntries(bridge.steps.map(s => [s.key, s.value]));
+    expect(bridge.start).toMatchObject({ value: 250, accounts: 3 });
+    expect(bridge.end).toMatchObject({ value: 250, accounts: 3 });
+    expect(steps).toEqual({ new: 40, expansion: 50, contraction: 40, churn: 50 });
+  });
+
+  it('adds up: start + new + expansion - contraction - churn = end', () => {
+    const bridge = revenueBridge(opps, '2024', '2025');
+    expect(bridge.start.value + bridge.steps.reduce((s, x) => s + x.sign * x.value, 0)).toBe(bridge.end.value);
+    expect(bridge.end.value).toBe(210);
+  });
+});
+
+describe('cohortRetention', () => {
+  it('tracks each acquisition year\'s revenue and logos against its first year', () => {
+    const [first, second, third] = cohortRetention(opps, ['2023', '2024', '2025']);
+    expect(first).toMatchObject({ year: '2023', logos: 3, revenue: 250, censored: true });
+    expect(first.cells[1]).toMatchObject({ year: '2024', offset: 1, revenue: 210, logos: 2, dollarRetention: 0.84 });
+    expect(first.cells[1].logoRetention).toBeCloseTo(2 / 3);
+    expect(first.cells[2]).toMatchObject({ revenue: 100, logos: 1 });
+    expect(second).toMatchObject({ year: '2024', logos: 1, censored: false });
+    expect(second.cells[1]).toMatchObject({ dollarRetention: 2, logoRetention: 1 });
+    expect(third.cells).toHaveLength(1);
+  });
+});
+
+describe('ttmRetention', () => {
+  // B's last purchase is the final month of the earlier window, A's renewal the first of the later one
+  const monthly = [
+    deal({ account: 'A', year: '2023', month: 1, amount: 100 }), deal({ account: 'B', year: '2023', month: 12, amount: 50 }),
+    deal({ account: 'A', year: '2024', month: 1, amount: 120 }), deal({ account: 'C', year: '2024', month: 12, amount: 10 }),
+  ];
+
+  it('compares the twelve months ending at a point with the twelve before', () => {
+    const points = ttmRetention(monthly, { granularity: 'month', now: new Date(2025, 5, 1) });
+    expect(points).toHaveLength(1);
+    expect(points[0]).toMatchObject({ label: "Dec '24", year: '2024', month: 12, partial: false, baseLogos: 2, retainedLogos: 1, churnedLogos: 1, newLogos: 1 });
+    expect(points[0].ndrAmount).toBeCloseTo(120 / 150);
+  });
+
+  it('needs 24 months of data and marks the month in progress as partial', () => {
+    expect(ttmRetention(monthly.slice(0, 3), { granularity: 'month', now: new Date(2025, 5, 1) })).toEqual([]);
+    expect(ttmRetention(monthly, { now: new Date(2024, 11, 15) })).toMatchObject([{ label: "Q4 '24", partial: true }]);
+  });
+});
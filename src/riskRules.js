@@ -0,0 +1,127 @@
+import { fmt, pct } from './format.js';
+import { CORPORATE_CURRENCY } from './currency.js';
+
+// Risk alerts as data. A rule flags open deals or reps when all of its
+// conditions hold; each condition compares one field with a threshold.
+// Money thresholds are in the corporate currency, like planning goals, and
+// percentages are stored as fractions.
+
+export const RISK_SUBJECTS = [{ key: 'deal', label: 'Open deals' }, { key: 'rep', label: 'Reps' }];
+
+export const RISK_SEVERITIES = [{ key: 'red', label: 'High' }, { key: 'yellow', label: 'Medium' }];
+
+// type: money | number | percent | text. Deal fields read the opportunity as
+// the dashboard sees it (probability from the forecast model, pushCount from
+// snapshots, activity fields from an activity import); rep fields read Rep
+// Performance rows.
+export const RISK_FIELDS = {
+  deal: [
+    { key: 'amount', label: 'Amount', type: 'money' },
+    { key: 'daysInPipeline', label: 'Days in pipeline', type: 'number' },
+    { key: 'daysInStage', label: 'Days in stage', type: 'number' },
+    { key: 'lastActivityDays', label: 'Days since activity', type: 'number' },
+    { key: 'activityCount30', label: 'Activities (30 days)', type: 'number' },
+    { key: 'daysToNextStep', label: 'Days to next step', type: 'number' },
+    { key: 'probability', label: 'Win probability', type: 'percent' },
+    { key: 'stageNumber', label: 'Stage #', type: 'number' },
+    { key: 'pushCount', label: 'Times pushed', type: 'number' },
+    { key: 'forecastCategory', label: 'Forecast category', type: 'text' },
+    { key: 'type', label: 'Type', type: 'text' },
+    { key: 'source', label: 'Source', type: 'text' },
+    { key: 'vertical', label: 'Vertical', type: 'text' },
+    { key: 'territory', label: 'Territory', type: 'text' },
+    { key: 'rep', label: 'Rep', type: 'text' },
+  ],
+  rep: [
+    { key: 'attainment', label: 'Quota attainment', type: 'percent' },
+    { key: 'pace', label: 'Pace vs expected', type: 'percent' },
+    { key: 'expectedAttainment', label: 'Expected attainment', type: 'percent' },
+    { key: 'winRate', label: 'Win rate', type: 'percent' },
+    { key: 'closedDeals', label: 'Closed deals', type: 'number' },
+    { key: 'revenue', label: 'Revenue', type: 'money' },
+    { key: 'pipeline', label: 'Pipeline', type: 'money' },
+    { key: 'quota', label: 'Quota', type: 'money' },
+    { key: 'territory', label: 'Territory', type: 'text' },
+  ],
+};
+
+export const RISK_OPERATORS = [
+  { key: '>', test: (a, b) => a > b },
+  { key: '>=', test: (a, b) => a >= b },
+  { key: '<', test: (a, b) => a < b },
+  { key: '<=', test: (a, b) => a <= b },
+  { key: '=', test: (a, b) => a === b, text: true },
+  { key: '!=', test: (a, b) => a !== b, text: true },
+];
+
+export const operatorsFor = field => field?.type === 'text' ? RISK_OPERATORS.filter(o => o.text) : RISK_OPERATORS;
+
+// The four alerts the dashboard always had; reps at risk are judged on pace,
+// so early in the year nobody is flagged for not having closed the full quota
+export const DEFAULT_RISK_RULES = [
+  { id: 'stale-deals', label: 'Stale deals', subject: 'deal', severity: 'yellow', icon: 'clock', enabled: true, conditions: [{ field: 'daysInPipeline', op: '>', value: 60 }, { field: 'amount', op: '>', value: 30000 }] },
+  { id: 'reps-at-risk', label: 'Reps at risk', subject: 'rep', severity: 'red', icon: 'users', enabled: true, conditions: [{ field: 'pace', op: '<', value: 0.5 }, { field: 'closedDeals', op: '>=', value: 2 }] },
+  { id: 'need-follow-up', label: 'Need follow-up', subject: 'deal', severity: 'yellow', icon: 'alert', enabled: true, conditions: [{ field: 'lastActivityDays', op: '>', value: 14 }, { field: 'amount', op: '>', value: 50000 }] },
+  { id: 'large-at-risk', label: 'Large deals at risk', subject: 'deal', severity: 'red', icon: 'dollar', enabled: true, conditions: [{ field: 'amount', op: '>', value: 100000 }, { field: 'daysInPipeline', op: '>', value: 45 }, { field: 'probability', op: '<', value: 0.5 }] },
+];
+
+export const riskField = (subject, key) => RISK_FIELDS[subject]?.find(f => f.key === key);
+
+// A deal with activities loaded but none logged (lastActivityDate null, not
+// missing) has gone untouched since it was opened
+const fieldValue = (item, key) => {
+  if (key === 'closedDeals') return (item.won || 0) + (item.lost || 0);
+  if (key === 'lastActivityDays' && item.lastActivityDate === null) return item.daysInPipeline;
+  return item[key];
+};
+
+// Blank fields never match, so a missing column can't raise alerts; nor do
+// unknown fields or operators (a hand-edited or older saved rule)
+const matches = (item, condition, subject, rate) => {
+  const field = riskField(subject, condition.field);
+  const value = fieldValue(item, condition.field);
+  const op = operatorsFor(field).find(o => o.key === condition.op);
+  if (!field || !op || value == null || value === '') return false;
+  if (field.type === 'text') return op.test(String(value).toLowerCase(), String(condition.value).toLowerCase());
+  return op.test(value, field.type === 'money' ? condition.value * rate : condition.value);
+};
+
+// "Days in pipeline > 60 • Amount > $30K"; `rate` converts money to the reporting `currency`
+export const describeRule = (rule, rate = 1, currency = CORPORATE_CURRENCY) => rule.conditions.map(c => {
+  const field = riskField(rule.subject, c.field);
+  if (!field) return c.field;
+  const value = field.type === 'money' ? fmt(c.value * rate, currency) : field.type === 'percent' ? pct(c.value) : c.value;
+  return `${field.label} ${c.op} ${value}`;
+}).join(' • ');
+
+// One entry per enabled rule: what it flagged and the amount behind it -
+// deal value for deal rules, closed revenue for rep rules. Rules without
+// conditions or with an unknown subject would flag everything, so are skipped.
+export const evaluateRiskRules = (rules, { deals, reps, rate = 1 }) => rules.filter(r => r.enabled && r.conditions?.length && RISK_SUBJECTS.some(s => s.key === r.subject)).map(rule => {
+  const items = (rule.subject === 'rep' ? reps : deals).filter(item => rule.conditions.every(c => matches(item, c, rule.subject, rate)));
+  if (rule.subject === 'deal') items.sort((a, b) => b.amount - a.amount);
+  return { rule, items, value: items.reduce((s, i) => s + (rule.subject === 'rep' ? i.revenue : i.amount), 0) };
+});
+
+// Problems that would stop the rules being saved; also checks rules restored
+// from a saved session, so tolerates malformed ones
+export const validateRiskRules = rules => {
+  if (!Array.isArray(rules)) return ['Risk rules must be a list'];
+  const problems = [];
+  rules.forEach((rule, i) => {
+    const label = String(rule?.label ?? '').trim();
+    const name = label || `Rule ${i + 1}`;
+    if (!label) problems.push(`Rule ${i + 1} needs a label`);
+    if (!Array.isArray(rule?.conditions)) { problems.push(`${name}: conditions must be a list`); return; }
+    if (!RISK_SUBJECTS.some(s => s.key === rule.subject)) problems.push(`${name}: unknown subject "${rule.subject}"`);
+    if (!RISK_SEVERITIES.some(s => s.key === rule.severity)) problems.push(`${name}: unknown severity "${rule.severity}"`);
+    if (rule.conditions.length === 0) problems.push(`${name}: add at least one condition`);
+    rule.conditions.forEach(c => {
+      const field = riskField(rule.subject, c.field);
+      if (!field) problems.push(`${name}: unknown field "${c.field}"`);
+      else if (!operatorsFor(field).some(o => o.key === c.op)) problems.push(`${name}: ${field.label} can't use ${c.op}`);
+      else if (field.type === 'text' ? !String(c.value ?? '').trim() : typeof c.value !== 'number' || isNaN(c.value)) problems.push(`${name}: ${field.label} needs a ${field.type === 'text' ? 'value' : 'number'}`);
+    });
+  });
+  return problems;
+};
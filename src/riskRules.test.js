@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { withActivity } from './activity.js';
+import { DEFAULT_RISK_RULES, evaluateRiskRules, validateRiskRules } from './riskRules.js';
+
+const deals = [{ amount: 200000, daysInPipeline: 90, probability: 0.2 }, { amount: 40000, daysInPipeline: 90, probability: 0.9 }];
+const rule = conditions => ({ id: 'r', label: 'Rule', subject: 'deal', severity: 'red', enabled: true, conditions });
+
+describe('evaluateRiskRules', () => {
+  it('flags deals matching every condition', () => {
+    const [stale, , , large] = evaluateRiskRules(DEFAULT_RISK_RULES, { deals, reps: [] });
+    expect(stale.items).toEqual(deals);
+    expect(large.items).toEqual([deals[0]]);
+  });
+
+  it('skips conditions with an unknown operator or field instead of throwing', () => {
+    const alerts = evaluateRiskRules([rule([{ field: 'amount', op: '~', value: 1 }]), rule([{ field: 'nope', op: '>', value: 1 }]), rule([{ field: 'type', op: '<', value: 'x' }])], { deals, reps: [] });
+    expect(alerts.map(a => a.items)).toEqual([[], [], []]);
+  });
+
+  it('flags large deals nobody has touched once activities are loaded', () => {
+    const untouched = { account: 'Globex', stage: 'Pipeline', amount: 80000, daysInPipeline: 40 };
+    const followUp = opps => evaluateRiskRules(DEFAULT_RISK_RULES, { deals: opps, reps: [] }).find(a => a.rule.id === 'need-follow-up').items;
+    expect(followUp([untouched])).toEqual([]);
+    const withTasks = withActivity([untouched], [{ account: 'Acme', date: '2025-05-18', done: true }], new Date(2025, 4, 20));
+    expect(followUp(withTasks)).toEqual(withTasks);
+  });
+
+  it('skips rules that would flag everything', () => {
+    expect(evaluateRiskRules([rule([]), { ...rule([{ field: 'amount', op: '>', value: 1 }]), subject: 'account' }], { deals, reps: [] })).toEqual([]);
+  });
+});
+
+describe('validateRiskRules', () => {
+  it('accepts the defaults and rejects malformed saved rules', () => {
+    expect(validateRiskRules(DEFAULT_RISK_RULES)).toEqual([]);
+    expect(validateRiskRules({})).toHaveLength(1);
+    expect(validateRiskRules([{ subject: 'deal', severity: 'red' }])).toEqual(['Rule 1 needs a label', 'Rule 1: conditions must be a list']);
+    expect(validateRiskRules([rule([{ field: 'amount', op: '~', value: 1 }])])).toEqual(["Rule: Amount can't use ~"]);
+  });
+});
@@ -0,0 +1,161 @@
+// Historical forecast. Win rates are learned from our own closed deals by deal
+// size band, vertical and source, and the open pipeline is simulated many times
+// to give a revenue range - and the odds of hitting goal - instead of one number.
+//
+// Closed deals no longer carry the open stage they were in, so per-stage win
+// rates come from the snapshot history: of the deals seen open at a stage, the
+// share that went on to win. Stages seen too rarely enter as a lift instead -
+// the deal's configured stage probability relative to the pipeline's average.
+
+import { stageProbability } from './forecast.js';
+import { quarterAmounts, quotaTotal } from './planning.js';
+import { fiscalPeriodOf } from './fiscalCalendar.js';
+
+export const SIZE_BANDS = [
+  { key: '<25K', max: 25000 },
+  { key: '25-100K', max: 100000 },
+  { key: '100-250K', max: 250000 },
+  { key: '250K+', max: Infinity },
+];
+
+export const sizeBand = amount => SIZE_BANDS.find(b => amount < b.max).key;
+
+export const WIN_RATE_DIMENSIONS = [
+  { key: 'sizeBand', label: 'Deal size', of: o => sizeBand(o.amount) },
+  { key: 'vertical', label: 'Vertical', of: o => o.vertical },
+  { key: 'source', label: 'Source', of: o => o.source },
+];
+
+// Segments are pulled toward the overall rate as if they had this many extra
+// deals at it, so a vertical with two closed deals can't swing the forecast
+const PRIOR_WEIGHT = 10;
+// Below this many closed deals the history says too little; stage probabilities are used instead
+export const MIN_HISTORY = 20;
+// Below this many deals seen at a stage and since closed, the stage table is used for it
+export const MIN_STAGE_HISTORY = 10;
+
+// { overall, sample, dimensions: { sizeBand: { '<25K': { won, lost, rate } }, vertical: ..., source: ... } }
+export const learnWinRates = opps => {
+  const closed = opps.filter(o => o.stage === 'Closed Won' || o.stage === 'Closed Lost');
+  const overall = closed.length ? closed.filter(o => o.stage === 'Closed Won').length / closed.length : 0;
+  const dimensions = {};
+  WIN_RATE_DIMENSIONS.forEach(d => {
+    const segments = {};
+    closed.forEach(o => {
+      const s = segments[d.of(o) || 'Unknown'] || (segments[d.of(o) || 'Unknown'] = { won: 0, lost: 0 });
+      if (o.stage === 'Closed Won') s.won++; else s.lost++;
+    });
+    Object.values(segments).forEach(s => { s.rate = (s.won + PRIOR_WEIGHT * overall) / (s.won + s.lost + PRIOR_WEIGHT); });
+    dimensions[d.key] = segments;
+  });
+  return { overall, sample: closed.length, dimensions };
+};
+
+// { [stageNumber]: { won, lost, rate } } over deals seen open at the stage in
+// some snapshot and closed in their latest one; `rate` is null below
+// MIN_STAGE_HISTORY. history: closeDateHistory over the snapshots.
+export const learnStageWinRates = history => {
+  const stages = {};
+  (history ? [...history.deals.values()] : []).forEach(({ latest, versions }) => {
+    if (latest.stage !== 'Closed Won' && latest.stage !== 'Closed Lost') return;
+    new Set(versions.filter(v => v.stage === 'Pipeline' && v.stageNumber != null).map(v => v.stageNumber)).forEach(n => {
+      const s = stages[n] || (stages[n] = { won: 0, lost: 0 });
+      if (latest.stage === 'Closed Won') s.won++; else s.lost++;
+    });
+  });
+  Object.values(stages).forEach(s => { s.rate = s.won + s.lost >= MIN_STAGE_HISTORY ? s.won / (s.won + s.lost) : null; });
+  return stages;
+};
+
+const clamp = p => Math.min(0.99, Math.max(0.01, p));
+
+// How the deal's segments convert relative to the overall rate (1 without enough history)
+const segmentLift = (opp, rates) => rates.sample < MIN_HISTORY || rates.overall <= 0 ? 1 : WIN_RATE_DIMENSIONS.reduce((l, d) => {
+  const s = rates.dimensions[d.key][d.of(opp) || 'Unknown'];
+  return l * (s ? s.rate / rates.overall : 1);
+}, 1);
+
+// Overall rate scaled by how each of the deal's segments converts relative to it
+export const historicalWinProbability = (opp, rates, stageLift = 1) => {
+  if (rates.sample < MIN_HISTORY || rates.overall <= 0) return null;
+  return clamp(rates.overall * segmentLift(opp, rates) * stageLift);
+};
+
+// Open deals get `historicalProbability`, learned from the closed deals in the
+// same set: the stage's learned win rate (see learnStageWinRates) where there
+// is one, else the overall rate lifted by the stage probability; without
+// enough history it falls back to the stage probability
+export const applyHistoricalRates = (opps, settings, stageRates = {}) => {
+  const rates = learnWinRates(opps);
+  const open = opps.filter(o => o.stage === 'Pipeline');
+  const meanStage = open.length ? open.reduce((s, o) => s + stageProbability(o, settings), 0) / open.length : 0;
+  return opps.map(o => {
+    if (o.stage !== 'Pipeline') return o;
+    const stageRate = stageRates[o.stageNumber]?.rate;
+    if (stageRate != null) return { ...o, historicalProbability: clamp(stageRate * segmentLift(o, rates)) };
+    const lift = meanStage > 0 ? stageProbability(o, settings) / meanStage : 1;
+    return { ...o, historicalProbability: historicalWinProbability(o, rates, lift) ?? stageProbability(o, settings) };
+  });
+};
+
+// Seeded, so the range doesn't move on every render
+const mulberry32 = seed => () => {
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+// Closed-won revenue plus each open deal won or lost at its historical
+// probability, `runs` times. Omitted deals never count.
+export const simulateRevenue = (opps, { runs = 2000, seed = 1 } = {}) => {
+  const closedRevenue = opps.reduce((s, o) => s + (o.stage === 'Closed Won' ? o.amount : 0), 0);
+  const open = opps.filter(o => o.stage === 'Pipeline' && o.forecastCategory !== 'Omitted');
+  const rand = mulberry32(seed);
+  const totals = new Float64Array(runs);
+  for (let r = 0; r < runs; r++) {
+    let t = closedRevenue;
+    for (const o of open) if (rand() < (o.historicalProbability ?? o.probability ?? 0)) t += o.amount;
+    totals[r] = t;
+  }
+  totals.sort();
+  return { closedRevenue, openCount: open.length, totals };
+};
+
+const percentile = (sorted, p) => sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))] : 0;
+
+// Equal-width buckets between the lowest and highest outcome, for the distribution chart
+export const histogram = (sorted, goal, buckets = 20) => {
+  if (!sorted.length) return [];
+  const lo = sorted[0], hi = sorted[sorted.length - 1];
+  const width = (hi - lo) / buckets || 1;
+  const out = Array.from({ length: buckets }, (_, i) => ({ from: lo + i * width, to: lo + (i + 1) * width, count: 0 }));
+  sorted.forEach(t => { out[Math.min(buckets - 1, Math.floor((t - lo) / width))].count++; });
+  return out.map(b => ({ ...b, mid: (b.from + b.to) / 2, share: b.count / sorted.length, aboveGoal: goal > 0 && b.from >= goal }));
+};
+
+// P10/P50/P90 revenue, the chance of reaching goal and the distribution
+export const forecastRange = (opps, goal, options) => {
+  const { closedRevenue, openCount, totals } = simulateRevenue(opps, options);
+  const hits = goal > 0 ? totals.filter(t => t >= goal).length : 0;
+  return {
+    closedRevenue,
+    openCount,
+    goal,
+    p10: percentile(totals, 0.1),
+    p50: percentile(totals, 0.5),
+    p90: percentile(totals, 0.9),
+    hitProbability: goal > 0 ? hits / totals.length : null,
+    histogram: histogram(totals, goal),
+  };
+};
+
+// This quarter and this year, each against its part of the annual goal. `opps`
+// are the current year's deals; `rate` converts the goal to the reporting currency.
+export const forecastHorizons = (opps, annualGoal, { now = new Date(), rate = 1, calendar, ...options } = {}) => {
+  const { year, quarter } = fiscalPeriodOf(now, calendar);
+  return [
+    { key: 'quarter', label: `${quarter} ${year}`, ...forecastRange(opps.filter(o => o.year === year && o.quarter === quarter), quarterAmounts(annualGoal)[quarter] * rate, options) },
+    { key: 'year', label: year, ...forecastRange(opps.filter(o => o.year === year), quotaTotal(annualGoal) * rate, options) },
+  ];
+};
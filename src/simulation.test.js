@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_FORECAST_SETTINGS } from './forecast.js';
+import { closeDateHistory } from './slippage.js';
+import { applyHistoricalRates, learnStageWinRates, MIN_STAGE_HISTORY } from './simulation.js';
+import { deal, openDeal } from './testFixtures.js';
+
+// `count` deals seen open at `stage` in the first snapshot, `won` of them won by the second
+const history = (stage, count, won) => closeDateHistory([
+  { asOf: '2025-01-01', opps: Array.from({ length: count }, (_, i) => openDeal({ sfId: `006${stage}-${i}`, stageNumber: stage })) },
+  { asOf: '2025-03-01', opps: Array.from({ length: count }, (_, i) => deal({ sfId: `006${stage}-${i}`, stage: i < won ? 'Closed Won' : 'Closed Lost' })) },
+]);
+
+describe('learnStageWinRates', () => {
+  it('learns the share of deals seen at a stage that went on to win', () => {
+    expect(learnStageWinRates(history(4, 12, 9))).toEqual({ 4: { won: 9, lost: 3, rate: 0.75 } });
+  });
+
+  it('leaves stages seen too rarely without a rate', () => {
+    expect(learnStageWinRates(history(4, MIN_STAGE_HISTORY - 1, 9))[4].rate).toBeNull();
+  });
+});
+
+describe('applyHistoricalRates', () => {
+  const open = [openDeal({ stageNumber: 4 }), openDeal({ stageNumber: 5 })];
+
+  it('uses learned stage rates and the stage table for the rest', () => {
+    const [a, b] = applyHistoricalRates(open, DEFAULT_FORECAST_SETTINGS, learnStageWinRates(history(4, 12, 3)));
+    expect(a.historicalProbability).toBeCloseTo(0.25);
+    expect(b.historicalProbability).toBe(DEFAULT_FORECAST_SETTINGS.stageProbabilities[5]);
+  });
+
+  it('falls back to the stage table without history', () => {
+    expect(applyHistoricalRates(open, DEFAULT_FORECAST_SETTINGS).map(o => o.historicalProbability)).toEqual([0.5, 0.75]);
+  });
+});
@@ -0,0 +1,78 @@
+// Close-date slippage across upload snapshots. Each export only has today's
+// close date, so the history of a deal is its close date in every snapshot it
+// appears in, oldest first. A push is a later close date than in the snapshot
+// before; a slip is a push into a later quarter.
+
+import { ambiguousKeys, dealKeyFor, matchKeyFor } from './pipelineMovement.js';
+
+// Open deals slipped this many quarters or more are chronic slippers
+export const CHRONIC_SLIPS = 2;
+
+const quarterIndex = o => parseInt(o.year) * 4 + parseInt(String(o.quarter).slice(1)) - 1;
+const dateValue = closeDate => { const t = new Date(closeDate).getTime(); return isNaN(t) ? null : t; };
+
+// snapshots: [{ asOf, opps }] in any order. Returns { matchBy, key, deals: Map(key -> deal) }
+// where each deal is { latest, versions, pushes, slips, daysPushed, transitions: [{ from, to, pushed, slipped }] }
+export const closeDateHistory = snapshots => {
+  const ordered = [...snapshots].sort((a, b) => a.asOf.localeCompare(b.asOf));
+  const matchBy = matchKeyFor(...ordered.map(s => s.opps));
+  const key = dealKeyFor(matchBy);
+  // Deals sharing a key within a snapshot have no history of their own
+  const ambiguous = ambiguousKeys(key, ...ordered.map(s => s.opps));
+  const seen = new Map();
+  ordered.forEach(s => s.opps.forEach(o => {
+    const k = key(o);
+    if (ambiguous.has(k)) return;
+    if (!seen.has(k)) seen.set(k, []);
+    seen.get(k).push({ ...o, asOf: s.asOf });
+  }));
+  const deals = new Map();
+  seen.forEach((versions, k) => {
+    const transitions = [];
+    // Only moves made while the deal was still open count
+    for (let i = 1; i < versions.length; i++) {
+      const from = versions[i - 1], to = versions[i];
+      if (from.stage !== 'Pipeline') continue;
+      const a = dateValue(from.closeDate), b = dateValue(to.closeDate);
+      transitions.push({ from, to, pushed: a !== null && b !== null && b > a, slipped: quarterIndex(to) > quarterIndex(from), days: a !== null && b !== null ? Math.max(0, Math.round((b - a) / 86400000)) : 0 });
+    }
+    deals.set(k, {
+      latest: versions[versions.length - 1],
+      versions,
+      transitions,
+      pushes: transitions.filter(t => t.pushed).length,
+      slips: transitions.filter(t => t.slipped).length,
+      daysPushed: transitions.reduce((s, t) => s + (t.pushed ? t.days : 0), 0),
+    });
+  });
+  return { matchBy, key, deals };
+};
+
+// Opportunities get pushCount, slipCount and daysPushed from their history
+export const withSlippage = (opps, history) => opps.map(o => {
+  const d = history.deals.get(history.key(o));
+  return d ? { ...o, pushCount: d.pushes, slipCount: d.slips, daysPushed: d.daysPushed } : o;
+});
+
+export const chronicSlippers = opps => opps
+  .filter(o => o.stage === 'Pipeline' && (o.slipCount || 0) >= CHRONIC_SLIPS)
+  .sort((a, b) => b.slipCount - a.slipCount || b.amount - a.amount);
+
+// Share of snapshot-to-snapshot moves where an open deal slipped a quarter,
+// grouped by `groupOf(version before the move)`. Deals carry the latest version.
+export const slipRates = (history, groupOf) => {
+  const groups = {};
+  history.deals.forEach(d => d.transitions.forEach(t => {
+    const name = groupOf(t.from) || 'Unknown';
+    const g = groups[name] || (groups[name] = { name, moves: 0, slipped: 0, deals: new Map() });
+    g.moves++;
+    if (t.slipped) { g.slipped++; g.deals.set(history.key(d.latest), { ...d.latest, pushCount: d.pushes, slipCount: d.slips, daysPushed: d.daysPushed }); }
+  }));
+  return Object.values(groups)
+    .map(g => ({ name: g.name, moves: g.moves, slipped: g.slipped, rate: g.moves > 0 ? g.slipped / g.moves : 0, deals: [...g.deals.values()] }))
+    .sort((a, b) => b.rate - a.rate || b.moves - a.moves);
+};
+
+export const slipRateByRep = history => slipRates(history, o => o.rep);
+
+export const slipRateByStage = history => slipRates(history, o => o.stageName || o.stage);
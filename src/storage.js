@@ -0,0 +1,121 @@
+import { DEFAULT_PLANNING, applyQuotaOverrides, mergeLegacyDuplicates } from './planning.js';
+
+// Local persistence for the dashboard session. Uploaded datasets live in
+// IndexedDB (they are too big for localStorage); goals, quotas, notes and the
+// active dataset are a single session record in the same database.
+
+const DB_NAME = 'revintel';
+export const DB_VERSION = 3;
+const DATASETS = 'datasets';
+const SESSION = 'session';
+const SESSION_KEY = 'current';
+const ACTIVITIES = 'activities';
+
+// Structural migrations, keyed by the version they upgrade to. Each runs inside
+// the versionchange transaction, in order, for every version above the old one.
+const MIGRATIONS = {
+  1: db => {
+    const datasets = db.createObjectStore(DATASETS, { keyPath: 'id' });
+    datasets.createIndex('savedAt', 'savedAt');
+    db.createObjectStore(SESSION);
+  },
+  // Opportunities gained a deal currency and original amount. Older uploads were
+  // converted to USD and had territory derived from currency, so pin both.
+  2: (db, tx) => {
+    tx.objectStore(DATASETS).openCursor().onsuccess = e => {
+      const cursor = e.target.result;
+      if (!cursor) return;
+      const opps = cursor.value.opps.map(o => ({ currency: 'USD', originalAmount: o.amount, territorySource: 'column', ...o }));
+      cursor.update({ ...cursor.value, opps });
+      cursor.continue();
+    };
+  },
+  // Imported activity exports, kept apart from the opportunity snapshots they join to
+  3: db => { db.createObjectStore(ACTIVITIES); },
+};
+
+let dbPromise = null;
+
+export const openDB = () => {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') { reject(new Error('IndexedDB is not available')); return; }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = e => {
+      const db = req.result;
+      for (let v = e.oldVersion + 1; v <= DB_VERSION; v++) MIGRATIONS[v]?.(db, req.transaction);
+    };
+    req.onsuccess = () => {
+      const db = req.result;
+      // Another tab upgraded the schema - drop our handle so it isn't blocked
+      db.onversionchange = () => { db.close(); dbPromise = null; };
+      resolve(db);
+    };
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error('Database upgrade blocked by another open tab'));
+  });
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+};
+
+const request = (storeName, mode, fn) => openDB().then(db => new Promise((resolve, reject) => {
+  const tx = db.transaction(storeName, mode);
+  const req = fn(tx.objectStore(storeName));
+  tx.oncomplete = () => resolve(req?.result);
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error);
+}));
+
+// Datasets: { id, name, fileName, savedAt, asOf, rowCount, opps, importResult }
+// asOf (YYYY-MM-DD) is the date the export was pulled - what pipeline snapshots are ordered by
+export const saveDataset = dataset => {
+  const record = { savedAt: new Date().toISOString(), ...dataset, id: dataset.id || `ds-${Date.now()}` };
+  record.rowCount = record.opps?.length || 0;
+  return request(DATASETS, 'readwrite', s => s.put(record)).then(() => record);
+};
+
+export const loadDataset = id => request(DATASETS, 'readonly', s => s.get(id));
+
+// Metadata only, newest first - the opportunity arrays stay in the database
+export const listDatasets = () => request(DATASETS, 'readonly', s => s.getAll()).then(all => all
+  .map(({ opps, importResult, ...meta }) => meta)
+  .sort((a, b) => b.savedAt.localeCompare(a.savedAt)));
+
+export const renameDataset = (id, name) => loadDataset(id).then(d => d && request(DATASETS, 'readwrite', s => s.put({ ...d, name })));
+
+export const setSnapshotDate = (id, asOf) => loadDataset(id).then(d => d && request(DATASETS, 'readwrite', s => s.put({ ...d, asOf })));
+
+export const deleteDataset = id => request(DATASETS, 'readwrite', s => s.delete(id));
+
+// Activities: one import at a time, { fileName, importedAt, activities, report }.
+// It applies to whichever dataset is active.
+export const saveActivities = record => request(ACTIVITIES, 'readwrite', s => s.put(record, SESSION_KEY)).then(() => record);
+
+export const loadActivities = () => request(ACTIVITIES, 'readonly', s => s.get(SESSION_KEY));
+
+export const clearActivities = () => request(ACTIVITIES, 'readwrite', s => s.delete(SESSION_KEY));
+
+// Session record versioning is separate from the database version: the store
+// shape rarely changes, the settings inside it do.
+export const SESSION_VERSION = 4;
+const SESSION_MIGRATIONS = {
+  // Reporting currency, FX rates and territory rules; missing means defaults
+  2: s => ({ reportingCurrency: 'USD', fxRates: null, territoryRules: null, ...s }),
+  // Goals, quotas and roster moved into the planning config; inline rep quota
+  // edits become that rep's quota for the latest selected year
+  3: ({ repQuotas, ...s }) => ({ ...s, planning: repQuotas ? applyQuotaOverrides(DEFAULT_PLANNING, repQuotas, [...(s.activeYears || ['2025'])].sort().pop()) : null }),
+  // Reps gained ids and aliases; the two people listed twice become one rep each
+  4: s => ({ ...s, planning: s.planning && mergeLegacyDuplicates(s.planning) }),
+};
+
+const migrateSession = session => {
+  let s = session;
+  for (let v = (s.version || 0) + 1; v <= SESSION_VERSION; v++) s = SESSION_MIGRATIONS[v] ? SESSION_MIGRATIONS[v](s) : s;
+  return { ...s, version: SESSION_VERSION };
+};
+
+export const loadSession = () => request(SESSION, 'readonly', s => s.get(SESSION_KEY)).then(s => s ? migrateSession(s) : null);
+
+export const saveSession = session => request(SESSION, 'readwrite', s => s.put({ ...session, version: SESSION_VERSION }, SESSION_KEY));
+
+export const clearSession = () => request(SESSION, 'readwrite', s => s.delete(SESSION_KEY));
@@ -0,0 +1,32 @@
+// Territory assignment. An imported Territory column always wins; otherwise the
+// first matching rule decides, falling back to the default territory.
+
+export const RULE_FIELDS = [
+  { key: 'currency', label: 'Currency' },
+  { key: 'rep', label: 'Rep' },
+  { key: 'account', label: 'Account' },
+  { key: 'parentAccount', label: 'Parent Account' },
+  { key: 'manager', label: 'Manager' },
+];
+
+// Reproduces the old currency-as-territory behaviour, plus the UK
+export const DEFAULT_TERRITORY_RULES = {
+  defaultTerritory: 'US',
+  rules: [
+    { field: 'currency', value: 'CAD', territory: 'Canada' },
+    { field: 'currency', value: 'GBP', territory: 'UK' },
+  ],
+};
+
+export const matchTerritory = (o, { rules, defaultTerritory }) => {
+  const rule = rules.find(r => r.value && r.territory && (o[r.field] || '').toLowerCase() === r.value.trim().toLowerCase());
+  return rule ? rule.territory : defaultTerritory;
+};
+
+// Opportunities whose territory came from the data (territorySource 'column')
+// keep it; everything else is re-derived so rule edits apply to saved datasets.
+export const applyTerritoryRules = (opps, config) => opps.map(o => {
+  if (o.territorySource === 'column') return o;
+  const territory = matchTerritory(o, config);
+  return territory === o.territory && territory === o.repTerritory ? o : { ...o, territory, repTerritory: territory };
+});
@@ -0,0 +1,5 @@
+// Shared test data. `deal` is a won Technology deal at Acme unless overridden,
+// `openDeal` the same deal still in the pipeline.
+export const deal = (overrides = {}) => ({ account: 'Acme', rep: 'Ann', territory: 'US', source: 'Inbound', type: 'New Business', vertical: 'Technology', stage: 'Closed Won', amount: 100, year: '2025', quarter: 'Q1', month: 2, daysInPipeline: 30, ...overrides });
+
+export const openDeal = (overrides = {}) => deal({ stage: 'Pipeline', ...overrides });
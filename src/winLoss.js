@@ -0,0 +1,133 @@
+import { SIZE_BANDS, sizeBand } from './simulation.js';
+import { isExcludedReason } from './planning.js';
+import { winRateOf } from './analytics.js';
+
+// Win/loss reasons as Salesforce records them: a multi-select main reason
+// ("Solution; Client-Based") and a multi-select sub-reason listing details
+// under any of those mains. Imports keep both (lossReasonMain / lossReasonSub);
+// the embedded data only has the combined "Main: Sub" string, which is split
+// back apart. A deal counts once under every reason it cites, so shares can
+// add up past 100%.
+
+export const WINLOSS_OUTCOMES = [{ key: 'lost', label: 'Losses', stage: 'Closed Lost' }, { key: 'won', label: 'Wins', stage: 'Closed Won' }];
+
+export const WINLOSS_DIMENSIONS = [
+  { key: 'vertical', label: 'Vertical', of: o => o.vertical },
+  { key: 'rep', label: 'Rep', of: o => o.rep },
+  { key: 'source', label: 'Source', of: o => o.source },
+  { key: 'size', label: 'Deal size', of: o => sizeBand(o.amount) },
+  { key: 'competitor', label: 'Competitor', of: o => o.competitor },
+];
+
+// Sub-reasons cited without a main reason
+const UNSPECIFIED = 'Unspecified';
+
+const splitList = s => s ? String(s).split(';').map(x => x.trim()).filter(Boolean) : [];
+
+// 'Unknown' is what an import records when Closed Why was blank
+export const reasonParts = o => {
+  if (o.lossReasonMain || o.lossReasonSub) return { mains: splitList(o.lossReasonMain), subs: splitList(o.lossReasonSub) };
+  if (!o.lossReason || o.lossReason === 'Unknown') return { mains: [], subs: [] };
+  const at = o.lossReason.indexOf(': ');
+  return at < 0 ? { mains: splitList(o.lossReason), subs: [] } : { mains: splitList(o.lossReason.slice(0, at)), subs: splitList(o.lossReason.slice(at + 2)) };
+};
+
+const reasonText = o => o.lossReason || [o.lossReasonMain, o.lossReasonSub].filter(Boolean).join(': ');
+
+export const hasReason = o => { const { mains, subs } = reasonParts(o); return mains.length + subs.length > 0; };
+
+const sum = deals => deals.reduce((s, o) => s + o.amount, 0);
+
+// Closed deals by outcome (closed = both), with the ones whose reason marks
+// them archived set aside
+export const splitOutcomes = (opps, excluded) => {
+  const archived = [], won = [], lost = [], closed = [];
+  opps.forEach(o => {
+    if (o.stage !== 'Closed Won' && o.stage !== 'Closed Lost') return;
+    if (isExcludedReason(reasonText(o), excluded)) { archived.push(o); return; }
+    (o.stage === 'Closed Won' ? won : lost).push(o);
+    closed.push(o);
+  });
+  return { won, lost, closed, archived };
+};
+
+// Which main reason each sub-reason belongs to, learned from deals citing a
+// single main; deals citing several mains file the sub under that one
+const subOwners = deals => {
+  const counts = {};
+  deals.forEach(o => {
+    const { mains, subs } = reasonParts(o);
+    if (mains.length === 1) subs.forEach(s => { counts[s] = counts[s] || {}; counts[s][mains[0]] = (counts[s][mains[0]] || 0) + 1; });
+  });
+  return Object.fromEntries(Object.entries(counts).map(([s, c]) => [s, Object.entries(c).sort((a, b) => b[1] - a[1])[0][0]]));
+};
+
+const mainsOf = o => { const { mains } = reasonParts(o); return mains.length ? mains : [UNSPECIFIED]; };
+
+// Main reasons with their sub-reasons, most cited first. Main shares are of
+// deals giving a reason; sub shares are of the main's deals.
+export const reasonTree = deals => {
+  const cited = deals.filter(hasReason);
+  const owners = subOwners(cited);
+  const nodes = {};
+  cited.forEach(o => {
+    const mains = mainsOf(o);
+    mains.forEach(m => { (nodes[m] = nodes[m] || { name: m, deals: [], subs: {} }).deals.push(o); });
+    reasonParts(o).subs.forEach(s => {
+      const m = mains.includes(owners[s]) ? owners[s] : mains[0];
+      (nodes[m].subs[s] = nodes[m].subs[s] || []).push(o);
+    });
+  });
+  const byCount = (a, b) => b.count - a.count || b.value - a.value;
+  return Object.values(nodes).map(n => ({
+    name: n.name, count: n.deals.length, value: sum(n.deals), share: n.deals.length / cited.length, deals: n.deals,
+    subs: Object.entries(n.subs).map(([name, ds]) => ({ name, count: ds.length, value: sum(ds), share: ds.length / n.deals.length, deals: ds })).sort(byCount),
+  })).sort(byCount);
+};
+
+const reasonsAt = (o, level) => level === 'sub' ? reasonParts(o).subs : mainsOf(o);
+
+const topReasons = (deals, level, limit) => {
+  const counts = {};
+  deals.forEach(o => reasonsAt(o, level).forEach(r => { counts[r] = (counts[r] || 0) + 1; }));
+  return Object.entries(counts).sort((a, b) => b[1] - a[1]).slice(0, limit).map(([name]) => name);
+};
+
+// Reasons (main or sub level) cross-tabbed against a dimension. `closed` is
+// won and lost deals, archives already removed; each row carries its win rate
+// and, per reason, the share of the row's `outcome` deals citing it.
+export const reasonCrossTab = (closed, { dimension = 'vertical', outcome = 'lost', level = 'main', maxRows = 12, maxReasons = 6 } = {}) => {
+  const dim = WINLOSS_DIMENSIONS.find(d => d.key === dimension);
+  const stage = WINLOSS_OUTCOMES.find(x => x.key === outcome).stage;
+  const cited = closed.filter(o => o.stage === stage && hasReason(o));
+  const reasons = topReasons(cited, level, maxReasons);
+  const groups = {};
+  closed.forEach(o => { const k = dim.of(o) || 'Unknown'; (groups[k] = groups[k] || []).push(o); });
+  const bandOrder = SIZE_BANDS.map(b => b.key);
+  const rows = Object.entries(groups).map(([name, deals]) => {
+    const won = deals.filter(o => o.stage === 'Closed Won').length, lost = deals.length - won;
+    const rowCited = deals.filter(o => o.stage === stage && hasReason(o));
+    const cells = Object.fromEntries(reasons.map(r => {
+      const hits = rowCited.filter(o => reasonsAt(o, level).includes(r));
+      return [r, { count: hits.length, share: rowCited.length ? hits.length / rowCited.length : 0, deals: hits }];
+    }));
+    return { name, won, lost, winRate: winRateOf(won, lost), cited: rowCited.length, deals: rowCited, cells };
+  }).filter(r => r.cited > 0);
+  rows.sort(dimension === 'size' ? (a, b) => bandOrder.indexOf(a.name) - bandOrder.indexOf(b.name) : (a, b) => b.cited - a.cited);
+  return { reasons, rows: rows.slice(0, maxRows), hiddenRows: Math.max(0, rows.length - maxRows), hasValues: closed.some(o => dim.of(o)) };
+};
+
+// Share of each period's `outcome` deals citing each of the top main reasons,
+// by fiscal quarter ('2026-Q1') or year
+export const reasonTrend = (closed, { outcome = 'lost', granularity = 'quarter', top = 5 } = {}) => {
+  const stage = WINLOSS_OUTCOMES.find(x => x.key === outcome).stage;
+  const cited = closed.filter(o => o.stage === stage && hasReason(o));
+  const reasons = topReasons(cited, 'main', top);
+  const periods = {};
+  cited.forEach(o => { const k = granularity === 'year' ? o.year : `${o.year}-${o.quarter}`; (periods[k] = periods[k] || []).push(o); });
+  const points = Object.keys(periods).sort().map(key => ({
+    key, total: periods[key].length, deals: periods[key],
+    ...Object.fromEntries(reasons.map(r => [r, periods[key].filter(o => mainsOf(o).includes(r)).length / periods[key].length])),
+  }));
+  return { reasons, points };
+};
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { reasonParts, reasonTree, splitOutcomes } from './winLoss.js';
+import { deal, openDeal } from './testFixtures.js';
+
+const lost = (lossReasonMain, lossReasonSub, amount = 100) => deal({ stage: 'Closed Lost', lossReasonMain, lossReasonSub, amount });
+
+describe('reasonParts', () => {
+  it('reads multi-select main and sub reasons', () => {
+    expect(reasonParts(lost('Solution; Client-Based', 'Missing feature; Budget cut'))).toEqual({ mains: ['Solution', 'Client-Based'], subs: ['Missing feature', 'Budget cut'] });
+  });
+
+  it('splits the embedded "Main: Sub" string', () => {
+    expect(reasonParts(deal({ lossReason: 'Price; Timing: Too expensive; Next year' }))).toEqual({ mains: ['Price', 'Timing'], subs: ['Too expensive', 'Next year'] });
+    expect(reasonParts(deal({ lossReason: 'Price' }))).toEqual({ mains: ['Price'], subs: [] });
+    expect(reasonParts(deal({ lossReason: 'Unknown' }))).toEqual({ mains: [], subs: [] });
+  });
+});
+
+describe('reasonTree', () => {
+  const deals = [
+    lost('Solution', 'Missing feature'),
+    lost('Solution', 'Missing feature'),
+    lost('Client-Based', 'Budget cut', 50),
+    // Several mains: each sub goes under the main it was learned with, not the first one cited
+    lost('Client-Based; Solution', 'Missing feature; Budget cut', 200),
+    lost('', ''),
+  ];
+
+  it('counts a deal under every main reason it cites', () => {
+    const tree = reasonTree(deals);
+    expect(tree.map(n => [n.name, n.count, n.value])).toEqual([['Solution', 3, 400], ['Client-Based', 2, 250]]);
+    expect(tree[0].share + tree[1].share).toBeCloseTo(5 / 4);
+  });
+
+  it('files sub-reasons under the main learned from single-main deals', () => {
+    const [solution, client] = reasonTree(deals);
+    expect(solution.subs.map(s => [s.name, s.count])).toEqual([['Missing feature', 3]]);
+    expect(client.subs.map(s => [s.name, s.count])).toEqual([['Budget cut', 2]]);
+  });
+});
+
+describe('splitOutcomes', () => {
+  it('sets aside deals whose reason matches an excluded reason', () => {
+    const archived = deal({ stage: 'Closed Lost', lossReason: 'Admin: Bulk close - data cleanup' });
+    const won = deal(), lostDeal = lost('Price', '');
+    const split = splitOutcomes([won, lostDeal, archived, openDeal()], ['Bulk close']);
+    expect(split).toEqual({ won: [won], lost: [lostDeal], closed: [won, lostDeal], archived: [archived] });
+    expect(splitOutcomes([won, lostDeal, archived], []).archived).toEqual([]);
+  });
+});